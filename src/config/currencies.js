@@ -0,0 +1,12 @@
+// Currencies wallets, services and bookings can be held in. Minor units per
+// currency follow ISO 4217 (JPY has none).
+export const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'];
+
+const CURRENCY_DECIMALS = {
+  JPY: 0
+};
+
+export const getCurrencyDecimals = (currency) => CURRENCY_DECIMALS[currency] ?? 2;
+
+// Currency that limits and cross rates are expressed in
+export const getBaseCurrency = () => process.env.FX_BASE_CURRENCY || 'USD';
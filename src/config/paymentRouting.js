@@ -0,0 +1,32 @@
+// Which gateway handles each payment method. Rules are checked in order and
+// the first whose method, market (ISO country code) and currency match wins;
+// a rule without a market or currency matches any. Set PAYMENT_ROUTING to a
+// JSON array of rules to replace the defaults.
+const DEFAULT_ROUTING = [
+  { method: 'wallet', provider: 'wallet' },
+  { method: 'paypal', provider: 'paypal' },
+  { method: 'card', market: 'IN', provider: 'razorpay' },
+  { method: 'card', provider: 'stripe' },
+  { method: 'apple-pay', provider: 'stripe' },
+  { method: 'google-pay', provider: 'stripe' }
+];
+
+let routing = null;
+
+export const getPaymentRouting = () => {
+  if (!routing) {
+    routing = process.env.PAYMENT_ROUTING ? JSON.parse(process.env.PAYMENT_ROUTING) : DEFAULT_ROUTING;
+  }
+  return routing;
+};
+
+// Pick the gateway for a payment. Returns null when no rule matches, e.g.
+// for cash.
+export const selectProvider = (method, { market, currency } = {}) => {
+  const rule = getPaymentRouting().find(candidate =>
+    candidate.method === method &&
+    (!candidate.market || candidate.market === market) &&
+    (!candidate.currency || candidate.currency === currency)
+  );
+  return rule ? rule.provider : null;
+};
@@ -0,0 +1,30 @@
+import paypal from 'paypal-rest-sdk';
+
+let isConfigured = false;
+
+// PayPal REST SDK, configured on first use. The SDK is callback based; the
+// helper below wraps its calls in promises.
+const getPaypal = () => {
+  if (!isConfigured) {
+    paypal.configure({
+      mode: process.env.PAYPAL_MODE || 'sandbox',
+      client_id: process.env.PAYPAL_CLIENT_ID,
+      client_secret: process.env.PAYPAL_CLIENT_SECRET
+    });
+    isConfigured = true;
+  }
+  return paypal;
+};
+
+// Call a callback-style SDK method, e.g. paypalRequest('payment', 'get', id)
+const paypalRequest = (resource, method, ...args) => {
+  const client = getPaypal();
+  return new Promise((resolve, reject) => {
+    client[resource][method](...args, (error, result) => {
+      if (error) return reject(error);
+      resolve(result);
+    });
+  });
+};
+
+export { getPaypal, paypalRequest };
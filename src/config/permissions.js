@@ -0,0 +1,96 @@
+// Permission catalog. Permissions are `resource:action` strings; a role may
+// also grant `resource:*` or `*` for everything.
+export const PERMISSIONS = {
+  'admin:access': 'Access the admin API',
+  'user:read': 'View any user account',
+  'user:update': 'Update any user account',
+  'user:block': 'Block and unblock users',
+  'user:impersonate': 'Act as a user in time-limited, audited sessions',
+  'role:manage': 'Create, update and delete role definitions',
+  'role:assign': 'Assign roles to users',
+  'provider:review': 'Review provider applications and KYC documents',
+  'audit:read': 'Query and export the audit log',
+  'apikey:manage': 'Create, rotate and revoke own partner API keys',
+  'booking:create': 'Create bookings',
+  'booking:read-any': 'View any booking',
+  'booking:assign': 'Assign runners to bookings',
+  'booking:fulfil': 'Accept and fulfil assigned bookings',
+  'booking:cancel-any': 'Cancel any booking',
+  'service:create': 'Create and manage own services',
+  'service:publish': 'Publish and feature services',
+  'service:manage-any': 'Manage any service',
+  'wallet:read-own': 'View own wallet',
+  'wallet:transfer': 'Send wallet funds to other users',
+  'wallet:adjust': 'Manually adjust wallet balances',
+  'fx:manage': 'Publish and withdraw FX rates',
+  'payment:refund': 'Issue refunds',
+  'payment:capture': 'Capture authorized payments',
+  'payout:read-own': 'View own earnings and payouts',
+  'payout:manage': 'Set commission rates and run payout batches',
+  'referral:manage': 'Configure referral campaigns'
+};
+
+// Built-in roles. These apply until ops save their own definition of the same
+// name in the roles collection, which then takes precedence.
+export const DEFAULT_ROLES = {
+  user: {
+    description: 'Customer',
+    permissions: ['booking:create', 'wallet:read-own', 'wallet:transfer']
+  },
+  runner: {
+    description: 'Runner fulfilling bookings',
+    permissions: ['booking:create', 'booking:fulfil', 'wallet:read-own', 'wallet:transfer', 'payout:read-own']
+  },
+  provider: {
+    description: 'Service provider',
+    permissions: ['booking:create', 'service:create', 'wallet:read-own', 'wallet:transfer', 'payout:read-own']
+  },
+  partner: {
+    description: 'Partner organization integrating via API keys',
+    permissions: ['booking:create', 'apikey:manage']
+  },
+  support: {
+    description: 'Customer support',
+    permissions: ['admin:access', 'user:read', 'user:impersonate', 'booking:read-any']
+  },
+  admin: {
+    description: 'Administrator',
+    permissions: [
+      'admin:access',
+      'user:read',
+      'user:update',
+      'user:block',
+      'role:assign',
+      'provider:review',
+      'audit:read',
+      'booking:*',
+      'service:*',
+      'wallet:read-own',
+      'payment:refund',
+      'payment:capture',
+      'fx:manage',
+      'payout:manage',
+      'referral:manage'
+    ]
+  },
+  'super-admin': {
+    description: 'Super administrator',
+    permissions: ['*']
+  }
+};
+
+// Check whether a set of granted permissions covers a required permission
+export const hasPermission = (granted, required) => {
+  if (granted.includes('*') || granted.includes(required)) return true;
+
+  const [resource] = required.split(':');
+  return granted.includes(`${resource}:*`);
+};
+
+// Check that a permission (or wildcard) exists in the catalog
+export const isKnownPermission = (permission) => {
+  if (permission === '*' || PERMISSIONS[permission]) return true;
+
+  const [resource, action] = permission.split(':');
+  return action === '*' && Object.keys(PERMISSIONS).some(p => p.startsWith(`${resource}:`));
+};
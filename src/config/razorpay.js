@@ -0,0 +1,16 @@
+import Razorpay from 'razorpay';
+
+let razorpayClient = null;
+
+// Razorpay client, created on first use
+const getRazorpay = () => {
+  if (razorpayClient) return razorpayClient;
+
+  razorpayClient = new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_KEY_SECRET
+  });
+  return razorpayClient;
+};
+
+export { getRazorpay };
@@ -0,0 +1,30 @@
+// Identity providers accepted for social login. The JWKS URL and issuer can be
+// overridden so a local stand-in identity provider can be used in tests.
+export const SOCIAL_PROVIDERS = ['google', 'facebook', 'apple'];
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+export const getSocialProviderConfig = (provider) => {
+  switch (provider) {
+    case 'google':
+      return {
+        jwksUrl: process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs',
+        issuer: splitList(process.env.GOOGLE_ISSUER || 'https://accounts.google.com,accounts.google.com'),
+        audience: splitList(process.env.GOOGLE_CLIENT_ID || '')
+      };
+    case 'facebook':
+      return {
+        jwksUrl: process.env.FACEBOOK_JWKS_URL || 'https://limited.facebook.com/.well-known/oauth/openid/jwks/',
+        issuer: splitList(process.env.FACEBOOK_ISSUER || 'https://www.facebook.com'),
+        audience: splitList(process.env.FACEBOOK_APP_ID || '')
+      };
+    case 'apple':
+      return {
+        jwksUrl: process.env.APPLE_JWKS_URL || 'https://appleid.apple.com/auth/keys',
+        issuer: splitList(process.env.APPLE_ISSUER || 'https://appleid.apple.com'),
+        audience: splitList(process.env.APPLE_CLIENT_ID || '')
+      };
+    default:
+      return null;
+  }
+};
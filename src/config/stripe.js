@@ -0,0 +1,26 @@
+import Stripe from 'stripe';
+
+let stripeClient = null;
+
+// Stripe client. STRIPE_API_BASE points it elsewhere, e.g. at stripe-mock
+// (http://localhost:12111) when running tests.
+const getStripe = () => {
+  if (stripeClient) return stripeClient;
+
+  const options = {
+    apiVersion: '2023-10-16',
+    maxNetworkRetries: 2
+  };
+
+  if (process.env.STRIPE_API_BASE) {
+    const baseUrl = new URL(process.env.STRIPE_API_BASE);
+    options.protocol = baseUrl.protocol.replace(':', '');
+    options.host = baseUrl.hostname;
+    options.port = baseUrl.port || (options.protocol === 'https' ? 443 : 80);
+  }
+
+  stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY, options);
+  return stripeClient;
+};
+
+export { getStripe };
@@ -0,0 +1,164 @@
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { getRedisClient } from '../config/redis.js';
+import { userHasPermission } from './auth.js';
+import { logger } from '../utils/logger.js';
+import { recordAuditEvent } from '../utils/audit.js';
+
+// Days of per-day usage counters kept in Redis
+export const API_KEY_USAGE_RETENTION_DAYS = 35;
+
+const usageKey = (keyId, day) => `api-key-usage:${keyId}:${day}`;
+
+// Count a request against the key's rate limit window
+const consumeRateLimit = async (apiKey) => {
+  const redisClient = getRedisClient();
+  if (!redisClient) return { allowed: true, remaining: apiKey.rateLimit.requests, retryAfter: 0 };
+
+  const { requests, windowSeconds } = apiKey.rateLimit;
+  const window = Math.floor(Date.now() / 1000 / windowSeconds);
+  const key = `api-key-rate:${apiKey._id}:${window}`;
+
+  const count = await redisClient.incr(key);
+  if (count === 1) {
+    await redisClient.expire(key, windowSeconds);
+  }
+
+  return {
+    allowed: count <= requests,
+    remaining: Math.max(requests - count, 0),
+    retryAfter: (window + 1) * windowSeconds - Math.floor(Date.now() / 1000)
+  };
+};
+
+// Record usage counters without holding up the request
+const recordUsage = (apiKey, ip) => {
+  ApiKey.updateOne({ _id: apiKey._id }, {
+    $inc: { 'usage.totalRequests': 1 },
+    $set: { 'usage.lastUsedAt': new Date(), 'usage.lastUsedIp': ip }
+  }).catch(error => logger.error('API key usage update error:', error));
+
+  const redisClient = getRedisClient();
+  if (!redisClient) return;
+
+  const key = usageKey(apiKey._id, new Date().toISOString().slice(0, 10));
+  redisClient.incr(key)
+    .then(() => redisClient.expire(key, API_KEY_USAGE_RETENTION_DAYS * 24 * 60 * 60))
+    .catch(error => logger.error('API key usage counter error:', error));
+};
+
+// Get per-day request counts for a key, most recent first
+export const getDailyUsage = async (keyId, days = 30) => {
+  const redisClient = getRedisClient();
+  const dates = Array.from({ length: days }, (_, i) =>
+    new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+  );
+
+  if (!redisClient) return dates.map(date => ({ date, requests: 0 }));
+
+  const counts = await redisClient.mGet(dates.map(date => usageKey(keyId, date)));
+  return dates.map((date, i) => ({ date, requests: parseInt(counts[i], 10) || 0 }));
+};
+
+// Turn an operation such as 'GET /:id' into a matcher for requests below
+// the router's mount path. `:name` matches one path segment and `*` the rest.
+const compileOperation = (operation, scope) => {
+  const [method, pattern] = operation.split(' ');
+  const source = pattern.replace(/\/$/, '').split('/').map(segment => {
+    if (segment === '*') return '.*';
+    if (segment.startsWith(':')) return '[^/]+';
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+
+  return { method, pattern: new RegExp(`^${source}/?$`), scope };
+};
+
+// Middleware to authenticate partners by the X-API-Key header. Requests
+// without the header pass through untouched so it can sit in front of
+// authMiddleware. `scopes` maps the operations keys may call to the scope
+// each requires (e.g. { 'GET /:id': 'bookings:read' }); every other route
+// is refused for keys.
+export const apiKeyAuth = (scopes) => {
+  const operations = Object.entries(scopes).map(([operation, scope]) => compileOperation(operation, scope));
+
+  return async (req, res, next) => {
+    const key = req.header('X-API-Key');
+    if (!key) return next();
+
+    try {
+      const apiKey = await ApiKey.findByKey(key);
+
+      if (!apiKey || !apiKey.isUsable) {
+        recordAuditEvent('partner.api-key-invalid', {
+          target: apiKey?.partner,
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+          details: { prefix: key.slice(0, 12), path: req.originalUrl }
+        });
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or revoked API key.'
+        });
+      }
+
+      const scope = operations.find(operation =>
+        operation.method === req.method && operation.pattern.test(req.path)
+      )?.scope;
+      if (!scope || !apiKey.hasScope(scope)) {
+        return res.status(403).json({
+          success: false,
+          message: scope ? `API key is missing the ${scope} scope.` : 'This operation is not available to API keys.'
+        });
+      }
+
+      const limit = await consumeRateLimit(apiKey);
+      res.set('X-RateLimit-Limit', String(apiKey.rateLimit.requests));
+      res.set('X-RateLimit-Remaining', String(limit.remaining));
+
+      if (!limit.allowed) {
+        res.set('Retry-After', String(limit.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'API key rate limit exceeded. Please try again later.',
+          retryAfter: limit.retryAfter
+        });
+      }
+
+      const partner = await User.findById(apiKey.partner).select('-password');
+
+      if (!partner || !partner.isActive || partner.isBlocked ||
+          !(await userHasPermission(partner, 'apikey:manage'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Partner account is not allowed to use API keys.'
+        });
+      }
+
+      recordUsage(apiKey, req.ip);
+
+      req.user = partner;
+      req.apiKey = apiKey;
+      next();
+
+    } catch (error) {
+      logger.error('API key middleware error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during authentication.'
+      });
+    }
+  };
+};
+
+// Middleware to tag bookings created through an API key as partner bookings
+export const tagPartnerBooking = (req, res, next) => {
+  if (req.apiKey && req.method === 'POST') {
+    req.body.metadata = {
+      ...req.body.metadata,
+      bookingSource: 'partner',
+      apiKey: req.apiKey._id
+    };
+  }
+
+  next();
+};
@@ -1,10 +1,57 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Role from '../models/Role.js';
+import ImpersonationRequest from '../models/ImpersonationRequest.js';
+import ImpersonationSession from '../models/ImpersonationSession.js';
 import { logger } from '../utils/logger.js';
+import { auditRequest } from '../utils/audit.js';
+import { DEFAULT_ROLES, hasPermission } from '../config/permissions.js';
 import { getCache, setCache } from '../config/redis.js';
+import { isAccessTokenRevoked, TokenStoreError } from '../utils/tokens.js';
+
+// Resolve the staff member behind an impersonation token and audit every
+// request made with it. Returns false if the impersonator may no longer act.
+const applyImpersonation = async (req, res, decoded) => {
+  const admin = await User.findById(decoded.impersonatedBy).select('firstName lastName email role isActive isBlocked');
+
+  if (!admin || !admin.isActive || admin.isBlocked ||
+      !(await userHasPermission(admin, 'user:impersonate'))) {
+    return false;
+  }
+
+  req.user.impersonatedBy = {
+    _id: admin._id,
+    firstName: admin.firstName,
+    lastName: admin.lastName,
+    email: admin.email
+  };
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    ImpersonationRequest.create({
+      session: decoded.familyId,
+      admin: admin._id,
+      user: decoded.userId,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }).catch(error => logger.error('Impersonation audit error:', error));
+
+    ImpersonationSession.updateOne({ _id: decoded.familyId }, { $inc: { requestCount: 1 } })
+      .catch(error => logger.error('Impersonation audit error:', error));
+  });
+
+  return true;
+};
 
 export const authMiddleware = async (req, res, next) => {
   try {
+    // Already authenticated by a partner API key
+    if (req.apiKey) return next();
+
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
     if (!token) {
@@ -16,6 +63,22 @@ export const authMiddleware = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+
+    // Only access tokens may authenticate requests
+    if (decoded.type !== 'access') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token.'
+      });
+    }
+
+    // Consult the revocation store before trusting any cached user
+    if (await isAccessTokenRevoked(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.'
+      });
+    }
     
     // Check cache first
     let user = await getCache(`user:${decoded.userId}`);
@@ -51,8 +114,17 @@ export const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    // Add user and token claims to request object
     req.user = user;
+    req.auth = decoded;
+
+    if (decoded.impersonatedBy && !(await applyImpersonation(req, res, decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Impersonation session is no longer valid.'
+      });
+    }
+
     next();
 
   } catch (error) {
@@ -72,6 +144,14 @@ export const authMiddleware = async (req, res, next) => {
       });
     }
 
+    // Revocation could not be checked, so the token cannot be trusted
+    if (error instanceof TokenStoreError) {
+      return res.status(503).json({
+        success: false,
+        message: 'Authentication is temporarily unavailable. Please try again.'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error during authentication.'
@@ -79,6 +159,44 @@ export const authMiddleware = async (req, res, next) => {
   }
 };
 
+// Socket.IO middleware: authenticate the connection with the access token
+// sent in the handshake (`auth.token`) and join the socket to its own user
+// room. Clients cannot choose which user's events they receive. The socket
+// is dropped when the token expires.
+export const socketAuth = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+    if (!token) {
+      return next(new Error('Access denied. No token provided.'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    if (decoded.type !== 'access' || await isAccessTokenRevoked(decoded)) {
+      return next(new Error('Invalid token.'));
+    }
+
+    const user = await User.findById(decoded.userId).select('isActive isBlocked');
+    if (!user || !user.isActive || user.isBlocked) {
+      return next(new Error('Account is not active.'));
+    }
+
+    socket.data.userId = decoded.userId;
+    socket.join(`user-${decoded.userId}`);
+
+    const expiry = setTimeout(() => socket.disconnect(true), decoded.exp * 1000 - Date.now());
+    socket.on('disconnect', () => clearTimeout(expiry));
+
+    next();
+  } catch (error) {
+    if (['JsonWebTokenError', 'TokenExpiredError'].includes(error.name)) {
+      return next(new Error('Invalid token.'));
+    }
+
+    logger.error('Socket auth error:', error);
+    next(new Error('Server error during authentication.'));
+  }
+};
+
 // Middleware to check if user is verified
 export const requireVerification = async (req, res, next) => {
   try {
@@ -106,6 +224,87 @@ export const requireVerification = async (req, res, next) => {
   }
 };
 
+// Middleware to require a completed profile (phone sign-in creates pending ones)
+export const requireCompleteProfile = (req, res, next) => {
+  if (req.user?.profileStatus === 'pending') {
+    return res.status(403).json({
+      success: false,
+      message: 'Please complete your profile (first name, last name and date of birth) to continue.'
+    });
+  }
+
+  next();
+};
+
+// Middleware to refuse sensitive actions (credentials, money movement) while
+// staff are impersonating the user
+export const blockWhileImpersonating = (req, res, next) => {
+  if (req.user?.impersonatedBy) {
+    auditRequest(req, 'admin.impersonation-blocked', {
+      details: { path: req.originalUrl }
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available while impersonating a user.'
+    });
+  }
+
+  next();
+};
+
+// Resolve the permissions granted to a role, preferring the stored definition
+export const getRolePermissions = async (roleName) => {
+  let permissions = await getCache(`role:${roleName}`);
+  if (permissions) return permissions;
+
+  const role = await Role.findByName(roleName);
+  permissions = role ? role.permissions : (DEFAULT_ROLES[roleName]?.permissions || []);
+
+  await setCache(`role:${roleName}`, permissions, 3600);
+  return permissions;
+};
+
+// Check whether a user's role grants a permission
+export const userHasPermission = async (user, permission) => {
+  const granted = await getRolePermissions(user.role);
+  return hasPermission(granted, permission);
+};
+
+// Middleware to require one or more permissions
+export const requirePermission = (permissions) => {
+  const required = Array.isArray(permissions) ? permissions : [permissions];
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required.'
+        });
+      }
+
+      const granted = await getRolePermissions(req.user.role);
+
+      if (!required.every(permission => hasPermission(granted, permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Insufficient permissions.'
+        });
+      }
+
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      logger.error('Permission middleware error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during permission check.'
+      });
+    }
+  };
+};
+
 // Middleware to check user role
 export const requireRole = (roles) => {
   return (req, res, next) => {
@@ -135,42 +334,17 @@ export const requireRole = (roles) => {
   };
 };
 
-// Middleware to check if user is admin
-export const requireAdmin = requireRole(['admin', 'super-admin']);
+// Middleware to check if user may use the admin API
+export const requireAdmin = requirePermission('admin:access');
 
 // Middleware to check if user is super admin
-export const requireSuperAdmin = requireRole(['super-admin']);
+export const requireSuperAdmin = requirePermission('*');
 
-// Middleware to check if user is runner
-export const requireRunner = requireRole(['runner']);
+// Middleware to check if user can fulfil bookings as a runner
+export const requireRunner = requirePermission('booking:fulfil');
 
-// Middleware to check if user is provider
-export const requireProvider = (req, res, next) => {
-  try {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required.'
-      });
-    }
-
-    // Providers can be users with provider role or dedicated providers
-    if (!['user', 'provider', 'admin', 'super-admin'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Provider permissions required.'
-      });
-    }
-
-    next();
-  } catch (error) {
-    logger.error('Provider middleware error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during provider check.'
-    });
-  }
-};
+// Middleware to check if user can offer services as a provider
+export const requireProvider = requirePermission('service:create');
 
 // Middleware to check if user owns the resource
 export const requireOwnership = (resourceModel, resourceIdField = 'id') => {
@@ -194,9 +368,9 @@ export const requireOwnership = (resourceModel, resourceIdField = 'id') => {
         });
       }
 
-      // Check if user owns the resource or is admin
-      if (resource.user.toString() !== req.user._id.toString() && 
-          !['admin', 'super-admin'].includes(req.user.role)) {
+      // Check if user owns the resource or may manage any user's resources
+      if (resource.user.toString() !== req.user._id.toString() &&
+          !(await userHasPermission(req.user, 'user:update'))) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only modify your own resources.'
@@ -255,6 +429,7 @@ export const logActivity = (action) => {
   return (req, res, next) => {
     try {
       logger.info(`User activity: ${req.user._id} - ${action} - ${req.originalUrl}`);
+      auditRequest(req, 'user.activity', { details: { action, path: req.originalUrl } });
       next();
     } catch (error) {
       logger.error('Activity logging error:', error);
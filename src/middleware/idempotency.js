@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { getRedisClient } from '../config/redis.js';
+import { logger } from '../utils/logger.js';
+
+// How long a stored response is replayed for
+const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+
+// How long a request may hold a key before another one can take it over,
+// and how long a concurrent retry waits for it to finish
+const LOCK_TTL_SECONDS = 60;
+const LOCK_WAIT_MS = 10 * 1000;
+const LOCK_POLL_MS = 100;
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Keys are scoped to the caller, so two users can never see each other's responses
+const recordKey = (userId, key) => `idempotency:${userId}:${key}`;
+const lockKey = (userId, key) => `idempotency-lock:${userId}:${key}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fingerprint of what was asked for, to tell a retry from a different
+// request reusing the same key
+const fingerprintRequest = (req) => {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl, req.body || {}]))
+    .digest('hex');
+};
+
+const getRecord = async (redisClient, key) => {
+  const value = await redisClient.get(key);
+  return value ? JSON.parse(value) : null;
+};
+
+// Delete a lock only while it is still ours. Once it has expired another
+// request may hold it, and that one must keep it.
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+const releaseLock = (redisClient, key, token) => {
+  return redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [key], arguments: [token] });
+};
+
+// Keep a finished response for replay and let waiting retries have it.
+// Only successful responses are kept: errors, including failed validation
+// or step-up checks, did not change anything, so a retry runs again.
+const storeResponse = async (redisClient, { storedKey, heldKey, token, fingerprint, status, body }) => {
+  try {
+    if (status < 400 && body !== undefined) {
+      await redisClient.setEx(storedKey, IDEMPOTENCY_TTL_SECONDS, JSON.stringify({ fingerprint, status, body }));
+    }
+    await releaseLock(redisClient, heldKey, token);
+  } catch (error) {
+    logger.error('Idempotency record error:', error);
+  }
+};
+
+// Answer a request from a stored record. Returns false if there is none.
+const replay = (req, res, record, fingerprint) => {
+  if (!record) return false;
+
+  if (record.fingerprint !== fingerprint) {
+    res.status(422).json({
+      success: false,
+      message: 'This Idempotency-Key was already used for a different request'
+    });
+    return true;
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  res.status(record.status).json(record.body);
+  return true;
+};
+
+// Middleware for mutations that must not run twice when a client retries.
+// The first response to a request sent with an Idempotency-Key header is
+// stored for 24 hours and returned again for retries with the same key;
+// a retry arriving while the first request is still running waits for it,
+// even if the first request's client has gone away. Requests without the
+// header run as usual. Error responses are not stored, so the client can
+// retry them.
+export const idempotent = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  const redisClient = getRedisClient();
+  if (!key || !MUTATING_METHODS.includes(req.method) || !redisClient) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key cannot exceed 255 characters'
+    });
+  }
+
+  const userId = req.user?._id || req.ip;
+  const storedKey = recordKey(userId, key);
+  const heldKey = lockKey(userId, key);
+  const fingerprint = fingerprintRequest(req);
+  const token = crypto.randomUUID();
+
+  try {
+    const waitUntil = Date.now() + LOCK_WAIT_MS;
+    let locked = false;
+
+    while (!locked) {
+      if (replay(req, res, await getRecord(redisClient, storedKey), fingerprint)) return;
+
+      locked = await redisClient.set(heldKey, token, { NX: true, EX: LOCK_TTL_SECONDS }) === 'OK';
+      if (locked) break;
+
+      if (Date.now() >= waitUntil) {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+      await sleep(LOCK_POLL_MS);
+    }
+
+    // The first request may have finished between the check and taking the lock
+    const record = await getRecord(redisClient, storedKey);
+    if (record) {
+      await releaseLock(redisClient, heldKey, token);
+      replay(req, res, record, fingerprint);
+      return;
+    }
+
+    // Store the response as soon as the handler produces it, whether or not
+    // the client is still connected to receive it. A handler that never
+    // responds leaves the lock to expire.
+    let stored = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+      stored = true;
+      storeResponse(redisClient, { storedKey, heldKey, token, fingerprint, status: res.statusCode, body });
+      return json(body);
+    };
+
+    // Responses sent other than as JSON are not replayed, only unlocked
+    res.on('finish', () => {
+      if (stored) return;
+      releaseLock(redisClient, heldKey, token).catch(error => logger.error('Idempotency record error:', error));
+    });
+
+    next();
+
+  } catch (error) {
+    logger.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking Idempotency-Key'
+    });
+  }
+};
@@ -0,0 +1,193 @@
+import slowDown from 'express-slow-down';
+import { getRedisClient } from '../config/redis.js';
+import { logger } from '../utils/logger.js';
+import { recordAuditEvent } from '../utils/audit.js';
+
+// Attempt limits shared across instances through Redis. Each rule allows
+// `limit` attempts per identifier (phone, email or IP) within `windowSeconds`.
+export const THROTTLE_RULES = {
+  otpSendPhone: { limit: 5, windowSeconds: 60 * 60 },
+  otpSendIp: { limit: 20, windowSeconds: 60 * 60 },
+  otpVerifyPhone: { limit: 5, windowSeconds: 15 * 60 },
+  otpVerifyIp: { limit: 30, windowSeconds: 15 * 60 },
+  loginIp: { limit: 20, windowSeconds: 15 * 60 },
+  passwordResetEmail: { limit: 3, windowSeconds: 60 * 60 },
+  passwordResetIp: { limit: 10, windowSeconds: 60 * 60 },
+  walletStepUpUser: { limit: 5, windowSeconds: 15 * 60 },
+  reauthUser: { limit: 5, windowSeconds: 15 * 60 }
+};
+
+// Minimum delay between two OTP messages to the same phone, in seconds
+export const OTP_RESEND_COOLDOWN = 60;
+
+const throttleKey = (ruleName, id) => `throttle:${ruleName}:${id}`;
+
+// Check whether an identifier has exhausted its attempts for a rule
+export const getThrottleStatus = async (ruleName, id) => {
+  const redisClient = getRedisClient();
+  if (!redisClient || !id) return { blocked: false, retryAfter: 0 };
+
+  try {
+    const key = throttleKey(ruleName, id);
+    const count = parseInt(await redisClient.get(key), 10) || 0;
+
+    if (count < THROTTLE_RULES[ruleName].limit) {
+      return { blocked: false, retryAfter: 0 };
+    }
+
+    const ttl = await redisClient.ttl(key);
+    return { blocked: true, retryAfter: Math.max(ttl, 1) };
+  } catch (error) {
+    logger.error('Throttle status error:', error);
+    return { blocked: false, retryAfter: 0 };
+  }
+};
+
+// Record an attempt against a rule. Records an audit event when the limit is reached.
+export const recordAttempt = async (ruleName, id, ip) => {
+  const redisClient = getRedisClient();
+  if (!redisClient || !id) return { count: 0, blocked: false };
+
+  try {
+    const rule = THROTTLE_RULES[ruleName];
+    const key = throttleKey(ruleName, id);
+
+    const count = await redisClient.incr(key);
+    if (count === 1) {
+      await redisClient.expire(key, rule.windowSeconds);
+    }
+
+    if (count === rule.limit) {
+      recordAuditEvent('auth.throttle-limit-reached', {
+        ip,
+        details: {
+          rule: ruleName,
+          identifier: id,
+          limit: rule.limit,
+          windowSeconds: rule.windowSeconds
+        }
+      });
+    }
+
+    return { count, blocked: count >= rule.limit };
+  } catch (error) {
+    logger.error('Throttle record error:', error);
+    return { count: 0, blocked: false };
+  }
+};
+
+// Clear the attempts recorded for an identifier, e.g. after a success
+export const clearAttempts = async (ruleName, id) => {
+  const redisClient = getRedisClient();
+  if (!redisClient || !id) return;
+
+  try {
+    await redisClient.del(throttleKey(ruleName, id));
+  } catch (error) {
+    logger.error('Throttle clear error:', error);
+  }
+};
+
+// Start a cooldown. Returns 0 if started, or the seconds left on an active one.
+export const startCooldown = async (name, id, seconds) => {
+  const redisClient = getRedisClient();
+  if (!redisClient || !id) return 0;
+
+  try {
+    const key = `cooldown:${name}:${id}`;
+    const started = await redisClient.set(key, '1', { NX: true, EX: seconds });
+    if (started) return 0;
+
+    return Math.max(await redisClient.ttl(key), 1);
+  } catch (error) {
+    logger.error('Cooldown error:', error);
+    return 0;
+  }
+};
+
+// Middleware to reject requests whose identifier is over a rule's limit
+export const limitAttempts = (ruleName, getIdentifier) => {
+  return async (req, res, next) => {
+    const { blocked, retryAfter } = await getThrottleStatus(ruleName, getIdentifier(req));
+
+    if (blocked) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many attempts. Please try again later.',
+        retryAfter
+      });
+    }
+
+    next();
+  };
+};
+
+// express-slow-down store keeping request counts in Redis, so the delay
+// applies across instances. Requests are not delayed while Redis is
+// unavailable, like the attempt limits above.
+class RedisSlowDownStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  key(id) {
+    return `${this.prefix}:${id}`;
+  }
+
+  async increment(id) {
+    const redisClient = getRedisClient();
+    const resetTime = new Date(Date.now() + this.windowMs);
+    if (!redisClient) return { totalHits: 0, resetTime };
+
+    try {
+      const key = this.key(id);
+      const totalHits = await redisClient.incr(key);
+      let ttl = await redisClient.pTTL(key);
+      if (totalHits === 1 || ttl < 0) {
+        await redisClient.pExpire(key, this.windowMs);
+        ttl = this.windowMs;
+      }
+
+      return { totalHits, resetTime: new Date(Date.now() + ttl) };
+    } catch (error) {
+      logger.error('Slow-down store error:', error);
+      return { totalHits: 0, resetTime };
+    }
+  }
+
+  async decrement(id) {
+    const redisClient = getRedisClient();
+    if (!redisClient) return;
+
+    try {
+      await redisClient.decr(this.key(id));
+    } catch (error) {
+      logger.error('Slow-down store error:', error);
+    }
+  }
+
+  async resetKey(id) {
+    const redisClient = getRedisClient();
+    if (!redisClient) return;
+
+    try {
+      await redisClient.del(this.key(id));
+    } catch (error) {
+      logger.error('Slow-down store error:', error);
+    }
+  }
+}
+
+// Progressive per-IP delay in front of sensitive authentication endpoints
+export const authSlowDown = slowDown({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  delayAfter: 5, // allow 5 requests per windowMs at full speed
+  delayMs: (used, req) => (used - req.slowDown.limit) * 500,
+  maxDelayMs: 10 * 1000,
+  store: new RedisSlowDownStore('slowdown:auth')
+});
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import multer from 'multer';
+
+const ALLOWED_DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+// Private documents (e.g. KYC) are kept outside the public /uploads directory
+export const getDocumentStoragePath = () => {
+  return path.resolve(process.env.DOCUMENT_UPLOAD_PATH || 'private-uploads/documents');
+};
+
+const documentStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = getDocumentStoragePath();
+    fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+const documentFilter = (req, file, cb) => {
+  if (!ALLOWED_DOCUMENT_TYPES.includes(file.mimetype)) {
+    return cb(new Error('Only PDF, JPEG and PNG documents are allowed'));
+  }
+  cb(null, true);
+};
+
+// Middleware to accept private document uploads for the given multer fields,
+// answering upload errors with 400
+export const uploadDocuments = (fields) => {
+  return (req, res, next) => {
+    const upload = multer({
+      storage: documentStorage,
+      fileFilter: documentFilter,
+      limits: {
+        fileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024,
+        files: 10
+      }
+    }).fields(fields);
+
+    upload(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next();
+    });
+  };
+};
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Scopes a partner API key may be granted
+export const API_KEY_SCOPES = {
+  'bookings:create': 'Create bookings',
+  'bookings:read': 'Read booking status',
+  'services:read': 'List services'
+};
+
+const KEY_PREFIX = 'mkp_';
+
+const apiKeySchema = new mongoose.Schema({
+  // Partner account that owns the key
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+
+  // Only a SHA-256 hash of the key is stored; the prefix is kept for display
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  scopes: [{
+    type: String,
+    enum: Object.keys(API_KEY_SCOPES)
+  }],
+
+  // Requests allowed per window
+  rateLimit: {
+    requests: {
+      type: Number,
+      min: 1,
+      default: () => parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60
+    },
+    windowSeconds: {
+      type: Number,
+      min: 1,
+      default: 60
+    }
+  },
+
+  usage: {
+    totalRequests: {
+      type: Number,
+      default: 0
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  expiresAt: Date,
+  revokedAt: Date,
+  rotatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+apiKeySchema.index({ partner: 1, createdAt: -1 });
+
+// Virtual for whether the key can currently authenticate
+apiKeySchema.virtual('isUsable').get(function() {
+  return this.isActive && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Hash a plaintext key for storage and lookup
+export const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Static method to generate a key; the plaintext is returned only once
+apiKeySchema.statics.generate = async function({ partner, name, scopes, rateLimit, expiresAt, rotatedFrom }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await this.create({
+    partner,
+    name,
+    scopes,
+    rateLimit,
+    expiresAt,
+    rotatedFrom,
+    keyHash: hashApiKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 8)
+  });
+
+  return { apiKey, key };
+};
+
+// Static method to find a key by its plaintext value
+apiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashApiKey(key) });
+};
+
+// Instance method to check a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Instance method to revoke the key
+apiKeySchema.methods.revoke = function() {
+  this.isActive = false;
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
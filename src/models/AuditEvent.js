@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+// Event types recorded in the audit log
+export const AUDIT_EVENT_TYPES = [
+  'auth.login',
+  'auth.login-failed',
+  'auth.account-locked',
+  'auth.refresh-token-reuse',
+  'auth.password-changed',
+  'auth.password-change-failed',
+  'auth.password-reset',
+  'auth.2fa-enabled',
+  'auth.2fa-disabled',
+  'auth.2fa-failed',
+  'auth.email-change-requested',
+  'auth.email-changed',
+  'auth.phone-changed',
+  'auth.reauthentication-failed',
+  'auth.transaction-pin-set',
+  'auth.social-linked',
+  'auth.social-unlinked',
+  'auth.session-revoked',
+  'auth.logout-all',
+  'auth.throttle-limit-reached',
+  'admin.user-blocked',
+  'admin.user-unblocked',
+  'admin.role-created',
+  'admin.role-updated',
+  'admin.role-deleted',
+  'admin.role-assigned',
+  'admin.kyc-document-accessed',
+  'admin.provider-approved',
+  'admin.provider-rejected',
+  'admin.impersonation-started',
+  'admin.impersonation-ended',
+  'admin.impersonation-blocked',
+  'admin.audit-exported',
+  'admin.wallet-adjusted',
+  'admin.fx-rate-published',
+  'admin.fx-rate-withdrawn',
+  'admin.cancellation-refund-retried',
+  'admin.commission-rate-updated',
+  'admin.commission-rate-removed',
+  'admin.payout-batch-run',
+  'admin.referral-campaign-created',
+  'admin.referral-campaign-updated',
+  'partner.api-key-created',
+  'partner.api-key-rotated',
+  'partner.api-key-revoked',
+  'partner.api-key-invalid',
+  'privacy.export-requested',
+  'privacy.export-downloaded',
+  'account.deletion-requested',
+  'account.deletion-cancelled',
+  'account.deleted',
+  'wallet.step-up-failed',
+  'payout.account-updated',
+  'payout.account-removed',
+  'user.activity'
+];
+
+const auditEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: AUDIT_EVENT_TYPES,
+    required: true
+  },
+  // User who performed the action, if known
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // User the action applied to
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: String,
+  userAgent: String,
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ type: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ target: 1, createdAt: -1 });
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+export default AuditEvent;
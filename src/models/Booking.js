@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Statuses in which a booking can still be paid for
+export const PAYABLE_BOOKING_STATUSES = ['pending', 'confirmed', 'assigned', 'in-progress'];
+
 const bookingSchema = new mongoose.Schema({
   // Basic Information
   bookingId: {
@@ -104,6 +107,20 @@ const bookingSchema = new mongoose.Schema({
     currency: {
       type: String,
       default: 'USD'
+    },
+    // What the payer is charged when they pay in another currency, with the
+    // rate applied at checkout (see utils/fx.js)
+    payer: {
+      currency: String,
+      totalAmount: Number,
+      rate: Number,
+      midRate: Number,
+      spreadPercent: Number,
+      rates: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FxRate'
+      }],
+      quotedAt: Date
     }
   },
   
@@ -127,6 +144,26 @@ const bookingSchema = new mongoose.Schema({
     },
     refundDate: Date
   },
+
+  // How the amount paid was split once the booking completed
+  // (utils/payouts.js), in the currency it was paid in
+  settlement: {
+    status: {
+      type: String,
+      enum: ['settled', 'skipped']
+    },
+    currency: String,
+    grossAmount: Number,
+    platformPercent: Number,
+    platformFee: Number,
+    providerAmount: Number,
+    runnerAmount: Number,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    settledAt: Date
+  },
   
   // Status Tracking
   status: {
@@ -223,14 +260,28 @@ const bookingSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    cancelledByRole: {
+      type: String,
+      enum: ['user', 'provider', 'runner', 'admin']
+    },
     cancelledAt: Date,
     reason: String,
+    // Outcome of the cancellation policy (utils/cancellations.js), in the
+    // currency the booking was paid in
+    policy: String,
+    fee: Number,
     refundAmount: Number,
+    refundCurrency: String,
+    refundMethod: {
+      type: String,
+      enum: ['original', 'wallet']
+    },
     refundStatus: {
       type: String,
       enum: ['pending', 'processed', 'completed', 'failed'],
       default: 'pending'
-    }
+    },
+    refundError: String
   },
   
   // Dispute
@@ -276,6 +327,11 @@ const bookingSchema = new mongoose.Schema({
       enum: ['web', 'mobile-app', 'phone', 'partner'],
       default: 'mobile-app'
     },
+    // Partner API key the booking was created with
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
     referralCode: String,
     campaign: String
   }
@@ -384,18 +440,38 @@ bookingSchema.methods.updateTracking = function(latitude, longitude, address = '
   return this.save();
 };
 
-// Instance method to cancel booking
-bookingSchema.methods.cancelBooking = function(cancelledBy, reason, refundAmount = 0) {
-  this.cancellation = {
-    isCancelled: true,
-    cancelledBy: cancelledBy,
-    cancelledAt: new Date(),
-    reason: reason,
-    refundAmount: refundAmount,
-    refundStatus: refundAmount > 0 ? 'pending' : 'completed'
-  };
-  this.status.current = 'cancelled';
-  return this.save();
+// Instance method to cancel booking. The refund and fee come from the
+// cancellation policy; see evaluateCancellation in utils/cancellations.js.
+// Only cancels if nobody cancelled the booking or moved it to another status
+// since it was loaded, as the outcome depends on both. Resolves to the
+// cancelled booking, or null if it had changed.
+bookingSchema.methods.cancelBooking = function(cancelledBy, reason, outcome = {}) {
+  const { refundAmount = 0 } = outcome;
+
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      'cancellation.isCancelled': { $ne: true },
+      'status.current': this.status.current
+    },
+    {
+      cancellation: {
+        isCancelled: true,
+        cancelledBy: cancelledBy,
+        cancelledByRole: outcome.cancelledByRole,
+        cancelledAt: new Date(),
+        reason: reason,
+        policy: outcome.policy,
+        fee: outcome.fee,
+        refundAmount: refundAmount,
+        refundCurrency: outcome.currency,
+        refundMethod: outcome.refundMethod,
+        refundStatus: refundAmount > 0 ? 'pending' : 'completed'
+      },
+      'status.current': 'cancelled'
+    },
+    { new: true, runValidators: true }
+  );
 };
 
 // Instance method to add review
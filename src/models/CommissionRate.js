@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Platform commission and runner share for a service category. The
+// `default` category applies to categories without their own rate.
+const commissionRateSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Percentage of the amount paid kept by the platform
+  platformPercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Percentage of the amount paid earned by the runner, when one is assigned
+  runnerPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const CommissionRate = mongoose.model('CommissionRate', commissionRateSchema);
+
+export default CommissionRate;
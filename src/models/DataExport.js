@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'ready', 'failed', 'expired'],
+    default: 'queued'
+  },
+
+  // Archive on disk, downloadable with the emailed token until expiresAt
+  fileName: String,
+  size: Number,
+  downloadTokenHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: Date,
+
+  startedAt: Date,
+  // Times processing was started; jobs interrupted mid-way are retried
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  completedAt: Date,
+  downloadedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, createdAt: 1 });
+dataExportSchema.index({ downloadTokenHash: 1 }, { sparse: true });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+export default DataExport;
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// A provider's or runner's share of a completed booking, credited to their
+// payable account. Earnings are paid out in batches and held while the
+// booking is disputed. A refund after settlement takes part of the share
+// back as a negative earning for the same booking, netted against the
+// payee's next payout.
+const earningSchema = new mongoose.Schema({
+  payee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['provider', 'runner'],
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  // Payment refund (an entry in Payment.refunds) a clawback is for
+  refund: mongoose.Schema.Types.ObjectId,
+
+  // Amounts in minor units (cents), in the currency the booking was paid in
+  grossAmount: {
+    type: Number,
+    required: true
+  },
+  // Negative for clawbacks
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  sharePercent: Number,
+
+  status: {
+    type: String,
+    enum: ['available', 'held', 'paid'],
+    default: 'available'
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+earningSchema.index({ booking: 1, role: 1 }, { unique: true, partialFilterExpression: { refund: { $exists: false } } });
+earningSchema.index({ refund: 1, role: 1 }, { unique: true, partialFilterExpression: { refund: { $exists: true } } });
+earningSchema.index({ payee: 1, status: 1, currency: 1 });
+earningSchema.index({ payout: 1 });
+
+const Earning = mongoose.model('Earning', earningSchema);
+
+export default Earning;
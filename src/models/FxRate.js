@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import { SUPPORTED_CURRENCIES } from '../config/currencies.js';
+
+// An exchange rate for a currency pair, effective from a point in time until
+// a newer rate for the same pair takes over. Rates are never edited, so the
+// rate applied to any past conversion can always be traced.
+const fxRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    required: true
+  },
+  quote: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    required: true
+  },
+  // Mid-market units of `quote` per one unit of `base`
+  rate: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: (value) => value > 0,
+      message: 'Rate must be positive'
+    }
+  },
+  // Margin taken on conversions, as a percentage of the mid rate
+  spreadPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 10
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  source: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+fxRateSchema.index({ base: 1, quote: 1, effectiveFrom: -1 });
+
+const FxRate = mongoose.model('FxRate', fxRateSchema);
+
+export default FxRate;
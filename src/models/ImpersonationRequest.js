@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// One record per API request made with an impersonation token
+const impersonationRequestSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImpersonationSession',
+    required: true
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  durationMs: Number,
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+impersonationRequestSchema.index({ session: 1, createdAt: 1 });
+
+const ImpersonationRequest = mongoose.model('ImpersonationRequest', impersonationRequestSchema);
+
+export default ImpersonationRequest;
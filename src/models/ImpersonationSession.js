@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const impersonationSessionSchema = new mongoose.Schema({
+  // Staff member acting as the user
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User being impersonated
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  ipAddress: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date,
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+impersonationSessionSchema.index({ admin: 1, createdAt: -1 });
+impersonationSessionSchema.index({ user: 1, createdAt: -1 });
+
+// Virtual for whether the session can still be used
+impersonationSessionSchema.virtual('isActive').get(function() {
+  return !this.endedAt && this.expiresAt > new Date();
+});
+
+// Instance method to end the session early
+impersonationSessionSchema.methods.end = function(endedBy) {
+  this.endedAt = new Date();
+  this.endedBy = endedBy;
+  return this.save();
+};
+
+const ImpersonationSession = mongoose.model('ImpersonationSession', impersonationSessionSchema);
+
+export default ImpersonationSession;
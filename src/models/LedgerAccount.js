@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// Every account uses the same sign convention: balance = credits - debits,
+// in minor currency units (cents). Customer wallets and provider payables
+// are what the platform owes, so they are credited when they grow and may
+// never go negative. Platform accounts (revenue, refunds, clearing, fx) can.
+// Each account holds one currency; the FX account carries the platform's
+// position in every currency users convert between.
+export const LEDGER_ACCOUNT_TYPES = [
+  'user-wallet',
+  'provider-payable',
+  'platform-revenue',
+  'refunds',
+  'clearing',
+  'adjustments',
+  'fx'
+];
+
+const ledgerAccountSchema = new mongoose.Schema({
+  // Stable identifier, e.g. `wallet:<userId>:USD` or `platform:revenue:EUR`
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: LEDGER_ACCOUNT_TYPES,
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  // Cached running balance, maintained by ledger postings only
+  balance: {
+    type: Number,
+    default: 0
+  },
+  allowNegative: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerAccountSchema.index({ owner: 1, type: 1 });
+
+const LedgerAccount = mongoose.model('LedgerAccount', ledgerAccountSchema);
+
+export default LedgerAccount;
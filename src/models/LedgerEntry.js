@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import { immutable } from './plugins/immutable.js';
+
+// One row per account touched by a transaction, carrying the account balance
+// right after the posting so history can be paged with a running balance
+const ledgerEntrySchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerAccount',
+    required: true
+  },
+  // Signed change to the account balance, in minor units
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  currency: String,
+  type: String,
+  description: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+ledgerEntrySchema.index({ account: 1, createdAt: -1, _id: -1 });
+ledgerEntrySchema.index({ transaction: 1 });
+
+ledgerEntrySchema.plugin(immutable);
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+export default LedgerEntry;
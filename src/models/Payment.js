@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+
+// Uniform payment lifecycle across gateways. Adapters in utils/gateways map
+// their own statuses onto these; utils/payments.js owns the transitions.
+export const PAYMENT_STATUSES = [
+  'pending',
+  'requires-action',
+  'authorized',
+  'succeeded',
+  'failed',
+  'canceled',
+  'refunded',
+  'partially-refunded'
+];
+
+export const PAYMENT_PROVIDERS = ['stripe', 'paypal', 'razorpay', 'wallet'];
+
+// A payment collected through a gateway or the user's wallet
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['wallet-top-up', 'booking'],
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // Method the payer chose, as in Booking.payment.method
+  method: {
+    type: String,
+    enum: ['card', 'wallet', 'paypal', 'apple-pay', 'google-pay'],
+    default: 'card'
+  },
+  provider: {
+    type: String,
+    enum: PAYMENT_PROVIDERS,
+    required: true
+  },
+  // Gateway reference, e.g. the Stripe PaymentIntent, PayPal payment or
+  // Razorpay order ID
+  providerPaymentId: String,
+  // Further gateway references needed to capture or refund, e.g. a PayPal
+  // authorization ID or the Razorpay payment ID
+  providerData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  captureMethod: {
+    type: String,
+    enum: ['automatic', 'manual'],
+    default: 'automatic'
+  },
+
+  // Amounts in minor units (cents)
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Referral credit taken off the amount charged: `amount` in the payment
+  // currency and `baseAmount` in the credit's currency, both in minor units
+  referralCredit: {
+    amount: Number,
+    baseAmount: Number,
+    currency: String
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending'
+  },
+  failureReason: String,
+  // Whether this is the booking's one payment. Cleared when the payment
+  // fails or is canceled; a payment the gateway still completes after
+  // that does not get it back and is refunded instead.
+  holdsBookingSlot: {
+    type: Boolean,
+    default: true
+  },
+
+  refunds: [{
+    providerRefundId: String,
+    amount: Number,
+    reason: String,
+    destination: {
+      type: String,
+      enum: ['original', 'wallet'],
+      default: 'original'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending'
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Ledger transaction that settled the funds
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  authorizedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ booking: 1, createdAt: -1 });
+// Enforces the one payment per booking, so concurrent attempts to pay the
+// same booking cannot both go through
+paymentSchema.index(
+  { booking: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { booking: { $exists: true }, holdsBookingSlot: true }
+  }
+);
+paymentSchema.index(
+  { provider: 1, providerPaymentId: 1 },
+  { unique: true, partialFilterExpression: { providerPaymentId: { $exists: true } } }
+);
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Money paid out to a provider or runner from their payable account, as
+// part of a payout batch. The earnings it covers point back to it.
+const payoutSchema = new mongoose.Schema({
+  payoutId: {
+    type: String,
+    unique: true,
+    default: () => `PO-${crypto.randomUUID()}`
+  },
+  payee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch',
+    required: true
+  },
+
+  // Amount in minor units (cents)
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  earningsCount: Number,
+  // Bank account the money is sent to, as shown to the payee
+  destination: {
+    name: String,
+    last4: String
+  },
+
+  status: {
+    type: String,
+    enum: ['processing', 'paid', 'failed'],
+    default: 'processing'
+  },
+  failureReason: String,
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+payoutSchema.index({ payee: 1, createdAt: -1 });
+payoutSchema.index({ batch: 1 });
+
+const Payout = mongoose.model('Payout', payoutSchema);
+
+export default Payout;
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// One run of the payout schedule, submitted to the payout adapter as a
+// single file or bank request
+const payoutBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    unique: true,
+    default: () => `PBT-${crypto.randomUUID()}`
+  },
+  adapter: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+  // Reference returned by the adapter, e.g. the file name
+  reference: String,
+  payoutCount: {
+    type: Number,
+    default: 0
+  },
+  // Totals per currency, in minor units
+  totals: [{
+    currency: String,
+    amount: Number
+  }],
+  // Payees left for a later batch, with the reason
+  skipped: [{
+    payee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    currency: String,
+    amount: Number,
+    reason: String
+  }],
+  error: String,
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+payoutBatchSchema.index({ createdAt: -1 });
+
+const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
+
+export default PayoutBatch;
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+const providerApplicationSchema = new mongoose.Schema({
+  // Applicant
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Business Information
+  businessName: {
+    type: String,
+    required: [true, 'Business name is required'],
+    trim: true,
+    maxlength: [100, 'Business name cannot exceed 100 characters']
+  },
+  businessType: {
+    type: String,
+    enum: ['individual', 'company'],
+    default: 'individual'
+  },
+  registrationNumber: {
+    type: String,
+    trim: true
+  },
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  // KYC Documents
+  documents: [{
+    type: {
+      type: String,
+      enum: ['identity', 'business-registration', 'certification'],
+      required: true
+    },
+    originalName: String,
+    fileName: String,
+    mimeType: String,
+    size: Number,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Review
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    rejectionReasons: [String],
+    notes: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+providerApplicationSchema.index({ user: 1, createdAt: -1 });
+providerApplicationSchema.index({ status: 1, createdAt: -1 });
+
+// Instance method to approve the application
+providerApplicationSchema.methods.approve = function(reviewedBy, notes = '') {
+  this.status = 'approved';
+  this.review = {
+    reviewedBy,
+    reviewedAt: new Date(),
+    rejectionReasons: [],
+    notes
+  };
+  return this.save();
+};
+
+// Instance method to reject the application
+providerApplicationSchema.methods.reject = function(reviewedBy, reasons, notes = '') {
+  this.status = 'rejected';
+  this.review = {
+    reviewedBy,
+    reviewedAt: new Date(),
+    rejectionReasons: reasons,
+    notes
+  };
+  return this.save();
+};
+
+// Static method to find a user's most recent application
+providerApplicationSchema.statics.findLatestForUser = function(userId) {
+  return this.findOne({ user: userId }).sort({ createdAt: -1 });
+};
+
+const ProviderApplication = mongoose.model('ProviderApplication', providerApplicationSchema);
+
+export default ProviderApplication;
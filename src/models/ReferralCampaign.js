@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Rewards offered for referring new users while the campaign runs. The
+// campaign active when a referee signs up decides what both sides earn.
+const referralCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  // Credit amounts in the base currency
+  referrerReward: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refereeReward: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Most rewards one referrer can earn from this campaign
+  maxRewardsPerReferrer: {
+    type: Number,
+    default: 10,
+    min: 1
+  },
+  // Days credits stay spendable after they are earned
+  creditExpiryDays: {
+    type: Number,
+    default: 90,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+referralCampaignSchema.index({ isActive: 1, startsAt: -1 });
+
+const ReferralCampaign = mongoose.model('ReferralCampaign', referralCampaignSchema);
+
+export default ReferralCampaign;
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// Referral credit for one side of a referral. Created pending when the
+// referee signs up and made available once their first booking completes.
+// Credits are spent at checkout and expire if unused.
+const referralRewardSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReferralCampaign',
+    required: true
+  },
+  beneficiary: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['referrer', 'referee'],
+    required: true
+  },
+  referrer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  referee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Amounts in minor units (cents)
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  remaining: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'available', 'redeemed', 'expired', 'rejected'],
+    default: 'pending'
+  },
+  rejectionReason: String,
+  qualifyingBooking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  qualifiedAt: Date,
+  expiresAt: Date,
+  expiredAmount: Number,
+  // Numbered per referrer and campaign when a referrer reward is granted,
+  // so the campaign's limit holds under concurrent qualification
+  slot: Number,
+  redemptions: [{
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    amount: Number,
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+referralRewardSchema.index({ referee: 1, role: 1 }, { unique: true });
+referralRewardSchema.index({ beneficiary: 1, status: 1, expiresAt: 1 });
+referralRewardSchema.index({ referrer: 1, campaign: 1, role: 1 });
+referralRewardSchema.index(
+  { referrer: 1, campaign: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+referralRewardSchema.index({ status: 1, expiresAt: 1 });
+
+const ReferralReward = mongoose.model('ReferralReward', referralRewardSchema);
+
+export default ReferralReward;
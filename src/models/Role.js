@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]*$/, 'Role name may only contain lowercase letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  // Built-in roles cannot be deleted, only have their permissions changed
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to find by name
+roleSchema.statics.findByName = function(name) {
+  return this.findOne({ name: name.toLowerCase() });
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { immutable } from './plugins/immutable.js';
+
+// A posted journal entry. Its lines always balance (total debits equal
+// total credits); reversing one means posting a new transaction.
+const transactionSchema = new mongoose.Schema({
+  transactionId: {
+    type: String,
+    unique: true,
+    default: () => `TXN-${crypto.randomUUID()}`
+  },
+  type: {
+    type: String,
+    enum: [
+      'opening-balance',
+      'top-up',
+      'booking-payment',
+      'earnings',
+      'refund',
+      'transfer',
+      'payout',
+      'adjustment',
+      'conversion'
+    ],
+    required: true
+  },
+  description: String,
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  lines: [{
+    _id: false,
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerAccount',
+      required: true
+    },
+    accountCode: String,
+    currency: {
+      type: String,
+      uppercase: true
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+
+  // Guards against posting the same external event twice
+  idempotencyKey: String,
+  reference: {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    externalId: String
+  },
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+transactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+transactionSchema.index({ 'reference.booking': 1 });
+transactionSchema.index({ 'lines.account': 1, createdAt: -1 });
+
+transactionSchema.plugin(immutable);
+
+const Transaction = mongoose.model('Transaction', transactionSchema);
+
+export default Transaction;
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// A wallet-to-wallet transfer between two users. Created as a quote the
+// sender must confirm before expiresAt; only confirmation moves money.
+const transferSchema = new mongoose.Schema({
+  transferId: {
+    type: String,
+    unique: true,
+    default: () => `TRF-${crypto.randomUUID()}`
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // How the sender identified the recipient
+  recipientLookup: {
+    type: {
+      type: String,
+      enum: ['phone', 'email', 'referralCode']
+    },
+    value: String
+  },
+
+  // Amount in minor units (cents)
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Amount valued in the base currency at quote time, for transfer limits
+  baseAmount: {
+    type: Number,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [140, 'Note cannot exceed 140 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'canceled'],
+    default: 'pending'
+  },
+  requiresStepUp: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Ledger transaction that moved the funds
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+transferSchema.index({ sender: 1, createdAt: -1 });
+transferSchema.index({ recipient: 1, createdAt: -1 });
+transferSchema.index({ sender: 1, status: 1, completedAt: -1 });
+
+const Transfer = mongoose.model('Transfer', transferSchema);
+
+export default Transfer;
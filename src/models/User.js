@@ -1,38 +1,61 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Accounts created through phone or social sign-in start as pending profiles
+// without a date of birth, and have no password (or phone, for social
+// accounts) unless they add one. Anonymized accounts keep none of these.
+function isProfileRequired() {
+  return !['pending', 'anonymized'].includes(this.profileStatus);
+}
+
+function isPasswordRequired() {
+  return this.signupMethod === 'email' && this.profileStatus !== 'anonymized';
+}
+
+function isPhoneRequired() {
+  return ['email', 'phone'].includes(this.signupMethod) && this.profileStatus !== 'anonymized';
+}
+
+// A card is usable until the end of its expiry month
+export const isPaymentMethodExpired = (method, at = new Date()) => {
+  if (!method.expYear || !method.expMonth) return false;
+  return at >= new Date(method.expYear, method.expMonth, 1);
+};
+
 const userSchema = new mongoose.Schema({
   // Basic Information
   firstName: {
     type: String,
-    required: [true, 'First name is required'],
+    required: [isProfileRequired, 'First name is required'],
     trim: true,
     maxlength: [50, 'First name cannot exceed 50 characters']
   },
   lastName: {
     type: String,
-    required: [true, 'Last name is required'],
+    required: [isProfileRequired, 'Last name is required'],
     trim: true,
     maxlength: [50, 'Last name cannot exceed 50 characters']
   },
   email: {
     type: String,
-    required: [true, 'Email is required'],
+    required: [isPasswordRequired, 'Email is required'],
     unique: true,
+    sparse: true,
     lowercase: true,
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
   phone: {
     type: String,
-    required: [true, 'Phone number is required'],
+    required: [isPhoneRequired, 'Phone number is required'],
     unique: true,
+    sparse: true,
     trim: true,
     match: [/^\+?[\d\s\-\(\)]+$/, 'Please enter a valid phone number']
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [isPasswordRequired, 'Password is required'],
     minlength: [8, 'Password must be at least 8 characters long'],
     select: false
   },
@@ -44,7 +67,7 @@ const userSchema = new mongoose.Schema({
   },
   dateOfBirth: {
     type: Date,
-    required: [true, 'Date of birth is required']
+    required: [isProfileRequired, 'Date of birth is required']
   },
   gender: {
     type: String,
@@ -82,11 +105,23 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Built-in roles are defined in config/permissions.js, custom ones in the
+  // roles collection; assignments are validated by the admin role endpoints
   role: {
     type: String,
-    enum: ['user', 'runner', 'admin', 'super-admin'],
+    trim: true,
     default: 'user'
   },
+  signupMethod: {
+    type: String,
+    enum: ['email', 'phone', 'google', 'facebook', 'apple'],
+    default: 'email'
+  },
+  profileStatus: {
+    type: String,
+    enum: ['pending', 'complete', 'anonymized'],
+    default: 'complete'
+  },
   
   // Preferences
   preferences: {
@@ -112,33 +147,57 @@ const userSchema = new mongoose.Schema({
     }
   },
   
-  // Financial Information
+  // Financial Information. Balances are caches of the user's ledger wallet
+  // accounts and are only written by ledger postings (utils/ledger.js).
   wallet: {
     balance: {
       type: Number,
       default: 0,
       min: [0, 'Balance cannot be negative']
     },
+    // Primary wallet currency; `balance` mirrors the balance held in it
     currency: {
       type: String,
       default: 'USD'
     },
-    transactions: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Transaction'
-    }]
+    // Balance per currency the user holds funds in
+    balances: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    // Hashed transaction PIN used as step-up for large transfers when
+    // two-factor authentication is not enabled
+    pin: {
+      type: String,
+      select: false
+    },
+    // Last time a transfer confirmation started; written to serialise the
+    // user's confirmations against the daily limit (routes/wallet.js)
+    lastTransferAt: Date
   },
   
-  // Payment Methods
+  // Payment Methods. Only gateway tokens are kept (a Stripe PaymentMethod or
+  // a PayPal billing agreement), never card numbers or security codes.
   paymentMethods: [{
     type: {
       type: String,
       enum: ['card', 'bank', 'paypal', 'apple-pay', 'google-pay'],
       required: true
     },
+    provider: {
+      type: String,
+      enum: ['stripe', 'paypal']
+    },
+    providerMethodId: String,
     name: String,
     last4: String,
     brand: String,
+    expMonth: Number,
+    expYear: Number,
+    // Gateway fingerprint of the card number, the same for every copy of a card
+    fingerprint: String,
+    expiryReminderSentAt: Date,
     isDefault: {
       type: Boolean,
       default: false
@@ -147,8 +206,33 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
-    metadata: mongoose.Schema.Types.Mixed
+    metadata: mongoose.Schema.Types.Mixed,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
   }],
+  // Customer records held for the user at payment gateways
+  gatewayCustomers: {
+    stripe: String
+  },
+  // Bank account that earnings are paid out to (providers and runners). The
+  // full account number is only loaded when a payout batch is built.
+  payoutAccount: {
+    accountHolderName: String,
+    bankName: String,
+    country: String,
+    currency: String,
+    // IBAN, or the local account number where IBANs are not used
+    accountNumber: {
+      type: String,
+      select: false
+    },
+    // Sort code, routing number, IFSC or BIC; not needed with an IBAN
+    routingCode: String,
+    last4: String,
+    updatedAt: Date
+  },
   
   // Security
   twoFactorEnabled: {
@@ -159,6 +243,13 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false
   },
+  twoFactorBackupCodes: {
+    type: [{
+      codeHash: String,
+      usedAt: Date
+    }],
+    select: false
+  },
   loginAttempts: {
     type: Number,
     default: 0
@@ -167,10 +258,30 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   passwordResetToken: String,
   passwordResetExpires: Date,
   emailVerificationToken: String,
   emailVerificationExpires: Date,
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  pendingEmailToken: String,
+  pendingEmailExpires: Date,
+
+  // Account Deletion
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    reason: String,
+    lastBlockedReason: String,
+    completedAt: Date
+  },
   
   // Statistics
   stats: {
@@ -199,6 +310,8 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Spendable referral credit in the base currency, a cache of the user's
+  // available referral rewards (utils/referrals.js)
   referralCredits: {
     type: Number,
     default: 0
@@ -209,6 +322,12 @@ const userSchema = new mongoose.Schema({
     deviceId: String,
     deviceType: String,
     deviceName: String,
+    sessionFamilyId: String,
+    ipAddress: String,
+    // Approximate location of ipAddress, resolved after sign-in
+    location: String,
+    userAgent: String,
+    firstSeen: Date,
     lastUsed: Date,
     isActive: Boolean
   }],
@@ -240,9 +359,13 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ phone: 1 });
 userSchema.index({ referralCode: 1 });
+userSchema.index({ 'socialAccounts.google': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'socialAccounts.facebook': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'socialAccounts.apple': 1 }, { unique: true, sparse: true });
 userSchema.index({ 'currentLocation.coordinates': '2dsphere' });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ role: 1, isActive: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -283,11 +406,65 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to keep exactly one default payment method, falling
+// back to the newest usable one when the default is removed or expires
+userSchema.pre('save', function(next) {
+  if (!this.isModified('paymentMethods')) return next();
+
+  const active = this.paymentMethods.filter(method => method.isActive);
+  const usable = active.filter(method => !isPaymentMethodExpired(method));
+  const current = active.filter(method => method.isDefault);
+
+  let nextDefault = current.find(method => !isPaymentMethodExpired(method)) || current[0];
+  if (!nextDefault || (isPaymentMethodExpired(nextDefault) && usable.length > 0)) {
+    nextDefault = [...usable].sort((a, b) => b.createdAt - a.createdAt)[0] || nextDefault;
+  }
+
+  for (const method of this.paymentMethods) {
+    method.isDefault = method === nextDefault;
+  }
+  next();
+});
+
 // Instance method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to check a candidate against the current and previous
+// passwords. Expects the document to be loaded with +password +passwordHistory.
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  const hashes = [this.password, ...(this.passwordHistory || [])].filter(Boolean);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
+// Instance method to change password, keeping the last N hashes
+userSchema.methods.setPassword = function(newPassword) {
+  const historySize = parseInt(process.env.PASSWORD_HISTORY_SIZE, 10) || 5;
+
+  if (this.password) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(0, historySize);
+  }
+  this.password = newPassword;
+};
+
+// Instance method to set the wallet transaction PIN
+userSchema.methods.setWalletPin = async function(pin) {
+  const salt = await bcrypt.genSalt(12);
+  this.wallet.pin = await bcrypt.hash(pin, salt);
+};
+
+// Instance method to check the wallet transaction PIN. Expects the document
+// to be loaded with +wallet.pin.
+userSchema.methods.compareWalletPin = async function(candidatePin) {
+  if (!this.wallet?.pin || !candidatePin) return false;
+  return await bcrypt.compare(candidatePin, this.wallet.pin);
+};
+
 // Instance method to generate referral code
 userSchema.methods.generateReferralCode = function() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -326,6 +503,38 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+// Instance method to register or update the device bound to a new session.
+// Returns the device, whether it was seen for the first time, and the session
+// it previously held (which the caller should revoke).
+userSchema.methods.registerDevice = function(deviceInfo, sessionFamilyId) {
+  const now = new Date();
+  let device = this.devices.find(d => d.deviceId === deviceInfo.deviceId);
+  const isNew = !device;
+  const previousFamilyId = device?.isActive ? device.sessionFamilyId : null;
+
+  if (isNew) {
+    this.devices.push({ deviceId: deviceInfo.deviceId, firstSeen: now });
+    device = this.devices[this.devices.length - 1];
+  }
+
+  if (device.ipAddress !== deviceInfo.ipAddress) {
+    device.location = undefined;
+  }
+
+  device.deviceType = deviceInfo.deviceType;
+  device.deviceName = deviceInfo.deviceName;
+  device.ipAddress = deviceInfo.ipAddress;
+  device.userAgent = deviceInfo.userAgent;
+  device.sessionFamilyId = sessionFamilyId;
+  device.lastUsed = now;
+  device.isActive = true;
+
+  this.metadata.ipAddress = deviceInfo.ipAddress;
+  this.metadata.userAgent = deviceInfo.userAgent;
+
+  return { device, isNew, previousFamilyId };
+};
+
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
@@ -336,6 +545,11 @@ userSchema.statics.findByPhone = function(phone) {
   return this.findOne({ phone });
 };
 
+// Static method to find by linked social account
+userSchema.statics.findBySocialAccount = function(provider, providerId) {
+  return this.findOne({ [`socialAccounts.${provider}`]: providerId });
+};
+
 // Static method to find by referral code
 userSchema.statics.findByReferralCode = function(code) {
   return this.findOne({ referralCode: code });
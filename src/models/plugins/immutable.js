@@ -0,0 +1,27 @@
+// Mongoose plugin for append-only collections: documents can be created but
+// never modified or removed. Corrections are made by posting new documents.
+const WRITE_OPERATIONS = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+];
+
+export const immutable = (schema) => {
+  schema.pre('save', function(next) {
+    if (!this.isNew) {
+      return next(new Error(`${this.constructor.modelName} records are immutable`));
+    }
+    next();
+  });
+
+  for (const operation of WRITE_OPERATIONS) {
+    schema.pre(operation, function(next) {
+      next(new Error(`${this.model.modelName} records are immutable`));
+    });
+  }
+};
@@ -0,0 +1,1810 @@
+import express from 'express';
+import path from 'path';
+import { body, param, query, validationResult } from 'express-validator';
+import { createObjectCsvStringifier } from 'csv-writer';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import ProviderApplication from '../models/ProviderApplication.js';
+import ImpersonationSession from '../models/ImpersonationSession.js';
+import ImpersonationRequest from '../models/ImpersonationRequest.js';
+import AuditEvent, { AUDIT_EVENT_TYPES } from '../models/AuditEvent.js';
+import FxRate from '../models/FxRate.js';
+import Service from '../models/Service.js';
+import CommissionRate from '../models/CommissionRate.js';
+import Payout from '../models/Payout.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import ReferralCampaign from '../models/ReferralCampaign.js';
+import {
+  requireAdmin,
+  requirePermission,
+  getRolePermissions,
+  userHasPermission
+} from '../middleware/auth.js';
+import {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  hasPermission,
+  isKnownPermission
+} from '../config/permissions.js';
+import { getDocumentStoragePath } from '../middleware/upload.js';
+import { sendEmail } from '../utils/email.js';
+import { logger } from '../utils/logger.js';
+import { auditRequest } from '../utils/audit.js';
+import {
+  revokeAllUserSessions,
+  revokeTokenFamily,
+  generateImpersonationToken
+} from '../utils/tokens.js';
+import {
+  postTransaction,
+  walletAccountCode,
+  toMinorUnits,
+  fromMinorUnits,
+  PLATFORM_ACCOUNTS,
+  LedgerError
+} from '../utils/ledger.js';
+import { deleteCache } from '../config/redis.js';
+import { SUPPORTED_CURRENCIES, getBaseCurrency } from '../config/currencies.js';
+import { getDefaultCommissionRate, runPayoutBatch } from '../utils/payouts.js';
+import { getPayoutFilesPath } from '../utils/payoutAdapters/localBank.js';
+import { getActiveCampaign } from '../utils/referrals.js';
+
+const router = express.Router();
+
+// Validation middleware
+const validateBlock = [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+const validatePermissions = () => body('permissions')
+  .isArray()
+  .withMessage('Permissions must be an array')
+  .custom(permissions => {
+    const unknown = permissions.filter(permission => !isKnownPermission(permission));
+    if (unknown.length) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+    return true;
+  });
+
+const validateRoleCreate = [
+  body('name').trim().toLowerCase().matches(/^[a-z][a-z0-9-]*$/).withMessage('Role name may only contain lowercase letters, numbers and dashes'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  validatePermissions()
+];
+
+const validateRoleUpdate = [
+  param('name').trim().toLowerCase(),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  validatePermissions().optional()
+];
+
+const validateApplicationRejection = [
+  body('reasons').isArray({ min: 1 }).withMessage('At least one rejection reason is required'),
+  body('reasons.*').trim().isLength({ min: 3, max: 500 }).withMessage('Each reason must be between 3 and 500 characters'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+];
+
+const getMaxImpersonationMinutes = () => parseInt(process.env.IMPERSONATION_MAX_MINUTES, 10) || 60;
+
+const validateImpersonation = [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('reason').trim().isLength({ min: 10, max: 500 }).withMessage('Reason must be between 10 and 500 characters'),
+  body('durationMinutes').optional().custom(value => Number.isInteger(value) && value >= 1 && value <= getMaxImpersonationMinutes())
+    .withMessage(() => `Duration must be between 1 and ${getMaxImpersonationMinutes()} minutes`)
+];
+
+const validateAuditQuery = [
+  query('user').optional().isMongoId().withMessage('Invalid user ID'),
+  query('type').optional().customSanitizer(value => String(value).split(','))
+    .custom(types => types.every(type => AUDIT_EVENT_TYPES.includes(type))).withMessage('Unknown event type'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+];
+
+const validateWalletAdjustment = [
+  body('amount').isFloat().custom(value => value !== 0).withMessage('Amount must be a non-zero number'),
+  body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters')
+];
+
+const validateFxRateId = [
+  param('id').isMongoId().withMessage('Invalid FX rate ID')
+];
+
+const validateFxRate = [
+  body('base').isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  body('quote').isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`)
+    .custom((value, { req }) => value !== req.body.base).withMessage('Base and quote currencies must differ'),
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+  body('spreadPercent').optional().isFloat({ min: 0, max: 10 }).withMessage('Spread must be between 0 and 10 percent'),
+  body('effectiveFrom').optional().isISO8601().withMessage('Effective date must be an ISO 8601 date'),
+  body('source').optional().trim().isLength({ max: 100 }).withMessage('Source cannot exceed 100 characters')
+];
+
+// Commission rates are set per service category, plus a `default` rate
+const getCommissionCategories = () => ['default', ...Service.schema.path('category').enumValues];
+
+const validateCommissionRate = [
+  param('category').isIn(getCommissionCategories()).withMessage('Unknown service category'),
+  body('platformPercent').isFloat({ min: 0, max: 100 }).withMessage('Platform commission must be between 0 and 100 percent'),
+  body('runnerPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Runner share must be between 0 and 100 percent')
+    .custom((value, { req }) => parseFloat(value) + parseFloat(req.body.platformPercent) <= 100)
+    .withMessage('Platform commission and runner share cannot exceed 100 percent together')
+];
+
+const validateCommissionCategory = [
+  param('category').isIn(getCommissionCategories()).withMessage('Unknown service category')
+];
+
+const validatePayoutBatchId = [
+  param('id').isMongoId().withMessage('Invalid payout batch ID')
+];
+
+const validateReferralCampaign = [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('referrerReward').isFloat({ min: 0 }).withMessage('Referrer reward must be a non-negative number'),
+  body('refereeReward').isFloat({ min: 0 }).withMessage('Referee reward must be a non-negative number'),
+  body('maxRewardsPerReferrer').optional().isInt({ min: 1 }).withMessage('Reward cap must be a positive whole number'),
+  body('creditExpiryDays').optional().isInt({ min: 1 }).withMessage('Credit expiry must be a positive number of days'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('startsAt').optional().isISO8601().withMessage('Start date must be an ISO 8601 date'),
+  body('endsAt').optional({ nullable: true }).isISO8601().withMessage('End date must be an ISO 8601 date')
+    .custom((value, { req }) => !req.body.startsAt || new Date(value) > new Date(req.body.startsAt))
+    .withMessage('End date must be after the start date')
+];
+
+const validateReferralCampaignId = [
+  param('id').isMongoId().withMessage('Invalid referral campaign ID')
+];
+
+const validateRoleAssignment = [
+  body('role').trim().toLowerCase().notEmpty().withMessage('Role is required')
+];
+
+// Helper function to check that an admin only grants permissions they hold
+const canGrantAll = (granted, permissions) => {
+  return permissions.every(permission => hasPermission(granted, permission));
+};
+
+// Helper function to email an applicant about their application status
+const notifyApplicant = (user, application) => {
+  if (!user?.email) return;
+
+  sendEmail({
+    to: user.email,
+    subject: 'Your MekaCash provider application',
+    template: 'provider-application-status',
+    data: {
+      name: user.firstName,
+      status: application.status,
+      businessName: application.businessName,
+      reasons: application.review?.rejectionReasons
+    }
+  }).catch(error => logger.error('Provider application email error:', error));
+};
+
+// Helper function to build an audit event query from request filters
+const buildAuditQuery = ({ user, type, from, to }) => {
+  const filter = {};
+
+  if (user) filter.$or = [{ actor: user }, { target: user }];
+  if (type) filter.type = { $in: type };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+// Helper function to load a role definition, falling back to the built-in one
+const findRoleDefinition = async (name) => {
+  const role = await Role.findByName(name);
+  if (role) {
+    return {
+      name: role.name,
+      description: role.description,
+      permissions: role.permissions,
+      isSystem: role.isSystem || !!DEFAULT_ROLES[role.name]
+    };
+  }
+
+  if (DEFAULT_ROLES[name]) {
+    return { name, ...DEFAULT_ROLES[name], isSystem: true };
+  }
+
+  return null;
+};
+
+// @route   PUT /api/admin/users/:id/block
+// @desc    Block a user and revoke all of their sessions
+// @access  Private (user:block)
+router.put('/users/:id/block', requirePermission('user:block'), validateBlock, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block your own account'
+      });
+    }
+
+    user.isBlocked = true;
+    await user.save();
+
+    // Sign the user out everywhere
+    await revokeAllUserSessions(user._id);
+
+    auditRequest(req, 'admin.user-blocked', {
+      target: user._id,
+      details: { reason: req.body.reason }
+    });
+
+    res.json({
+      success: true,
+      message: 'User blocked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error blocking user'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/unblock
+// @desc    Unblock a user
+// @access  Private (user:block)
+router.put('/users/:id/unblock', requirePermission('user:block'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.isBlocked = false;
+    await user.save();
+
+    // Clear cache
+    await deleteCache(`user:${user._id}`);
+
+    auditRequest(req, 'admin.user-unblocked', { target: user._id });
+
+    res.json({
+      success: true,
+      message: 'User unblocked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unblocking user'
+    });
+  }
+});
+
+// @route   GET /api/admin/permissions
+// @desc    List the permission catalog
+// @access  Private (Admin)
+router.get('/permissions', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    }
+  });
+});
+
+// @route   GET /api/admin/roles
+// @desc    List built-in and custom role definitions
+// @access  Private (Admin)
+router.get('/roles', requireAdmin, async (req, res) => {
+  try {
+    const storedRoles = await Role.find().sort({ name: 1 });
+    const storedNames = new Set(storedRoles.map(role => role.name));
+
+    const roles = [
+      ...Object.entries(DEFAULT_ROLES)
+        .filter(([name]) => !storedNames.has(name))
+        .map(([name, role]) => ({ name, ...role, isSystem: true })),
+      ...storedRoles.map(role => ({
+        name: role.name,
+        description: role.description,
+        permissions: role.permissions,
+        isSystem: role.isSystem || !!DEFAULT_ROLES[role.name]
+      }))
+    ];
+
+    res.json({
+      success: true,
+      data: {
+        roles
+      }
+    });
+
+  } catch (error) {
+    logger.error('List roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error listing roles'
+    });
+  }
+});
+
+// @route   POST /api/admin/roles
+// @desc    Create a custom role
+// @access  Private (role:manage)
+router.post('/roles', requirePermission('role:manage'), validateRoleCreate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    if (await findRoleDefinition(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    if (!canGrantAll(req.permissions, permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant permissions you do not have'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      updatedBy: req.user._id
+    });
+
+    auditRequest(req, 'admin.role-created', { details: { role: name, permissions } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: {
+        role
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating role'
+    });
+  }
+});
+
+// @route   PUT /api/admin/roles/:name
+// @desc    Update a role's description or permissions
+// @access  Private (role:manage)
+router.put('/roles/:name', requirePermission('role:manage'), validateRoleUpdate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.params;
+    const { description, permissions } = req.body;
+
+    if (name === 'super-admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'The super-admin role cannot be modified'
+      });
+    }
+
+    const definition = await findRoleDefinition(name);
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (permissions && !canGrantAll(req.permissions, [...permissions, ...definition.permissions])) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change permissions you do not have'
+      });
+    }
+
+    // Built-in roles get a stored definition the first time they are edited
+    const role = await Role.findOneAndUpdate(
+      { name },
+      {
+        $set: {
+          description: description ?? definition.description,
+          permissions: permissions ?? definition.permissions,
+          isSystem: definition.isSystem,
+          updatedBy: req.user._id
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    // Clear cache
+    await deleteCache(`role:${name}`);
+
+    auditRequest(req, 'admin.role-updated', { details: { role: name, permissions: role.permissions } });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        role
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating role'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/roles/:name
+// @desc    Delete a custom role that is not assigned to anyone
+// @access  Private (role:manage)
+router.delete('/roles/:name', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+
+    const definition = await findRoleDefinition(name);
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (definition.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const assignedCount = await User.countDocuments({ role: name });
+    if (assignedCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is still assigned to ${assignedCount} user(s)`
+      });
+    }
+
+    await Role.deleteOne({ name });
+
+    // Clear cache
+    await deleteCache(`role:${name}`);
+
+    auditRequest(req, 'admin.role-deleted', { details: { role: name } });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting role'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Assign a role to a user
+// @access  Private (role:assign)
+router.put('/users/:id/role', requirePermission('role:assign'), validateRoleAssignment, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const definition = await findRoleDefinition(req.body.role);
+    if (!definition) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Admins can only hand out permissions they hold themselves
+    if (!canGrantAll(req.permissions, definition.permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot assign a role with permissions you do not have'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    // Nor take a role away from someone more privileged than themselves
+    if (!canGrantAll(req.permissions, await getRolePermissions(user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change the role of this user'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = definition.name;
+    await user.save();
+
+    // Clear cache
+    await deleteCache(`user:${user._id}`);
+
+    auditRequest(req, 'admin.role-assigned', {
+      target: user._id,
+      details: { previousRole, newRole: user.role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role assigned successfully',
+      data: {
+        userId: user._id,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    logger.error('Assign role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error assigning role'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/wallet/adjustments
+// @desc    Manually credit or debit a user's wallet
+// @access  Private (wallet:adjust)
+router.post('/users/:id/wallet/adjustments', requirePermission('wallet:adjust'), validateWalletAdjustment, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const currency = req.body.currency || user.wallet.currency;
+    const amount = toMinorUnits(Math.abs(req.body.amount), currency);
+    const isCredit = req.body.amount > 0;
+    const wallet = walletAccountCode(user._id);
+
+    const transaction = await postTransaction({
+      type: 'adjustment',
+      description: req.body.reason,
+      currency,
+      lines: isCredit
+        ? [{ account: PLATFORM_ACCOUNTS.adjustments, debit: amount }, { account: wallet, credit: amount }]
+        : [{ account: wallet, debit: amount }, { account: PLATFORM_ACCOUNTS.adjustments, credit: amount }],
+      createdBy: req.user._id
+    });
+
+    auditRequest(req, 'admin.wallet-adjusted', {
+      target: user._id,
+      details: {
+        transactionId: transaction.transactionId,
+        amount: req.body.amount,
+        currency,
+        reason: req.body.reason
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Wallet adjusted successfully',
+      data: {
+        transaction
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Wallet adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adjusting wallet'
+    });
+  }
+});
+
+// @route   GET /api/admin/fx-rates
+// @desc    List FX rates, newest first, optionally for one pair
+// @access  Private (fx:manage)
+router.get('/fx-rates', requirePermission('fx:manage'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const query = {};
+    if (req.query.base) query.base = req.query.base.toUpperCase();
+    if (req.query.quote) query.quote = req.query.quote.toUpperCase();
+
+    const [rates, total] = await Promise.all([
+      FxRate.find(query)
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ effectiveFrom: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FxRate.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        rates,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('List FX rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching FX rates'
+    });
+  }
+});
+
+// @route   POST /api/admin/fx-rates
+// @desc    Publish a rate for a currency pair. It replaces the previous rate
+//          for the pair from its effective date.
+// @access  Private (fx:manage)
+router.post('/fx-rates', requirePermission('fx:manage'), validateFxRate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await FxRate.create({
+      base: req.body.base,
+      quote: req.body.quote,
+      rate: req.body.rate,
+      spreadPercent: req.body.spreadPercent,
+      effectiveFrom: req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : new Date(),
+      source: req.body.source,
+      createdBy: req.user._id
+    });
+
+    auditRequest(req, 'admin.fx-rate-published', {
+      details: {
+        rateId: rate._id,
+        pair: `${rate.base}/${rate.quote}`,
+        rate: rate.rate,
+        spreadPercent: rate.spreadPercent,
+        effectiveFrom: rate.effectiveFrom
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'FX rate published',
+      data: {
+        rate
+      }
+    });
+
+  } catch (error) {
+    logger.error('Publish FX rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error publishing FX rate'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/fx-rates/:id
+// @desc    Withdraw a rate that has not taken effect yet
+// @access  Private (fx:manage)
+router.delete('/fx-rates/:id', requirePermission('fx:manage'), validateFxRateId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await FxRate.findOneAndDelete({ _id: req.params.id, effectiveFrom: { $gt: new Date() } });
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'No scheduled FX rate found. Rates already in effect cannot be removed.'
+      });
+    }
+
+    auditRequest(req, 'admin.fx-rate-withdrawn', {
+      details: {
+        rateId: rate._id,
+        pair: `${rate.base}/${rate.quote}`,
+        effectiveFrom: rate.effectiveFrom
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'FX rate withdrawn'
+    });
+
+  } catch (error) {
+    logger.error('Withdraw FX rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error withdrawing FX rate'
+    });
+  }
+});
+
+// @route   GET /api/admin/commission-rates
+// @desc    List commission rates per service category
+// @access  Private (payout:manage)
+router.get('/commission-rates', requirePermission('payout:manage'), async (req, res) => {
+  try {
+    const rates = await CommissionRate.find()
+      .populate('updatedBy', 'firstName lastName email')
+      .sort({ category: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        rates,
+        // Applies while no `default` rate has been saved
+        fallback: getDefaultCommissionRate(),
+        categories: getCommissionCategories()
+      }
+    });
+
+  } catch (error) {
+    logger.error('List commission rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching commission rates'
+    });
+  }
+});
+
+// @route   PUT /api/admin/commission-rates/:category
+// @desc    Set the commission rate for a service category. Applies to
+//          bookings settled from now on.
+// @access  Private (payout:manage)
+router.put('/commission-rates/:category', requirePermission('payout:manage'), validateCommissionRate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { category } = req.params;
+    const previous = await CommissionRate.findOne({ category });
+
+    const rate = await CommissionRate.findOneAndUpdate(
+      { category },
+      {
+        platformPercent: req.body.platformPercent,
+        runnerPercent: req.body.runnerPercent ?? 0,
+        updatedBy: req.user._id
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    auditRequest(req, 'admin.commission-rate-updated', {
+      details: {
+        category,
+        platformPercent: rate.platformPercent,
+        runnerPercent: rate.runnerPercent,
+        previous: previous && {
+          platformPercent: previous.platformPercent,
+          runnerPercent: previous.runnerPercent
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Commission rate saved',
+      data: {
+        rate
+      }
+    });
+
+  } catch (error) {
+    logger.error('Set commission rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving commission rate'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/commission-rates/:category
+// @desc    Remove a category's commission rate so the default applies
+// @access  Private (payout:manage)
+router.delete('/commission-rates/:category', requirePermission('payout:manage'), validateCommissionCategory, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await CommissionRate.findOneAndDelete({ category: req.params.category });
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rate not found'
+      });
+    }
+
+    auditRequest(req, 'admin.commission-rate-removed', {
+      details: {
+        category: rate.category,
+        platformPercent: rate.platformPercent,
+        runnerPercent: rate.runnerPercent
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Commission rate removed'
+    });
+
+  } catch (error) {
+    logger.error('Remove commission rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing commission rate'
+    });
+  }
+});
+
+// @route   GET /api/admin/payout-batches
+// @desc    List payout batches, newest first
+// @access  Private (payout:manage)
+router.get('/payout-batches', requirePermission('payout:manage'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find()
+        .populate('triggeredBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PayoutBatch.countDocuments()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        batches,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('List payout batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payout batches'
+    });
+  }
+});
+
+// @route   POST /api/admin/payout-batches
+// @desc    Run a payout batch now instead of waiting for the schedule
+// @access  Private (payout:manage)
+router.post('/payout-batches', requirePermission('payout:manage'), async (req, res) => {
+  try {
+    const batch = await runPayoutBatch({ triggeredBy: req.user._id });
+
+    if (!batch) {
+      return res.json({
+        success: true,
+        message: 'No earnings are due for payout, or a payout run is already in progress'
+      });
+    }
+
+    auditRequest(req, 'admin.payout-batch-run', {
+      details: {
+        batchId: batch.batchId,
+        status: batch.status,
+        payoutCount: batch.payoutCount,
+        totals: batch.totals
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: batch.status === 'failed' ? 'Payout batch failed' : 'Payout batch completed',
+      data: {
+        batch
+      }
+    });
+
+  } catch (error) {
+    logger.error('Run payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error running payout batch'
+    });
+  }
+});
+
+// @route   GET /api/admin/payout-batches/:id
+// @desc    Get a payout batch with its payouts
+// @access  Private (payout:manage)
+router.get('/payout-batches/:id', requirePermission('payout:manage'), validatePayoutBatchId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await PayoutBatch.findById(req.params.id).populate('triggeredBy', 'firstName lastName email');
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found'
+      });
+    }
+
+    const payouts = await Payout.find({ batch: batch._id })
+      .populate('payee', 'firstName lastName email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        batch,
+        payouts: payouts.map(payout => ({
+          ...payout.toObject(),
+          amount: fromMinorUnits(payout.amount, payout.currency)
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payout batch'
+    });
+  }
+});
+
+// @route   GET /api/admin/payout-batches/:id/file
+// @desc    Download the transfer file written by the local bank adapter
+// @access  Private (payout:manage)
+router.get('/payout-batches/:id/file', requirePermission('payout:manage'), validatePayoutBatchId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await PayoutBatch.findById(req.params.id);
+    if (!batch || batch.adapter !== 'local-bank' || !batch.reference) {
+      return res.status(404).json({
+        success: false,
+        message: 'No transfer file found for this batch'
+      });
+    }
+
+    res.download(path.join(getPayoutFilesPath(), batch.reference), batch.reference);
+
+  } catch (error) {
+    logger.error('Download payout file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error downloading payout file'
+    });
+  }
+});
+
+// @route   GET /api/admin/referral-campaigns
+// @desc    List referral campaigns, newest first
+// @access  Private (referral:manage)
+router.get('/referral-campaigns', requirePermission('referral:manage'), async (req, res) => {
+  try {
+    const [campaigns, active] = await Promise.all([
+      ReferralCampaign.find()
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ startsAt: -1 }),
+      getActiveCampaign()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        campaigns,
+        // The campaign new referrals are currently signed up under
+        activeCampaignId: active?._id || null
+      }
+    });
+
+  } catch (error) {
+    logger.error('List referral campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching referral campaigns'
+    });
+  }
+});
+
+// @route   POST /api/admin/referral-campaigns
+// @desc    Create a referral campaign. Rewards are credited in the base currency.
+// @access  Private (referral:manage)
+router.post('/referral-campaigns', requirePermission('referral:manage'), validateReferralCampaign, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await ReferralCampaign.create({
+      name: req.body.name,
+      description: req.body.description,
+      referrerReward: req.body.referrerReward,
+      refereeReward: req.body.refereeReward,
+      currency: getBaseCurrency(),
+      maxRewardsPerReferrer: req.body.maxRewardsPerReferrer,
+      creditExpiryDays: req.body.creditExpiryDays,
+      isActive: req.body.isActive,
+      startsAt: req.body.startsAt,
+      endsAt: req.body.endsAt,
+      createdBy: req.user._id
+    });
+
+    auditRequest(req, 'admin.referral-campaign-created', {
+      details: {
+        campaignId: campaign._id,
+        name: campaign.name,
+        referrerReward: campaign.referrerReward,
+        refereeReward: campaign.refereeReward,
+        currency: campaign.currency
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Referral campaign created',
+      data: {
+        campaign
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create referral campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating referral campaign'
+    });
+  }
+});
+
+// @route   PUT /api/admin/referral-campaigns/:id
+// @desc    Update a referral campaign. Rewards already opened keep the
+//          amounts they were opened with.
+// @access  Private (referral:manage)
+router.put('/referral-campaigns/:id', requirePermission('referral:manage'), validateReferralCampaignId, validateReferralCampaign, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await ReferralCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Referral campaign not found'
+      });
+    }
+
+    const fields = [
+      'name', 'description', 'referrerReward', 'refereeReward', 'maxRewardsPerReferrer',
+      'creditExpiryDays', 'isActive', 'startsAt', 'endsAt'
+    ];
+    const previous = {};
+    for (const field of fields) {
+      if (req.body[field] === undefined) continue;
+      previous[field] = campaign[field];
+      campaign[field] = req.body[field];
+    }
+    await campaign.save();
+
+    auditRequest(req, 'admin.referral-campaign-updated', {
+      details: {
+        campaignId: campaign._id,
+        name: campaign.name,
+        previous
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Referral campaign updated',
+      data: {
+        campaign
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update referral campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating referral campaign'
+    });
+  }
+});
+
+// @route   GET /api/admin/provider-applications
+// @desc    List provider applications, optionally filtered by status
+// @access  Private (provider:review)
+router.get('/provider-applications', requirePermission('provider:review'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const query = {};
+    if (status) {
+      if (!['pending', 'approved', 'rejected'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Status must be pending, approved or rejected'
+        });
+      }
+      query.status = status;
+    }
+
+    const [applications, total] = await Promise.all([
+      ProviderApplication.find(query)
+        .populate('user', 'firstName lastName email phone')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ProviderApplication.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        applications,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('List provider applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error listing provider applications'
+    });
+  }
+});
+
+// @route   GET /api/admin/provider-applications/:id
+// @desc    Get a provider application
+// @access  Private (provider:review)
+router.get('/provider-applications/:id', requirePermission('provider:review'), async (req, res) => {
+  try {
+    const application = await ProviderApplication.findById(req.params.id)
+      .populate('user', 'firstName lastName email phone dateOfBirth')
+      .populate('review.reviewedBy', 'firstName lastName');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        application
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get provider application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching provider application'
+    });
+  }
+});
+
+// @route   GET /api/admin/provider-applications/:id/documents/:documentId
+// @desc    Download a KYC document
+// @access  Private (provider:review)
+router.get('/provider-applications/:id/documents/:documentId', requirePermission('provider:review'), async (req, res) => {
+  try {
+    const application = await ProviderApplication.findById(req.params.id);
+    const document = application?.documents.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    auditRequest(req, 'admin.kyc-document-accessed', {
+      target: application.user,
+      details: { applicationId: application._id, documentId: document._id }
+    });
+
+    res.download(path.join(getDocumentStoragePath(), document.fileName), document.originalName);
+
+  } catch (error) {
+    logger.error('Download provider document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error downloading document'
+    });
+  }
+});
+
+// @route   PUT /api/admin/provider-applications/:id/approve
+// @desc    Approve a provider application and grant the provider role
+// @access  Private (provider:review)
+router.put('/provider-applications/:id/approve', requirePermission('provider:review'), async (req, res) => {
+  try {
+    const application = await ProviderApplication.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Application has already been ${application.status}`
+      });
+    }
+
+    const user = await User.findById(application.user);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Applicant not found'
+      });
+    }
+
+    await application.approve(req.user._id, req.body.notes);
+
+    // Grant the provider role unless the user's role, built-in or custom,
+    // already lets them offer services. Never downgrade staff accounts.
+    if (!(await userHasPermission(user, 'service:create')) && !(await userHasPermission(user, 'admin:access'))) {
+      user.role = 'provider';
+      await user.save();
+      await deleteCache(`user:${user._id}`);
+    }
+
+    auditRequest(req, 'admin.provider-approved', {
+      target: user._id,
+      details: { applicationId: application._id }
+    });
+
+    notifyApplicant(user, application);
+
+    res.json({
+      success: true,
+      message: 'Application approved successfully',
+      data: {
+        application
+      }
+    });
+
+  } catch (error) {
+    logger.error('Approve provider application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error approving application'
+    });
+  }
+});
+
+// @route   PUT /api/admin/provider-applications/:id/reject
+// @desc    Reject a provider application with reasons
+// @access  Private (provider:review)
+router.put('/provider-applications/:id/reject', requirePermission('provider:review'), validateApplicationRejection, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await ProviderApplication.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Application has already been ${application.status}`
+      });
+    }
+
+    await application.reject(req.user._id, req.body.reasons, req.body.notes);
+
+    auditRequest(req, 'admin.provider-rejected', {
+      target: application.user,
+      details: { applicationId: application._id, reasons: application.review.rejectionReasons }
+    });
+
+    const user = await User.findById(application.user);
+    notifyApplicant(user, application);
+
+    res.json({
+      success: true,
+      message: 'Application rejected',
+      data: {
+        application
+      }
+    });
+
+  } catch (error) {
+    logger.error('Reject provider application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rejecting application'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Start a time-limited session acting as a user
+// @access  Private (user:impersonate)
+router.post('/users/:id/impersonate', requirePermission('user:impersonate'), validateImpersonation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.impersonatedBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'Impersonation sessions cannot be nested'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Staff accounts cannot be impersonated, which would escalate privileges
+    if (user._id.equals(req.user._id) || await userHasPermission(user, 'admin:access')) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account cannot be impersonated'
+      });
+    }
+
+    const durationMinutes = req.body.durationMinutes || Math.min(30, getMaxImpersonationMinutes());
+
+    const session = await ImpersonationSession.create({
+      admin: req.user._id,
+      user: user._id,
+      reason: req.body.reason,
+      ipAddress: req.ip,
+      expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000)
+    });
+
+    auditRequest(req, 'admin.impersonation-started', {
+      target: user._id,
+      details: {
+        sessionId: session._id,
+        reason: session.reason,
+        expiresAt: session.expiresAt
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Impersonation session started',
+      data: {
+        token: generateImpersonationToken(session),
+        expiresIn: durationMinutes * 60,
+        session
+      }
+    });
+
+  } catch (error) {
+    logger.error('Start impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting impersonation'
+    });
+  }
+});
+
+// @route   GET /api/admin/impersonation-sessions
+// @desc    List impersonation sessions, optionally by admin or user
+// @access  Private (user:impersonate)
+router.get('/impersonation-sessions', requirePermission('user:impersonate'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const query = {};
+    if (req.query.admin) query.admin = req.query.admin;
+    if (req.query.user) query.user = req.query.user;
+
+    const [sessions, total] = await Promise.all([
+      ImpersonationSession.find(query)
+        .populate('admin', 'firstName lastName email')
+        .populate('user', 'firstName lastName email phone')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ImpersonationSession.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('List impersonation sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error listing impersonation sessions'
+    });
+  }
+});
+
+// @route   GET /api/admin/impersonation-sessions/:id/requests
+// @desc    List the requests made during an impersonation session
+// @access  Private (user:impersonate)
+router.get('/impersonation-sessions/:id/requests', requirePermission('user:impersonate'), async (req, res) => {
+  try {
+    const session = await ImpersonationSession.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation session not found'
+      });
+    }
+
+    const requests = await ImpersonationRequest.find({ session: session._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        session,
+        requests
+      }
+    });
+
+  } catch (error) {
+    logger.error('List impersonation requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error listing impersonation requests'
+    });
+  }
+});
+
+// @route   PUT /api/admin/impersonation-sessions/:id/end
+// @desc    End an impersonation session and revoke its token
+// @access  Private (user:impersonate)
+router.put('/impersonation-sessions/:id/end', requirePermission('user:impersonate'), async (req, res) => {
+  try {
+    const session = await ImpersonationSession.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation session not found'
+      });
+    }
+
+    if (!session.endedAt) {
+      await session.end(req.user._id);
+    }
+    await revokeTokenFamily(session._id.toString());
+
+    auditRequest(req, 'admin.impersonation-ended', {
+      target: session.user,
+      details: { sessionId: session._id, impersonatedBy: session.admin }
+    });
+
+    res.json({
+      success: true,
+      message: 'Impersonation session ended',
+      data: {
+        session
+      }
+    });
+
+  } catch (error) {
+    logger.error('End impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error ending impersonation session'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-events
+// @desc    Query the audit log by user, event type and time range
+// @access  Private (audit:read)
+router.get('/audit-events', requirePermission('audit:read'), validateAuditQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const filter = buildAuditQuery(req.query);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .populate('actor', 'firstName lastName email')
+        .populate('target', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Query audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error querying audit events'
+    });
+  }
+});
+
+// Helper function to stop spreadsheet apps from running a cell as a formula.
+// Audit events carry values the client chose, such as the User-Agent.
+const toSafeCsvCell = (value) => (/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+// @route   GET /api/admin/audit-events/export
+// @desc    Export audit events matching the filters as CSV
+// @access  Private (audit:read)
+router.get('/audit-events/export', requirePermission('audit:read'), validateAuditQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const maxRows = parseInt(process.env.AUDIT_EXPORT_LIMIT, 10) || 50000;
+    const csv = createObjectCsvStringifier({
+      header: [
+        { id: 'createdAt', title: 'Timestamp' },
+        { id: 'type', title: 'Event' },
+        { id: 'actor', title: 'Actor' },
+        { id: 'target', title: 'Target' },
+        { id: 'ipAddress', title: 'IP Address' },
+        { id: 'userAgent', title: 'User Agent' },
+        { id: 'details', title: 'Details' }
+      ]
+    });
+
+    auditRequest(req, 'admin.audit-exported', {
+      details: { filters: { ...req.query } }
+    });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-events-${Date.now()}.csv"`);
+    res.write(csv.getHeaderString());
+
+    const cursor = AuditEvent.find(buildAuditQuery(req.query))
+      .sort({ createdAt: -1 })
+      .limit(maxRows)
+      .lean()
+      .cursor();
+
+    for await (const event of cursor) {
+      res.write(csv.stringifyRecords([{
+        createdAt: event.createdAt.toISOString(),
+        type: event.type,
+        actor: event.actor?.toString() || '',
+        target: event.target?.toString() || '',
+        ipAddress: toSafeCsvCell(event.ipAddress || ''),
+        userAgent: toSafeCsvCell(event.userAgent || ''),
+        details: toSafeCsvCell(JSON.stringify(event.details || {}))
+      }]));
+    }
+
+    res.end();
+
+  } catch (error) {
+    logger.error('Export audit events error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting audit events'
+    });
+  }
+});
+
+export default router;
@@ -1,22 +1,62 @@
 import express from 'express';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
 import User from '../models/User.js';
+import ImpersonationSession from '../models/ImpersonationSession.js';
 import { sendEmail } from '../utils/email.js';
 import { sendSMS } from '../utils/sms.js';
 import { generateOTP, verifyOTP } from '../utils/otp.js';
 import { logger } from '../utils/logger.js';
-import { setCache, getCache } from '../config/redis.js';
+import { auditRequest } from '../utils/audit.js';
+import { normalizePhone } from '../utils/phone.js';
+import { getRedisClient, setCache, getCache, deleteCache } from '../config/redis.js';
+import { authMiddleware, blockWhileImpersonating } from '../middleware/auth.js';
+import {
+  authSlowDown,
+  limitAttempts,
+  recordAttempt,
+  clearAttempts,
+  startCooldown,
+  OTP_RESEND_COOLDOWN
+} from '../middleware/throttle.js';
+import {
+  issueTokenPair,
+  getRefreshTokenRecord,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeTokenFamily,
+  revokeAllUserSessions,
+  isTokenFamilyRevoked
+} from '../utils/tokens.js';
+import {
+  generateTwoFactorSecret,
+  verifyTotp,
+  generateBackupCodes,
+  verifyTwoFactorCode
+} from '../utils/twoFactor.js';
+import { verifySocialIdToken } from '../utils/socialAuth.js';
+import { SOCIAL_PROVIDERS } from '../config/socialProviders.js';
+import { getDeviceInfo, createDeviceToken, getApproximateLocation } from '../utils/device.js';
+import { getDeletionBlocker, getCoolingOffDays } from '../utils/accountDeletion.js';
+import { recordReferral } from '../utils/referrals.js';
 
 const router = express.Router();
 
+// Phone numbers are normalized to E.164 before anything is keyed on them;
+// ones that cannot be parsed become null and fail validation
+const validatePhoneField = (field) => body(field)
+  .customSanitizer(normalizePhone)
+  .notEmpty()
+  .withMessage('Please enter a valid phone number');
+
 // Validation middleware
 const validateRegistration = [
   body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
   body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('phone').matches(/^\+?[\d\s\-\(\)]+$/).withMessage('Please enter a valid phone number'),
+  validatePhoneField('phone'),
   body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters long'),
   body('dateOfBirth').isISO8601().withMessage('Please enter a valid date of birth'),
   body('gender').isIn(['male', 'female', 'other', 'prefer-not-to-say']).withMessage('Please select a valid gender')
@@ -41,15 +81,338 @@ const validatePasswordUpdate = [
   })
 ];
 
-// Helper function to generate JWT token
-const generateToken = (userId) => {
+const validateTwoFactorCode = [
+  body('code').trim().notEmpty().withMessage('Two-factor code is required')
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  ...validateTwoFactorCode
+];
+
+const validateTwoFactorDisable = [
+  body('password').notEmpty().withMessage('Password is required'),
+  ...validateTwoFactorCode
+];
+
+// Brute-force protection
+const loginLimits = [
+  authSlowDown,
+  limitAttempts('loginIp', req => req.ip)
+];
+
+const forgotPasswordLimits = [
+  authSlowDown,
+  limitAttempts('passwordResetIp', req => req.ip),
+  limitAttempts('passwordResetEmail', req => req.body.email)
+];
+
+const resetPasswordLimits = [
+  authSlowDown,
+  limitAttempts('passwordResetIp', req => req.ip)
+];
+
+const sendOtpLimits = [
+  authSlowDown,
+  limitAttempts('otpSendIp', req => req.ip),
+  limitAttempts('otpSendPhone', req => req.body.phone)
+];
+
+// Checked before any current password, 2FA code or OTP is verified for a
+// credential change
+const reauthLimits = limitAttempts('reauthUser', req => req.user._id.toString());
+
+const verifyOtpLimits = [
+  authSlowDown,
+  limitAttempts('otpVerifyIp', req => req.ip),
+  limitAttempts('otpVerifyPhone', req => req.body.phone)
+];
+
+const validatePhone = [
+  validatePhoneField('phone')
+];
+
+const validatePhoneLogin = [
+  ...validatePhone,
+  body('otp').trim().notEmpty().withMessage('OTP is required'),
+  body('referralCode').optional().trim()
+];
+
+const validateProfileCompletion = [
+  body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
+  body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
+  body('dateOfBirth').isISO8601().withMessage('Please enter a valid date of birth'),
+  body('gender').optional().isIn(['male', 'female', 'other', 'prefer-not-to-say']).withMessage('Please select a valid gender')
+];
+
+const validateSocialProvider = [
+  param('provider').isIn(SOCIAL_PROVIDERS).withMessage('Unsupported social provider')
+];
+
+const validateSocialToken = [
+  ...validateSocialProvider,
+  body('idToken').notEmpty().withMessage('ID token is required'),
+  body('firstName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
+  body('lastName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
+  body('referralCode').optional().trim()
+];
+
+const validatePasswordChange = [
+  body('newPassword').isLength({ min: 8 }).withMessage('Password must be at least 8 characters long'),
+  body('confirmPassword').custom((value, { req }) => {
+    if (value !== req.body.newPassword) {
+      throw new Error('Password confirmation does not match password');
+    }
+    return true;
+  })
+];
+
+const validateEmailChange = [
+  body('newEmail').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+];
+
+const validatePhoneChange = [
+  validatePhoneField('newPhone')
+];
+
+const validateTransactionPin = [
+  body('pin').matches(/^\d{4,6}$/).withMessage('PIN must be 4 to 6 digits'),
+  body('confirmPin').custom((value, { req }) => {
+    if (value !== req.body.pin) {
+      throw new Error('PIN confirmation does not match PIN');
+    }
+    return true;
+  })
+];
+
+const validateAccountDeletion = [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+// Helper function to check whether an account may sign in
+const getLoginRestriction = (user) => {
+  if (user.isLocked()) {
+    return { status: 423, message: 'Account is temporarily locked due to multiple failed login attempts' };
+  }
+
+  if (user.isBlocked) {
+    return { status: 403, message: 'Account is blocked. Please contact support.' };
+  }
+
+  if (!user.isActive) {
+    return { status: 403, message: 'Account is deactivated. Please contact support.' };
+  }
+
+  return null;
+};
+
+// Second login step: lifetime of a challenge, and the wrong codes it allows
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60;
+const TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS = 5;
+
+const twoFactorChallengeKey = (jti) => `2fa-challenge:${jti}`;
+
+// Count a wrong code against a challenge, deleting it once it has used up
+// its attempts. Returns the attempts so far, or -1 if it no longer exists.
+const FAIL_CHALLENGE_SCRIPT = `
+if redis.call('exists', KEYS[1]) == 0 then
+  return -1
+end
+local attempts = redis.call('incr', KEYS[1])
+if attempts >= tonumber(ARGV[1]) then
+  redis.call('del', KEYS[1])
+end
+return attempts
+`;
+
+// Helper function to issue a short-lived token for the second login step.
+// Its jti is stored in Redis with a count of wrong codes, so the challenge
+// can complete one login and is dropped after a few failed attempts.
+const createTwoFactorChallenge = async (user) => {
+  const jti = crypto.randomUUID();
+  await setCache(twoFactorChallengeKey(jti), 0, TWO_FACTOR_CHALLENGE_TTL);
+
   return jwt.sign(
-    { userId },
+    { userId: user._id, type: '2fa-challenge' },
     process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: '7d' }
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL, jwtid: jti }
   );
 };
 
+// Helper function to send a one-time code by SMS. Returns 0 when sent, or
+// the seconds left on the resend cooldown.
+const sendPhoneOtp = async (phone, ip) => {
+  const cooldown = await startCooldown('otp-resend', phone, OTP_RESEND_COOLDOWN);
+  if (cooldown) return cooldown;
+
+  await recordAttempt('otpSendPhone', phone, ip);
+
+  // A fresh code gets a fresh set of verification attempts
+  await clearAttempts('otpVerifyPhone', phone);
+
+  // Generate OTP
+  const otp = generateOTP();
+
+  // Store OTP in cache for 5 minutes
+  await setCache(`otp:${phone}`, otp, 300);
+
+  // Send OTP via SMS
+  await sendSMS({
+    to: phone,
+    message: `Your MekaCash verification code is: ${otp}. Valid for 5 minutes.`
+  });
+
+  logger.info(`OTP sent to: ${phone}`);
+
+  return 0;
+};
+
+// Helper function to check a one-time code. Returns 'valid', 'invalid' or
+// 'exhausted' when too many wrong guesses have invalidated the code.
+const checkPhoneOtp = async (phone, otp, ip) => {
+  const storedOTP = await getCache(`otp:${phone}`);
+
+  if (!storedOTP || storedOTP !== otp) {
+    await recordAttempt('otpVerifyIp', ip, ip);
+    const { blocked } = await recordAttempt('otpVerifyPhone', phone, ip);
+
+    // Too many wrong guesses invalidate the code
+    if (blocked) {
+      await deleteCache(`otp:${phone}`);
+      return 'exhausted';
+    }
+    return 'invalid';
+  }
+
+  await clearAttempts('otpVerifyPhone', phone);
+
+  // Clear OTP from cache
+  await deleteCache(`otp:${phone}`);
+
+  return 'valid';
+};
+
+// Helper function to confirm the user's identity before a credential change,
+// using the current password or a two-factor code. Accounts without a
+// password (phone or social sign-ups) may use an OTP sent to the verified
+// phone instead. Failures count against the reauthUser throttle rather than
+// the login lockout, so a stolen session cannot lock the owner out.
+// Expects +password +twoFactorSecret +twoFactorBackupCodes.
+const verifyReauthentication = async (user, { currentPassword, code, otp }, ip) => {
+  let isValid = false;
+
+  if (currentPassword && user.password) {
+    isValid = await user.comparePassword(currentPassword);
+  } else if (code && user.twoFactorEnabled) {
+    isValid = await verifyTwoFactorCode(user, code);
+  } else if (otp && !user.password && user.phone && user.isPhoneVerified) {
+    isValid = (await checkPhoneOtp(user.phone, otp, ip)) === 'valid';
+  }
+
+  if (isValid) {
+    await clearAttempts('reauthUser', user._id.toString());
+  } else {
+    await recordAttempt('reauthUser', user._id.toString(), ip);
+  }
+  return isValid;
+};
+
+// Helper function to format an approximate location for display
+const formatLocation = (location) => {
+  if (!location) return null;
+  return [location.city, location.region, location.country].filter(Boolean).join(', ');
+};
+
+// Helper function to resolve and store the approximate location of a
+// device's IP address, unless it is already known
+const recordDeviceLocation = async (user, device) => {
+  if (device.location) return device.location;
+
+  const location = formatLocation(await getApproximateLocation(device.ipAddress));
+  if (location) {
+    // Skip if the device has signed in from another address since
+    await User.updateOne(
+      { _id: user._id, devices: { $elemMatch: { deviceId: device.deviceId, ipAddress: device.ipAddress } } },
+      { $set: { 'devices.$.location': location } }
+    );
+  }
+
+  return location;
+};
+
+// Helper function to check whether a save failed because the social account
+// is linked to another user (the socialAccounts indexes are unique)
+const isSocialAccountTaken = (error, provider) => {
+  return error.code === 11000 && Boolean(error.keyPattern?.[`socialAccounts.${provider}`]);
+};
+
+// Helper function to warn a user about a sign-in from an unknown device
+const sendNewDeviceEmail = async (user, device, location) => {
+  await sendEmail({
+    to: user.email,
+    subject: 'New sign-in to your MekaCash account',
+    template: 'new-device-login',
+    data: {
+      name: user.firstName,
+      deviceName: device.deviceName,
+      ipAddress: device.ipAddress,
+      location,
+      time: device.lastUsed.toUTCString()
+    }
+  });
+};
+
+// Helper function to issue tokens and build the login response payload
+const createSession = async (user, req) => {
+  // Issue access and refresh tokens
+  const { accessToken, refreshToken, expiresIn, familyId } = await issueTokenPair(user._id);
+
+  // Bind the session to the device it was issued to
+  const { device, isNew, previousFamilyId } = user.registerDevice(getDeviceInfo(req), familyId);
+  if (previousFamilyId) {
+    await revokeTokenFamily(previousFamilyId);
+  }
+
+  // Update last active
+  user.stats.lastActive = new Date();
+  await user.save();
+
+  // Clear cache
+  await deleteCache(`user:${user._id}`);
+
+  // Locate the device and notify about new devices (except for the very
+  // first sign-in) without holding up the response
+  const notifyNewDevice = isNew && user.devices.length > 1 && user.email;
+  if (!device.location || notifyNewDevice) {
+    recordDeviceLocation(user, device)
+      .then(location => notifyNewDevice && sendNewDeviceEmail(user, device, location))
+      .catch(error => {
+        logger.error('New device follow-up error:', error);
+      });
+  }
+
+  return {
+    user: {
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      phone: user.phone,
+      isEmailVerified: user.isEmailVerified,
+      isPhoneVerified: user.isPhoneVerified,
+      role: user.role,
+      referralCode: user.referralCode,
+      profileStatus: user.profileStatus,
+      wallet: user.wallet
+    },
+    token: accessToken,
+    refreshToken,
+    expiresIn,
+    deviceId: device.deviceId,
+    deviceToken: createDeviceToken(device.deviceId)
+  };
+};
+
 // Helper function to send verification email
 const sendVerificationEmail = async (user) => {
   const verificationToken = jwt.sign(
@@ -129,11 +492,14 @@ router.post('/register', validateRegistration, async (req, res) => {
 
     await user.save();
 
+    // Open the rewards both sides earn once the first booking completes
+    await recordReferral(user);
+
     // Send verification email
     await sendVerificationEmail(user);
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Issue access and refresh tokens
+    const { accessToken, refreshToken, expiresIn } = await issueTokenPair(user._id);
 
     // Update user stats
     user.stats.lastActive = new Date();
@@ -159,7 +525,9 @@ router.post('/register', validateRegistration, async (req, res) => {
           role: user.role,
           referralCode: user.referralCode
         },
-        token
+        token: accessToken,
+        refreshToken,
+        expiresIn
       }
     });
 
@@ -175,7 +543,7 @@ router.post('/register', validateRegistration, async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', validateLogin, async (req, res) => {
+router.post('/login', loginLimits, validateLogin, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -191,25 +559,21 @@ router.post('/login', validateLogin, async (req, res) => {
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordAttempt('loginIp', req.ip, req.ip);
+      auditRequest(req, 'auth.login-failed', { details: { method: 'password', email, reason: 'unknown-account' } });
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Check if account is locked
-    if (user.isLocked()) {
-      return res.status(423).json({
-        success: false,
-        message: 'Account is temporarily locked due to multiple failed login attempts'
-      });
-    }
-
-    // Check if account is blocked
-    if (user.isBlocked) {
-      return res.status(403).json({
+    // Check if account is locked, blocked or deactivated
+    const restriction = getLoginRestriction(user);
+    if (restriction) {
+      return res.status(restriction.status).json({
         success: false,
-        message: 'Account is blocked. Please contact support.'
+        message: restriction.message
       });
     }
 
@@ -218,6 +582,12 @@ router.post('/login', validateLogin, async (req, res) => {
     if (!isPasswordValid) {
       // Increment login attempts
       await user.incLoginAttempts();
+      await recordAttempt('loginIp', req.ip, req.ip);
+      auditRequest(req, 'auth.login-failed', { actor: user._id, details: { method: 'password' } });
+
+      if (user.loginAttempts + 1 >= 5) {
+        auditRequest(req, 'auth.account-locked', { actor: user._id });
+      }
       
       return res.status(401).json({
         success: false,
@@ -225,39 +595,30 @@ router.post('/login', validateLogin, async (req, res) => {
       });
     }
 
+    // Require a second factor before starting a session
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await createTwoFactorChallenge(user)
+        }
+      });
+    }
+
     // Reset login attempts on successful login
     await user.resetLoginAttempts();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
-
-    // Update last active
-    user.stats.lastActive = new Date();
-    await user.save();
-
-    // Clear cache
-    await setCache(`user:${user._id}`, user, 3600);
+    const session = await createSession(user, req);
 
+    auditRequest(req, 'auth.login', { actor: user._id, details: { method: 'password', deviceId: session.deviceId } });
     logger.info(`User logged in: ${user.email}`);
 
     res.json({
       success: true,
       message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          phone: user.phone,
-          isEmailVerified: user.isEmailVerified,
-          isPhoneVerified: user.isPhoneVerified,
-          role: user.role,
-          referralCode: user.referralCode,
-          wallet: user.wallet
-        },
-        token
-      }
+      data: session
     });
 
   } catch (error) {
@@ -269,81 +630,164 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/verify-email
-// @desc    Verify email address
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or backup code
 // @access  Public
-router.post('/verify-email', async (req, res) => {
+router.post('/login/2fa', loginLimits, validateTwoFactorLogin, async (req, res) => {
   try {
-    const { token } = req.body;
-
-    if (!token) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Verification token is required'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return res.status(404).json({
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET || 'your-secret-key');
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.type !== '2fa-challenge' || !decoded.jti) {
+      return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message: 'Invalid or expired challenge token'
       });
     }
 
-    if (user.isEmailVerified) {
-      return res.status(400).json({
+    const redisClient = getRedisClient();
+    if (!redisClient) {
+      return res.status(503).json({
         success: false,
-        message: 'Email is already verified'
+        message: 'Two-factor login is temporarily unavailable. Please try again.'
       });
     }
 
-    if (user.emailVerificationToken !== token) {
-      return res.status(400).json({
+    // Challenges are used once and dropped after too many wrong codes
+    const challengeKey = twoFactorChallengeKey(decoded.jti);
+    if (!(await redisClient.exists(challengeKey))) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid verification token'
+        message: 'Invalid or expired challenge token'
       });
     }
 
-    if (user.emailVerificationExpires < new Date()) {
-      return res.status(400).json({
+    const user = await User.findById(decoded.userId).select('+twoFactorSecret +twoFactorBackupCodes');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
         success: false,
-        message: 'Verification token has expired'
+        message: 'Invalid or expired challenge token'
       });
     }
 
-    // Mark email as verified
-    user.isEmailVerified = true;
-    user.emailVerificationToken = undefined;
-    user.emailVerificationExpires = undefined;
-    await user.save();
+    // Check if account is locked, blocked or deactivated
+    const restriction = getLoginRestriction(user);
+    if (restriction) {
+      return res.status(restriction.status).json({
+        success: false,
+        message: restriction.message
+      });
+    }
 
-    // Clear cache
-    await setCache(`user:${user._id}`, user, 3600);
+    const isCodeValid = await verifyTwoFactorCode(user, code);
+    if (!isCodeValid) {
+      await user.incLoginAttempts();
+      await recordAttempt('loginIp', req.ip, req.ip);
+      auditRequest(req, 'auth.2fa-failed', { actor: user._id, details: { stage: 'login' } });
 
-    logger.info(`Email verified for user: ${user.email}`);
+      const attempts = await redisClient.eval(FAIL_CHALLENGE_SCRIPT, {
+        keys: [challengeKey],
+        arguments: [String(TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS)]
+      });
+      if (attempts < 0 || attempts >= TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS) {
+        return res.status(401).json({
+          success: false,
+          message: 'Too many failed attempts. Please log in again.'
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    // Use up the challenge; a concurrent request may already have
+    if (!(await redisClient.del(challengeKey))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    // Reset login attempts on successful login
+    await user.resetLoginAttempts();
+
+    const session = await createSession(user, req);
+
+    auditRequest(req, 'auth.login', { actor: user._id, details: { method: 'password-2fa', deviceId: session.deviceId } });
+    logger.info(`User logged in with two-factor authentication: ${user.email}`);
 
     res.json({
       success: true,
-      message: 'Email verified successfully'
+      message: 'Login successful',
+      data: session
     });
 
   } catch (error) {
-    logger.error('Email verification error:', error);
+    logger.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during email verification'
+      message: 'Server error during login'
     });
   }
 });
 
-// @route   POST /api/auth/forgot-password
-// @desc    Send password reset email
-// @access  Public
-router.post('/forgot-password', validatePasswordReset, async (req, res) => {
+// @route   POST /api/auth/2fa/setup
+// @desc    Begin two-factor enrollment
+// @access  Private
+router.post('/2fa/setup', authMiddleware, blockWhileImpersonating, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await generateTwoFactorSecret(req.user.email);
+
+    // Keep the secret pending until the first code is confirmed
+    await setCache(`2fa-setup:${req.user._id}`, secret, 600);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app and confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm two-factor enrollment with the first code
+// @access  Private
+router.post('/2fa/enable', authMiddleware, blockWhileImpersonating, validateTwoFactorCode, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -354,25 +798,218 @@ router.post('/forgot-password', validatePasswordReset, async (req, res) => {
       });
     }
 
-    const { email } = req.body;
+    const pendingSecret = await getCache(`2fa-setup:${req.user._id}`);
+    if (!pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'No pending two-factor setup. Please start again.'
+      });
+    }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      // Don't reveal if email exists or not
-      return res.json({
-        success: true,
-        message: 'If an account with that email exists, a password reset link has been sent'
+    if (!verifyTotp(pendingSecret, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
       });
     }
 
-    // Generate password reset token
-    const resetToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '1h' }
-    );
+    const user = await User.findById(req.user._id);
+    const { codes, hashes } = generateBackupCodes();
 
-    user.passwordResetToken = resetToken;
+    user.twoFactorSecret = pendingSecret;
+    user.twoFactorBackupCodes = hashes;
+    user.twoFactorEnabled = true;
+    await user.save();
+
+    await deleteCache(`2fa-setup:${user._id}`);
+    await deleteCache(`user:${user._id}`);
+
+    auditRequest(req, 'auth.2fa-enabled');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: {
+        backupCodes: codes
+      }
+    });
+
+  } catch (error) {
+    logger.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', authMiddleware, blockWhileImpersonating, reauthLimits, validateTwoFactorDisable, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password +twoFactorSecret +twoFactorBackupCodes');
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    const isCodeValid = isPasswordValid && await verifyTwoFactorCode(user, code);
+    if (!isCodeValid) {
+      await recordAttempt('reauthUser', user._id.toString(), req.ip);
+      auditRequest(req, 'auth.2fa-failed', { details: { stage: 'disable' } });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorBackupCodes = [];
+    await user.save();
+
+    await deleteCache(`user:${user._id}`);
+
+    auditRequest(req, 'auth.2fa-disabled');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    // Verify token
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    if (user.emailVerificationToken !== token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification token'
+      });
+    }
+
+    if (user.emailVerificationExpires < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token has expired'
+      });
+    }
+
+    // Mark email as verified
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    // Clear cache
+    await setCache(`user:${user._id}`, user, 3600);
+
+    logger.info(`Email verified for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    logger.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset email
+// @access  Public
+router.post('/forgot-password', validatePasswordReset, forgotPasswordLimits, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    // Count every request so limits don't reveal whether the account exists
+    await recordAttempt('passwordResetIp', req.ip, req.ip);
+    await recordAttempt('passwordResetEmail', email, req.ip);
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      // Don't reveal if email exists or not
+      return res.json({
+        success: true,
+        message: 'If an account with that email exists, a password reset link has been sent'
+      });
+    }
+
+    // Generate password reset token
+    const resetToken = jwt.sign(
+      { userId: user._id },
+      process.env.JWT_SECRET || 'your-secret-key',
+      { expiresIn: '1h' }
+    );
+
+    user.passwordResetToken = resetToken;
     user.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
     await user.save();
 
@@ -408,7 +1045,7 @@ router.post('/forgot-password', validatePasswordReset, async (req, res) => {
 // @route   POST /api/auth/reset-password
 // @desc    Reset password with token
 // @access  Public
-router.post('/reset-password', validatePasswordUpdate, async (req, res) => {
+router.post('/reset-password', resetPasswordLimits, validatePasswordUpdate, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -431,7 +1068,7 @@ router.post('/reset-password', validatePasswordUpdate, async (req, res) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
     
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(decoded.userId).select('+password +passwordHistory');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -440,6 +1077,8 @@ router.post('/reset-password', validatePasswordUpdate, async (req, res) => {
     }
 
     if (user.passwordResetToken !== token) {
+      await recordAttempt('passwordResetIp', req.ip, req.ip);
+
       return res.status(400).json({
         success: false,
         message: 'Invalid reset token'
@@ -453,15 +1092,23 @@ router.post('/reset-password', validatePasswordUpdate, async (req, res) => {
       });
     }
 
+    if (await user.isPasswordReused(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a password you have not used recently'
+      });
+    }
+
     // Update password
-    user.password = password;
+    user.setPassword(password);
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
     await user.save();
 
-    // Clear cache
-    await setCache(`user:${user._id}`, user, 3600);
+    // Sign out every existing session
+    await revokeAllUserSessions(user._id);
 
+    auditRequest(req, 'auth.password-reset', { actor: user._id });
     logger.info(`Password reset for user: ${user.email}`);
 
     res.json({
@@ -481,17 +1128,21 @@ router.post('/reset-password', validatePasswordUpdate, async (req, res) => {
 // @route   POST /api/auth/send-otp
 // @desc    Send OTP for phone verification
 // @access  Public
-router.post('/send-otp', async (req, res) => {
+router.post('/send-otp', validatePhone, sendOtpLimits, async (req, res) => {
   try {
-    const { phone } = req.body;
-
-    if (!phone) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Phone number is required'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
+    const { phone } = req.body;
+
+    await recordAttempt('otpSendIp', req.ip, req.ip);
+
     const user = await User.findOne({ phone });
     if (!user) {
       return res.status(404).json({
@@ -500,19 +1151,16 @@ router.post('/send-otp', async (req, res) => {
       });
     }
 
-    // Generate OTP
-    const otp = generateOTP();
-    
-    // Store OTP in cache for 5 minutes
-    await setCache(`otp:${phone}`, otp, 300);
-
-    // Send OTP via SMS
-    await sendSMS({
-      to: phone,
-      message: `Your MekaCash verification code is: ${otp}. Valid for 5 minutes.`
-    });
-
-    logger.info(`OTP sent to: ${phone}`);
+    // Send OTP unless the resend cooldown is still active
+    const cooldown = await sendPhoneOtp(phone, req.ip);
+    if (cooldown) {
+      res.set('Retry-After', String(cooldown));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${cooldown} seconds before requesting another code`,
+        retryAfter: cooldown
+      });
+    }
 
     res.json({
       success: true,
@@ -531,14 +1179,23 @@ router.post('/send-otp', async (req, res) => {
 // @route   POST /api/auth/verify-otp
 // @desc    Verify OTP for phone verification
 // @access  Public
-router.post('/verify-otp', async (req, res) => {
+router.post('/verify-otp', validatePhone, verifyOtpLimits, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { phone, otp } = req.body;
 
-    if (!phone || !otp) {
+    if (!otp) {
       return res.status(400).json({
         success: false,
-        message: 'Phone number and OTP are required'
+        message: 'OTP is required'
       });
     }
 
@@ -550,9 +1207,15 @@ router.post('/verify-otp', async (req, res) => {
       });
     }
 
-    // Get stored OTP
-    const storedOTP = await getCache(`otp:${phone}`);
-    if (!storedOTP || storedOTP !== otp) {
+    const otpStatus = await checkPhoneOtp(phone, otp, req.ip);
+    if (otpStatus === 'exhausted') {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed attempts. Please request a new code.'
+      });
+    }
+
+    if (otpStatus === 'invalid') {
       return res.status(400).json({
         success: false,
         message: 'Invalid OTP'
@@ -563,9 +1226,6 @@ router.post('/verify-otp', async (req, res) => {
     user.isPhoneVerified = true;
     await user.save();
 
-    // Clear OTP from cache
-    await setCache(`otp:${phone}`, null, 1);
-
     // Clear user cache
     await setCache(`user:${user._id}`, user, 3600);
 
@@ -585,69 +1245,1264 @@ router.post('/verify-otp', async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/refresh-token
-// @desc    Refresh JWT token
-// @access  Private
-router.post('/refresh-token', async (req, res) => {
+// @route   POST /api/auth/phone/request-code
+// @desc    Send a sign-in code to any phone number
+// @access  Public
+router.post('/phone/request-code', validatePhone, sendOtpLimits, async (req, res) => {
   try {
-    const { token } = req.body;
-
-    if (!token) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Token is required'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return res.status(404).json({
+    const { phone } = req.body;
+
+    await recordAttempt('otpSendIp', req.ip, req.ip);
+
+    // Send OTP unless the resend cooldown is still active
+    const cooldown = await sendPhoneOtp(phone, req.ip);
+    if (cooldown) {
+      res.set('Retry-After', String(cooldown));
+      return res.status(429).json({
         success: false,
-        message: 'User not found'
+        message: `Please wait ${cooldown} seconds before requesting another code`,
+        retryAfter: cooldown
       });
     }
 
-    // Generate new token
-    const newToken = generateToken(user._id);
-
     res.json({
       success: true,
-      data: {
-        token: newToken
-      }
+      message: 'OTP sent successfully'
     });
 
   } catch (error) {
-    logger.error('Refresh token error:', error);
-    res.status(401).json({
+    logger.error('Phone sign-in code error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Invalid token'
+      message: 'Server error sending OTP'
     });
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user
-// @access  Private
-router.post('/logout', async (req, res) => {
+// @route   POST /api/auth/phone/verify
+// @desc    Sign in with a phone code, creating a pending profile for new numbers
+// @access  Public
+router.post('/phone/verify', validatePhoneLogin, verifyOtpLimits, async (req, res) => {
   try {
-    // In a real application, you might want to blacklist the token
-    // For now, we'll just return success
-    res.json({
-      success: true,
-      message: 'Logged out successfully'
-    });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-  } catch (error) {
-    logger.error('Logout error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during logout'
+    const { phone, otp, referralCode } = req.body;
+
+    let user = await User.findOne({ phone });
+
+    // Check if account is locked, blocked or deactivated
+    const restriction = user && getLoginRestriction(user);
+    if (restriction) {
+      return res.status(restriction.status).json({
+        success: false,
+        message: restriction.message
+      });
+    }
+
+    // Check referral code if provided for a new number
+    let referredBy = null;
+    if (!user && referralCode) {
+      referredBy = await User.findByReferralCode(referralCode);
+      if (!referredBy) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid referral code'
+        });
+      }
+    }
+
+    const otpStatus = await checkPhoneOtp(phone, otp, req.ip);
+    if (otpStatus !== 'valid') {
+      if (user) {
+        await user.incLoginAttempts();
+        auditRequest(req, 'auth.login-failed', { actor: user._id, details: { method: 'phone' } });
+      } else {
+        auditRequest(req, 'auth.login-failed', { details: { method: 'phone', phone, reason: 'unknown-account' } });
+      }
+
+      if (otpStatus === 'exhausted') {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed attempts. Please request a new code.'
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid OTP'
+      });
+    }
+
+    const isNewUser = !user;
+    if (isNewUser) {
+      user = new User({
+        phone,
+        signupMethod: 'phone',
+        profileStatus: 'pending',
+        isPhoneVerified: true,
+        referredBy: referredBy?._id
+      });
+      await user.save();
+
+      // Open the rewards both sides earn once the first booking completes
+      await recordReferral(user);
+
+      logger.info(`New user registered by phone: ${user._id}`);
+    } else {
+      await user.resetLoginAttempts();
+
+      if (!user.isPhoneVerified) {
+        user.isPhoneVerified = true;
+      }
+    }
+
+    // Require a second factor before starting a session
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await createTwoFactorChallenge(user)
+        }
+      });
+    }
+
+    const session = await createSession(user, req);
+
+    auditRequest(req, 'auth.login', { actor: user._id, details: { method: 'phone', deviceId: session.deviceId } });
+    logger.info(`User logged in by phone: ${user._id}`);
+
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        ...session,
+        isNewUser
+      }
+    });
+
+  } catch (error) {
+    logger.error('Phone sign-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   PUT /api/auth/phone/complete-profile
+// @desc    Complete a pending profile created through phone sign-in
+// @access  Private
+router.put('/phone/complete-profile', authMiddleware, validateProfileCompletion, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (user.profileStatus !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Profile is already complete'
+      });
+    }
+
+    const { firstName, lastName, dateOfBirth, gender } = req.body;
+
+    user.firstName = firstName;
+    user.lastName = lastName;
+    user.dateOfBirth = dateOfBirth;
+    if (gender) user.gender = gender;
+    user.profileStatus = 'complete';
+    await user.save();
+
+    // Clear cache
+    await deleteCache(`user:${user._id}`);
+
+    logger.info(`Profile completed for user: ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Profile completed successfully',
+      data: {
+        user: {
+          id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          phone: user.phone,
+          profileStatus: user.profileStatus
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Complete profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error completing profile'
+    });
+  }
+});
+
+// @route   POST /api/auth/social/:provider
+// @desc    Sign in with a Google, Facebook or Apple ID token
+// @access  Public
+router.post('/social/:provider', loginLimits, validateSocialToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { provider } = req.params;
+
+    let identity;
+    try {
+      identity = await verifySocialIdToken(provider, req.body.idToken);
+    } catch (error) {
+      logger.warn(`Rejected ${provider} ID token: ${error.message}`);
+      await recordAttempt('loginIp', req.ip, req.ip);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid ID token'
+      });
+    }
+
+    let user = await User.findBySocialAccount(provider, identity.providerId);
+    let isNewUser = false;
+
+    if (!user && identity.email) {
+      const existingUser = await User.findByEmail(identity.email);
+
+      if (existingUser) {
+        // Only link automatically when both sides have verified the email
+        if (!identity.emailVerified || !existingUser.isEmailVerified) {
+          return res.status(409).json({
+            success: false,
+            message: `An account with this email already exists. Sign in and link ${provider} from your account settings.`
+          });
+        }
+
+        existingUser.set(`socialAccounts.${provider}`, identity.providerId);
+        await existingUser.save();
+        user = existingUser;
+
+        auditRequest(req, 'auth.social-linked', { actor: user._id, details: { provider } });
+      }
+    }
+
+    if (!user) {
+      // Check referral code if provided
+      let referredBy = null;
+      if (req.body.referralCode) {
+        referredBy = await User.findByReferralCode(req.body.referralCode);
+        if (!referredBy) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid referral code'
+          });
+        }
+      }
+
+      user = new User({
+        firstName: req.body.firstName || identity.firstName,
+        lastName: req.body.lastName || identity.lastName,
+        email: identity.email || undefined,
+        avatar: identity.avatar,
+        isEmailVerified: identity.emailVerified,
+        signupMethod: provider,
+        profileStatus: 'pending',
+        socialAccounts: { [provider]: identity.providerId },
+        referredBy: referredBy?._id
+      });
+      await user.save();
+      isNewUser = true;
+
+      // Open the rewards both sides earn once the first booking completes
+      await recordReferral(user);
+
+      logger.info(`New user registered with ${provider}: ${user._id}`);
+    }
+
+    // Check if account is locked, blocked or deactivated
+    const restriction = getLoginRestriction(user);
+    if (restriction) {
+      return res.status(restriction.status).json({
+        success: false,
+        message: restriction.message
+      });
+    }
+
+    // Require a second factor before starting a session
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await createTwoFactorChallenge(user)
+        }
+      });
+    }
+
+    const session = await createSession(user, req);
+
+    auditRequest(req, 'auth.login', { actor: user._id, details: { method: provider, deviceId: session.deviceId } });
+    logger.info(`User logged in with ${provider}: ${user._id}`);
+
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        ...session,
+        isNewUser
+      }
+    });
+
+  } catch (error) {
+    // The same provider account was linked or signed up concurrently
+    if (isSocialAccountTaken(error, req.params.provider)) {
+      return res.status(409).json({
+        success: false,
+        message: `This ${req.params.provider} account was just linked to an account. Please sign in again.`
+      });
+    }
+
+    logger.error('Social login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during social login'
+    });
+  }
+});
+
+// @route   POST /api/auth/social/:provider/link
+// @desc    Link a social provider to the current account
+// @access  Private
+router.post('/social/:provider/link', authMiddleware, blockWhileImpersonating, validateSocialToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { provider } = req.params;
+
+    const user = await User.findById(req.user._id);
+    if (user.socialAccounts?.[provider]) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${provider} account is already linked`
+      });
+    }
+
+    let identity;
+    try {
+      identity = await verifySocialIdToken(provider, req.body.idToken);
+    } catch (error) {
+      logger.warn(`Rejected ${provider} ID token: ${error.message}`);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid ID token'
+      });
+    }
+
+    const owner = await User.findBySocialAccount(provider, identity.providerId);
+    if (owner && !owner._id.equals(user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: `This ${provider} account is already linked to another user`
+      });
+    }
+
+    user.set(`socialAccounts.${provider}`, identity.providerId);
+    await user.save();
+
+    // Clear cache
+    await deleteCache(`user:${user._id}`);
+
+    auditRequest(req, 'auth.social-linked', { details: { provider } });
+
+    res.json({
+      success: true,
+      message: `${provider} account linked successfully`
+    });
+
+  } catch (error) {
+    if (isSocialAccountTaken(error, req.params.provider)) {
+      return res.status(409).json({
+        success: false,
+        message: `This ${req.params.provider} account is already linked to another user`
+      });
+    }
+
+    logger.error('Link social account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error linking social account'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/social/:provider
+// @desc    Unlink a social provider, keeping at least one way to sign in
+// @access  Private
+router.delete('/social/:provider', authMiddleware, blockWhileImpersonating, validateSocialProvider, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { provider } = req.params;
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user.socialAccounts?.[provider]) {
+      return res.status(400).json({
+        success: false,
+        message: `No ${provider} account is linked`
+      });
+    }
+
+    // Make sure the user can still sign in afterwards
+    const canUsePassword = !!(user.email && user.password);
+    const canUsePhone = !!(user.phone && user.isPhoneVerified);
+    const otherProviders = SOCIAL_PROVIDERS.filter(
+      name => name !== provider && user.socialAccounts?.[name]
+    );
+
+    if (!canUsePassword && !canUsePhone && !otherProviders.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password, verify a phone number or link another provider before unlinking this one'
+      });
+    }
+
+    user.set(`socialAccounts.${provider}`, undefined);
+    await user.save();
+
+    // Clear cache
+    await deleteCache(`user:${user._id}`);
+
+    auditRequest(req, 'auth.social-unlinked', { details: { provider } });
+
+    res.json({
+      success: true,
+      message: `${provider} account unlinked successfully`
+    });
+
+  } catch (error) {
+    logger.error('Unlink social account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlinking social account'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh-token
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh-token', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const record = await getRefreshTokenRecord(refreshToken);
+    if (!record) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // Check the account before a new token pair is issued
+    const user = await User.findById(record.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.isActive || user.isBlocked) {
+      // A blocked account's session ends here for good
+      if (user.isBlocked) {
+        await revokeTokenFamily(record.familyId);
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not allowed to sign in. Please contact support.'
+      });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken, req.ip);
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // Track when the device holding this session was last seen
+    await User.updateOne(
+      { _id: user._id, 'devices.sessionFamilyId': rotated.familyId },
+      { $set: { 'devices.$.lastUsed': new Date(), 'devices.$.ipAddress': req.ip } }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        token: rotated.accessToken,
+        refreshToken: rotated.refreshToken,
+        expiresIn: rotated.expiresIn
+      }
+    });
+
+  } catch (error) {
+    logger.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing token'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user and revoke the current session
+// @access  Private
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await revokeAccessToken(req.auth);
+    await revokeTokenFamily(req.auth.familyId);
+
+    await User.updateOne(
+      { _id: req.user._id, 'devices.sessionFamilyId': req.auth.familyId },
+      { $set: { 'devices.$.isActive': false } }
+    );
+
+    logger.info(`User logged out: ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke all sessions of the current user
+// @access  Private
+router.post('/logout-all', authMiddleware, blockWhileImpersonating, async (req, res) => {
+  try {
+    await revokeAllUserSessions(req.user._id);
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { 'devices.$[].isActive': false } }
+    );
+
+    auditRequest(req, 'auth.logout-all');
+    logger.info(`All sessions revoked for user: ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices successfully'
+    });
+
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/impersonation/end
+// @desc    End the impersonation session the current token belongs to
+// @access  Private (impersonation token)
+router.post('/impersonation/end', authMiddleware, async (req, res) => {
+  try {
+    if (!req.auth.impersonatedBy) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not an impersonation session'
+      });
+    }
+
+    const session = await ImpersonationSession.findById(req.auth.familyId);
+    if (session && !session.endedAt) {
+      await session.end(req.auth.impersonatedBy);
+    }
+    await revokeTokenFamily(req.auth.familyId);
+
+    auditRequest(req, 'admin.impersonation-ended', {
+      details: { sessionId: req.auth.familyId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Impersonation session ended'
+    });
+
+  } catch (error) {
+    logger.error('End impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error ending impersonation session'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change password for the logged-in user
+// @access  Private
+router.post('/change-password', authMiddleware, blockWhileImpersonating, reauthLimits, validatePasswordChange, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +passwordHistory +twoFactorSecret +twoFactorBackupCodes');
+
+    if (!(await verifyReauthentication(user, req.body, req.ip))) {
+      auditRequest(req, 'auth.password-change-failed');
+
+      return res.status(401).json({
+        success: false,
+        message: 'Current password or verification code is incorrect'
+      });
+    }
+
+    if (await user.isPasswordReused(req.body.newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a password you have not used recently'
+      });
+    }
+
+    user.setPassword(req.body.newPassword);
+    await user.save();
+
+    // Sign out every session, then start a fresh one for this device
+    await revokeAllUserSessions(user._id);
+    const session = await createSession(user, req);
+
+    auditRequest(req, 'auth.password-changed');
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: session
+    });
+
+  } catch (error) {
+    logger.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error changing password'
+    });
+  }
+});
+
+// @route   PUT /api/auth/transaction-pin
+// @desc    Set or change the wallet transaction PIN
+// @access  Private
+router.put('/transaction-pin', authMiddleware, blockWhileImpersonating, reauthLimits, validateTransactionPin, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorBackupCodes +wallet.pin');
+
+    if (!(await verifyReauthentication(user, req.body, req.ip))) {
+      auditRequest(req, 'auth.reauthentication-failed', { details: { action: 'transaction-pin' } });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Current password or verification code is incorrect'
+      });
+    }
+
+    await user.setWalletPin(req.body.pin);
+    await user.save();
+
+    auditRequest(req, 'auth.transaction-pin-set');
+
+    res.json({
+      success: true,
+      message: 'Transaction PIN saved'
+    });
+
+  } catch (error) {
+    logger.error('Set transaction PIN error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving transaction PIN'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-email
+// @desc    Request an email change; the new address must be confirmed first
+// @access  Private
+router.post('/change-email', authMiddleware, blockWhileImpersonating, reauthLimits, validateEmailChange, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { newEmail } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorBackupCodes');
+
+    if (!(await verifyReauthentication(user, req.body, req.ip))) {
+      auditRequest(req, 'auth.reauthentication-failed', { details: { action: 'change-email' } });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Current password or verification code is incorrect'
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email must be different from the current one'
+      });
+    }
+
+    if (await User.findByEmail(newEmail)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already in use'
+      });
+    }
+
+    const confirmToken = jwt.sign(
+      { userId: user._id, email: newEmail, type: 'email-change' },
+      process.env.JWT_SECRET || 'your-secret-key',
+      { expiresIn: '24h' }
+    );
+
+    // Keep the current email until the new one is confirmed
+    user.pendingEmail = newEmail;
+    user.pendingEmailToken = confirmToken;
+    user.pendingEmailExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    await user.save();
+
+    const confirmUrl = `${process.env.FRONTEND_URL}/confirm-email-change?token=${confirmToken}`;
+
+    await sendEmail({
+      to: newEmail,
+      subject: 'Confirm your new MekaCash email address',
+      template: 'email-change-verification',
+      data: {
+        name: user.firstName,
+        confirmUrl
+      }
+    });
+
+    auditRequest(req, 'auth.email-change-requested', { details: { newEmail } });
+
+    res.json({
+      success: true,
+      message: 'Please check your new email address to confirm the change'
+    });
+
+  } catch (error) {
+    logger.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error changing email'
+    });
+  }
+});
+
+// @route   POST /api/auth/confirm-email-change
+// @desc    Confirm a new email address and switch to it
+// @access  Public
+router.post('/confirm-email-change', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirmation token is required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.type !== 'email-change') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation token'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || user.pendingEmailToken !== token || user.pendingEmailExpires < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation token'
+      });
+    }
+
+    // The address may have been taken since the change was requested
+    const existingUser = await User.findByEmail(user.pendingEmail);
+    if (existingUser && !existingUser._id.equals(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already in use'
+      });
+    }
+
+    const previousEmail = user.email;
+
+    user.email = user.pendingEmail;
+    user.isEmailVerified = true;
+    user.pendingEmail = undefined;
+    user.pendingEmailToken = undefined;
+    user.pendingEmailExpires = undefined;
+    await user.save();
+
+    // Clear cache
+    await deleteCache(`user:${user._id}`);
+
+    auditRequest(req, 'auth.email-changed', { actor: user._id, details: { previousEmail, newEmail: user.email } });
+
+    res.json({
+      success: true,
+      message: 'Email changed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error confirming email change'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-phone
+// @desc    Request a phone change; sends an OTP to the new number
+// @access  Private
+router.post('/change-phone', authMiddleware, blockWhileImpersonating, reauthLimits, validatePhoneChange, sendOtpLimits, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { newPhone } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorBackupCodes');
+
+    if (!(await verifyReauthentication(user, req.body, req.ip))) {
+      auditRequest(req, 'auth.reauthentication-failed', { details: { action: 'change-phone' } });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Current password or verification code is incorrect'
+      });
+    }
+
+    if (newPhone === user.phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'New phone number must be different from the current one'
+      });
+    }
+
+    if (await User.findByPhone(newPhone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already in use'
+      });
+    }
+
+    await recordAttempt('otpSendIp', req.ip, req.ip);
+
+    // Send OTP unless the resend cooldown is still active
+    const cooldown = await sendPhoneOtp(newPhone, req.ip);
+    if (cooldown) {
+      res.set('Retry-After', String(cooldown));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${cooldown} seconds before requesting another code`,
+        retryAfter: cooldown
+      });
+    }
+
+    // Keep the current phone until the new one is confirmed
+    await setCache(`phone-change:${user._id}`, newPhone, 600);
+
+    res.json({
+      success: true,
+      message: 'OTP sent to the new phone number'
+    });
+
+  } catch (error) {
+    logger.error('Change phone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error changing phone number'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-phone/confirm
+// @desc    Confirm a phone change with the OTP sent to the new number
+// @access  Private
+router.post('/change-phone/confirm', authMiddleware, blockWhileImpersonating, verifyOtpLimits, async (req, res) => {
+  try {
+    const { otp } = req.body;
+
+    if (!otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'OTP is required'
+      });
+    }
+
+    const newPhone = await getCache(`phone-change:${req.user._id}`);
+    if (!newPhone) {
+      return res.status(400).json({
+        success: false,
+        message: 'No pending phone change. Please start again.'
+      });
+    }
+
+    const otpStatus = await checkPhoneOtp(newPhone, otp, req.ip);
+    if (otpStatus === 'exhausted') {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed attempts. Please request a new code.'
+      });
+    }
+
+    if (otpStatus === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid OTP'
+      });
+    }
+
+    // The number may have been taken since the change was requested
+    if (await User.findByPhone(newPhone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already in use'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const previousPhone = user.phone;
+
+    user.phone = newPhone;
+    user.isPhoneVerified = true;
+    await user.save();
+
+    await deleteCache(`phone-change:${user._id}`);
+    await deleteCache(`user:${user._id}`);
+
+    auditRequest(req, 'auth.phone-changed', { details: { previousPhone, newPhone } });
+
+    res.json({
+      success: true,
+      message: 'Phone number changed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Confirm phone change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error confirming phone change'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    const sessions = [];
+    for (const device of user.devices.filter(d => d.isActive)) {
+      // Skip sessions revoked elsewhere, e.g. by refresh token reuse
+      if (await isTokenFamilyRevoked(device.sessionFamilyId)) continue;
+
+      sessions.push({
+        deviceId: device.deviceId,
+        deviceType: device.deviceType,
+        deviceName: device.deviceName,
+        ipAddress: device.ipAddress,
+        location: device.location || null,
+        firstSeen: device.firstSeen,
+        lastUsed: device.lastUsed,
+        current: device.sessionFamilyId === req.auth.familyId
+      });
+    }
+
+    sessions.sort((a, b) => new Date(b.lastUsed) - new Date(a.lastUsed));
+
+    res.json({
+      success: true,
+      data: {
+        sessions
+      }
+    });
+
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error listing sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:deviceId
+// @desc    Revoke the session of a single device
+// @access  Private
+router.delete('/sessions/:deviceId', authMiddleware, blockWhileImpersonating, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    const device = user.devices.find(d => d.deviceId === req.params.deviceId && d.isActive);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeTokenFamily(device.sessionFamilyId);
+
+    device.isActive = false;
+    await user.save();
+
+    auditRequest(req, 'auth.session-revoked', {
+      details: { deviceId: device.deviceId, deviceName: device.deviceName }
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session'
+    });
+  }
+});
+
+// @route   POST /api/auth/delete-account
+// @desc    Request account deletion after a cooling-off period
+// @access  Private
+router.post('/delete-account', authMiddleware, blockWhileImpersonating, reauthLimits, validateAccountDeletion, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorBackupCodes');
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        data: {
+          scheduledFor: user.deletion.scheduledFor
+        }
+      });
+    }
+
+    if (!(await verifyReauthentication(user, req.body, req.ip))) {
+      auditRequest(req, 'auth.reauthentication-failed', { details: { action: 'delete-account' } });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Current password or verification code is incorrect'
+      });
+    }
+
+    const blocker = await getDeletionBlocker(user);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        message: blocker
+      });
+    }
+
+    const coolingOffDays = getCoolingOffDays();
+    user.deletion = {
+      requestedAt: new Date(),
+      scheduledFor: new Date(Date.now() + coolingOffDays * 24 * 60 * 60 * 1000),
+      reason: req.body.reason
+    };
+    await user.save();
+    await deleteCache(`user:${user._id}`);
+
+    if (user.email) {
+      sendEmail({
+        to: user.email,
+        subject: 'Your MekaCash account is scheduled for deletion',
+        template: 'account-deletion-scheduled',
+        data: {
+          name: user.firstName,
+          scheduledFor: user.deletion.scheduledFor.toDateString()
+        }
+      }).catch(error => logger.error('Account deletion email error:', error));
+    }
+
+    auditRequest(req, 'account.deletion-requested', {
+      details: { scheduledFor: user.deletion.scheduledFor }
+    });
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${coolingOffDays} days unless you cancel before then`,
+      data: {
+        scheduledFor: user.deletion.scheduledFor
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting account deletion'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/delete-account
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.delete('/delete-account', authMiddleware, blockWhileImpersonating, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is scheduled'
+      });
+    }
+
+    user.deletion = undefined;
+    await user.save();
+    await deleteCache(`user:${user._id}`);
+
+    auditRequest(req, 'account.deletion-cancelled');
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+
+  } catch (error) {
+    logger.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling account deletion'
     });
   }
 });
 
-export default router; 
\ No newline at end of file
+export default router;
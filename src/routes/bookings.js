@@ -0,0 +1,215 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import Booking from '../models/Booking.js';
+import { blockWhileImpersonating, requirePermission } from '../middleware/auth.js';
+import {
+  evaluateCancellation,
+  cancelBookingWithPolicy,
+  processCancellationRefund
+} from '../utils/cancellations.js';
+import { auditRequest } from '../utils/audit.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Validation middleware
+const validateBookingId = [
+  param('id').isMongoId().withMessage('Invalid booking ID')
+];
+
+const validateCancellation = [
+  ...validateBookingId,
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required and cannot exceed 500 characters'),
+  body('refundMethod').optional().isIn(['original', 'wallet']).withMessage('Refund method must be original or wallet'),
+  body('expectedRefundAmount').optional().isFloat({ min: 0 }).withMessage('Expected refund amount must be a positive number')
+];
+
+// Helper function to shape a booking's cancellation for API responses
+const formatCancellation = (booking) => ({
+  bookingId: booking.bookingId,
+  status: booking.status.current,
+  ...booking.cancellation.toObject()
+});
+
+// @route   GET /api/bookings/:id/cancellation
+// @desc    Preview the fee and refund for cancelling a booking now
+// @access  Private (customer, provider, runner or support)
+router.get('/:id/cancellation', validateBookingId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    const outcome = booking && await evaluateCancellation(booking, req.user);
+
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        cancellation: outcome
+      }
+    });
+
+  } catch (error) {
+    logger.error('Preview cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error previewing cancellation'
+    });
+  }
+});
+
+// @route   POST /api/bookings/:id/cancel
+// @desc    Cancel a booking and refund the payer under the cancellation
+//          policy. Pass the previewed refund as expectedRefundAmount to
+//          make sure the outcome has not changed since it was shown.
+// @access  Private (customer, provider, runner or support)
+router.post('/:id/cancel', blockWhileImpersonating, validateCancellation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    const outcome = booking && await evaluateCancellation(booking, req.user);
+
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!outcome.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    const { expectedRefundAmount } = req.body;
+    if (expectedRefundAmount !== undefined && parseFloat(expectedRefundAmount) !== outcome.refundAmount) {
+      return res.status(409).json({
+        success: false,
+        message: 'The refund for this cancellation has changed. Please review it and try again.',
+        data: {
+          cancellation: outcome
+        }
+      });
+    }
+
+    const refundMethod = req.body.refundMethod || outcome.refundMethods[0];
+    if (outcome.refundAmount > 0 && !outcome.refundMethods.includes(refundMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `This booking can only be refunded to: ${outcome.refundMethods.join(', ')}`
+      });
+    }
+
+    const cancelled = await cancelBookingWithPolicy(booking, req.user, outcome, {
+      reason: req.body.reason,
+      refundMethod
+    });
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'This booking has just been cancelled or updated. Please check the cancellation again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: cancelled.cancellation.refundStatus === 'failed'
+        ? 'Booking cancelled, but the refund could not be processed yet. Our team will retry it.'
+        : 'Booking cancelled',
+      data: {
+        cancellation: formatCancellation(cancelled)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Cancel booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling booking'
+    });
+  }
+});
+
+// @route   POST /api/bookings/:id/cancellation/refund
+// @desc    Retry the refund for a cancelled booking whose refund failed
+// @access  Private (Support)
+router.post('/:id/cancellation/refund', blockWhileImpersonating, requirePermission('booking:cancel-any'), validateBookingId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.cancellation?.refundStatus !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only failed cancellation refunds can be retried'
+      });
+    }
+
+    const updated = await processCancellationRefund(booking._id);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This refund is already being processed'
+      });
+    }
+
+    auditRequest(req, 'admin.cancellation-refund-retried', {
+      target: booking.user,
+      details: { bookingId: booking.bookingId, refundStatus: updated.cancellation.refundStatus }
+    });
+
+    res.json({
+      success: true,
+      message: updated.cancellation.refundStatus === 'failed' ? 'Refund failed again' : 'Refund submitted',
+      data: {
+        cancellation: formatCancellation(updated)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Retry cancellation refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrying refund'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,275 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import ApiKey, { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { blockWhileImpersonating, requirePermission } from '../middleware/auth.js';
+import { getDailyUsage } from '../middleware/apiKey.js';
+import { logger } from '../utils/logger.js';
+import { auditRequest } from '../utils/audit.js';
+
+const router = express.Router();
+
+router.use(requirePermission('apikey:manage'));
+
+// Longest overlap allowed between a rotated key and its replacement
+const MAX_ROTATION_GRACE_HOURS = 72;
+
+const getMaxRateLimit = () => parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60;
+
+// Validation middleware
+const validateKeyId = [
+  param('id').isMongoId().withMessage('Invalid key ID')
+];
+
+const validateKeyCreation = [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Key name must be between 1 and 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(Object.keys(API_KEY_SCOPES)).withMessage('Unknown scope'),
+  body('rateLimit').optional().custom(value => Number.isInteger(value) && value >= 1 && value <= getMaxRateLimit())
+    .withMessage(() => `Rate limit must be between 1 and ${getMaxRateLimit()} requests per minute`),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+];
+
+const validateKeyRotation = [
+  ...validateKeyId,
+  body('gracePeriodHours').optional().isInt({ min: 0, max: MAX_ROTATION_GRACE_HOURS })
+    .withMessage(`Grace period must be between 0 and ${MAX_ROTATION_GRACE_HOURS} hours`)
+];
+
+// Helper function to load one of the caller's keys
+const findOwnKey = (req) => {
+  return ApiKey.findOne({ _id: req.params.id, partner: req.user._id });
+};
+
+// @route   GET /api/partners/scopes
+// @desc    List the scopes an API key may be granted
+// @access  Private (apikey:manage)
+router.get('/scopes', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      scopes: Object.entries(API_KEY_SCOPES).map(([name, description]) => ({ name, description }))
+    }
+  });
+});
+
+// @route   GET /api/partners/keys
+// @desc    List the caller's API keys
+// @access  Private (apikey:manage)
+router.get('/keys', async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ partner: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        keys
+      }
+    });
+
+  } catch (error) {
+    logger.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error listing API keys'
+    });
+  }
+});
+
+// @route   POST /api/partners/keys
+// @desc    Create an API key. The key itself is only returned in this response.
+// @access  Private (apikey:manage)
+router.post('/keys', blockWhileImpersonating, validateKeyCreation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, rateLimit, expiresAt } = req.body;
+
+    const { apiKey, key } = await ApiKey.generate({
+      partner: req.user._id,
+      name,
+      scopes: [...new Set(scopes)],
+      rateLimit: rateLimit ? { requests: rateLimit, windowSeconds: 60 } : undefined,
+      expiresAt
+    });
+
+    auditRequest(req, 'partner.api-key-created', {
+      details: { keyId: apiKey._id, scopes: apiKey.scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it securely; it will not be shown again.',
+      data: {
+        key,
+        apiKey
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating API key'
+    });
+  }
+});
+
+// @route   POST /api/partners/keys/:id/rotate
+// @desc    Replace a key with a new one carrying the same settings. The old
+//          key keeps working for the optional grace period.
+// @access  Private (apikey:manage)
+router.post('/keys/:id/rotate', blockWhileImpersonating, validateKeyRotation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await findOwnKey(req);
+    if (!existing || !existing.isUsable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active API key not found'
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.generate({
+      partner: req.user._id,
+      name: existing.name,
+      scopes: existing.scopes,
+      rateLimit: {
+        requests: existing.rateLimit.requests,
+        windowSeconds: existing.rateLimit.windowSeconds
+      },
+      expiresAt: existing.expiresAt,
+      rotatedFrom: existing._id
+    });
+
+    const gracePeriodHours = parseInt(req.body.gracePeriodHours, 10) || 0;
+    if (gracePeriodHours > 0) {
+      const graceEnd = new Date(Date.now() + gracePeriodHours * 60 * 60 * 1000);
+      if (!existing.expiresAt || existing.expiresAt > graceEnd) {
+        existing.expiresAt = graceEnd;
+      }
+      await existing.save();
+    } else {
+      await existing.revoke();
+    }
+
+    auditRequest(req, 'partner.api-key-rotated', {
+      details: { previousKeyId: existing._id, keyId: apiKey._id, gracePeriodHours }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key rotated. Store the new key securely; it will not be shown again.',
+      data: {
+        key,
+        apiKey,
+        previousKeyExpiresAt: existing.isActive ? existing.expiresAt : existing.revokedAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rotating API key'
+    });
+  }
+});
+
+// @route   DELETE /api/partners/keys/:id
+// @desc    Revoke an API key
+// @access  Private (apikey:manage)
+router.delete('/keys/:id', blockWhileImpersonating, validateKeyId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await findOwnKey(req);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.isActive) {
+      await apiKey.revoke();
+      auditRequest(req, 'partner.api-key-revoked', { details: { keyId: apiKey._id } });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking API key'
+    });
+  }
+});
+
+// @route   GET /api/partners/keys/:id/usage
+// @desc    Get usage counters for an API key
+// @access  Private (apikey:manage)
+router.get('/keys/:id/usage', validateKeyId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await findOwnKey(req);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        usage: apiKey.usage,
+        rateLimit: apiKey.rateLimit,
+        daily: await getDailyUsage(apiKey._id)
+      }
+    });
+
+  } catch (error) {
+    logger.error('API key usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching API key usage'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,739 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import Payment from '../models/Payment.js';
+import Booking, { PAYABLE_BOOKING_STATUSES } from '../models/Booking.js';
+import User from '../models/User.js';
+import { blockWhileImpersonating, requirePermission } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { SUPPORTED_CURRENCIES, getBaseCurrency } from '../config/currencies.js';
+import { toMinorUnits, fromMinorUnits } from '../utils/ledger.js';
+import { getFxQuote, convertAmount, applyBookingCurrency } from '../utils/fx.js';
+import {
+  createPayment,
+  completePayment,
+  capturePayment,
+  refundPayment,
+  PaymentError
+} from '../utils/payments.js';
+import { quoteReferralCredit } from '../utils/referrals.js';
+import {
+  PAYMENT_METHOD_PROVIDERS,
+  formatPaymentMethod,
+  startPaymentMethodSetup,
+  addPaymentMethod,
+  setDefaultPaymentMethod,
+  removePaymentMethod
+} from '../utils/paymentMethods.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Top-up limits are set in the base currency
+const getTopUpLimits = () => ({
+  min: parseFloat(process.env.WALLET_TOPUP_MIN) || 1,
+  max: parseFloat(process.env.WALLET_TOPUP_MAX) || 1000
+});
+
+// Where redirect-based gateways send the payer back to
+const getRedirectUrls = () => ({
+  returnUrl: `${process.env.FRONTEND_URL}/payments/return`,
+  cancelUrl: `${process.env.FRONTEND_URL}/payments/cancel`
+});
+
+// Validation middleware
+const validateTopUp = [
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+  body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  body('method').optional().isIn(['card', 'paypal', 'apple-pay', 'google-pay']).withMessage('Invalid payment method')
+];
+
+const validateBookingPayment = [
+  param('bookingId').isMongoId().withMessage('Invalid booking ID'),
+  body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  body('useReferralCredit').optional().isBoolean().withMessage('useReferralCredit must be true or false')
+];
+
+const validatePaymentId = [
+  param('id').isMongoId().withMessage('Invalid payment ID')
+];
+
+const validateCapture = [
+  ...validatePaymentId,
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than zero')
+];
+
+const validateRefund = [
+  ...validatePaymentId,
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+const validatePaymentMethodSetup = [
+  body('provider').isIn(PAYMENT_METHOD_PROVIDERS).withMessage(`Provider must be one of ${PAYMENT_METHOD_PROVIDERS.join(', ')}`)
+];
+
+// Only gateway tokens are accepted; card details must go to the gateway directly
+const validatePaymentMethod = [
+  ...validatePaymentMethodSetup,
+  body('token').isString().trim().notEmpty().withMessage('Token is required')
+    .custom((value, { req }) => req.body.provider !== 'stripe' || /^pm_[A-Za-z0-9]+$/.test(value))
+    .withMessage('Token must be a Stripe PaymentMethod ID'),
+  body(['number', 'cardNumber', 'cvc', 'cvv']).not().exists().withMessage('Card details must not be sent to this API')
+];
+
+const validatePaymentMethodId = [
+  param('methodId').isMongoId().withMessage('Invalid payment method ID')
+];
+
+// Helper function to shape a payment for API responses
+const formatPayment = (payment) => ({
+  id: payment._id,
+  purpose: payment.purpose,
+  booking: payment.booking,
+  method: payment.method,
+  provider: payment.provider,
+  status: payment.status,
+  amount: fromMinorUnits(payment.amount, payment.currency),
+  refundedAmount: fromMinorUnits(payment.refundedAmount || 0, payment.currency),
+  referralCredit: fromMinorUnits(payment.referralCredit?.amount || 0, payment.currency),
+  currency: payment.currency,
+  failureReason: payment.failureReason,
+  createdAt: payment.createdAt,
+  completedAt: payment.completedAt
+});
+
+// @route   POST /api/payments/top-ups
+// @desc    Start a wallet top-up. The wallet is credited once the gateway
+//          confirms the payment, never by this request.
+// @access  Private
+router.post('/top-ups', blockWhileImpersonating, idempotent, validateTopUp, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const currency = req.body.currency || req.user.wallet.currency;
+    const amount = toMinorUnits(req.body.amount, currency);
+
+    const base = getBaseCurrency();
+    const quote = await getFxQuote(currency, base);
+    if (!quote) {
+      return res.status(400).json({
+        success: false,
+        message: `Top-ups in ${currency} are not available right now`
+      });
+    }
+
+    const baseAmount = fromMinorUnits(convertAmount(amount, quote, { useMidRate: true }), base);
+    const { min, max } = getTopUpLimits();
+    if (baseAmount < min || baseAmount > max) {
+      return res.status(400).json({
+        success: false,
+        message: `Top-ups must be worth between ${min} and ${max} ${base}`
+      });
+    }
+
+    const { payment, nextAction } = await createPayment({
+      user: req.user._id,
+      purpose: 'wallet-top-up',
+      method: req.body.method || 'card',
+      amount,
+      currency,
+      market: req.user.address?.country,
+      ...getRedirectUrls()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Top-up started',
+      data: {
+        payment: formatPayment(payment),
+        nextAction
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Create top-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting top-up'
+    });
+  }
+});
+
+// @route   GET /api/payments/top-ups
+// @desc    List the current user's wallet top-ups
+// @access  Private
+router.get('/top-ups', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const query = { user: req.user._id, purpose: 'wallet-top-up' };
+
+    const [payments, total] = await Promise.all([
+      Payment.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Payment.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        topUps: payments.map(formatPayment),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('List top-ups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching top-ups'
+    });
+  }
+});
+
+// @route   GET /api/payments/top-ups/:id
+// @desc    Get the status of a wallet top-up
+// @access  Private
+router.get('/top-ups/:id', validatePaymentId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findOne({ _id: req.params.id, user: req.user._id, purpose: 'wallet-top-up' });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Top-up not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        topUp: formatPayment(payment)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get top-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching top-up'
+    });
+  }
+});
+
+// @route   POST /api/payments/bookings/:bookingId
+// @desc    Pay for a booking with its chosen payment method, optionally in
+//          another currency than the service is priced in and with part of
+//          the price covered by referral credit
+// @access  Private
+router.post('/bookings/:bookingId', blockWhileImpersonating, idempotent, validateBookingPayment, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findOne({ _id: req.params.bookingId, user: req.user._id });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!PAYABLE_BOOKING_STATUSES.includes(booking.status.current)) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${booking.status.current} booking cannot be paid`
+      });
+    }
+
+    // Payments in flight, settled or (partly) refunded all hold the slot
+    if (await Payment.exists({ booking: booking._id, holdsBookingSlot: true })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This booking already has a payment in progress or completed'
+      });
+    }
+
+    let { totalAmount, currency } = booking.pricing;
+    const payerCurrency = req.body.currency || currency;
+
+    if (payerCurrency !== currency) {
+      const conversion = await applyBookingCurrency(booking, payerCurrency);
+      if (!conversion) {
+        return res.status(400).json({
+          success: false,
+          message: `Paying in ${payerCurrency} is not available right now`
+        });
+      }
+      ({ totalAmount, currency } = conversion);
+    } else {
+      booking.pricing.payer = undefined;
+    }
+
+    const amount = toMinorUnits(totalAmount, currency);
+    const referralCredit = [true, 'true'].includes(req.body.useReferralCredit)
+      ? await quoteReferralCredit(req.user._id, amount, currency)
+      : null;
+
+    const { payment, nextAction } = await createPayment({
+      user: req.user._id,
+      purpose: 'booking',
+      booking: booking._id,
+      method: booking.payment.method,
+      amount,
+      currency,
+      referralCredit,
+      market: req.user.address?.country,
+      ...getRedirectUrls()
+    });
+
+    // The conversion is kept only once a payment in that currency is under
+    // way, so a payment that could not be started leaves no stale one behind
+    if (payment.holdsBookingSlot) {
+      await booking.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: payment.status === 'succeeded' ? 'Booking paid' : 'Payment started',
+      data: {
+        payment: formatPayment(payment),
+        nextAction
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Booking payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error paying booking'
+    });
+  }
+});
+
+// @route   GET /api/payments/methods
+// @desc    List the user's saved payment methods
+// @access  Private
+router.get('/methods', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('paymentMethods');
+    const methods = user.paymentMethods.filter(method => method.isActive);
+
+    res.json({
+      success: true,
+      data: {
+        methods: methods.map(formatPaymentMethod)
+      }
+    });
+
+  } catch (error) {
+    logger.error('List payment methods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payment methods'
+    });
+  }
+});
+
+// @route   POST /api/payments/methods/setup
+// @desc    Start saving a payment method. The client collects the card with
+//          Stripe.js, or the payer approves a PayPal billing agreement, and
+//          sends the resulting token to POST /api/payments/methods.
+// @access  Private
+router.post('/methods/setup', blockWhileImpersonating, validatePaymentMethodSetup, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const nextAction = await startPaymentMethodSetup(req.user, req.body.provider, {
+      returnUrl: `${process.env.FRONTEND_URL}/payment-methods/return`,
+      cancelUrl: `${process.env.FRONTEND_URL}/payment-methods/cancel`
+    });
+
+    res.json({
+      success: true,
+      data: {
+        nextAction
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Payment method setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting payment method setup'
+    });
+  }
+});
+
+// @route   POST /api/payments/methods
+// @desc    Save a payment method from a gateway token
+// @access  Private
+router.post('/methods', blockWhileImpersonating, validatePaymentMethod, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const method = await addPaymentMethod(req.user._id, req.body.provider, req.body.token);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment method saved',
+      data: {
+        method: formatPaymentMethod(method)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Save payment method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving payment method'
+    });
+  }
+});
+
+// @route   PUT /api/payments/methods/:methodId/default
+// @desc    Make a saved payment method the default
+// @access  Private
+router.put('/methods/:methodId/default', blockWhileImpersonating, validatePaymentMethodId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const methods = await setDefaultPaymentMethod(req.user._id, req.params.methodId);
+
+    res.json({
+      success: true,
+      message: 'Default payment method updated',
+      data: {
+        methods: methods.filter(method => method.isActive).map(formatPaymentMethod)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Set default payment method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating default payment method'
+    });
+  }
+});
+
+// @route   DELETE /api/payments/methods/:methodId
+// @desc    Remove a saved payment method. If it was the default, the newest
+//          remaining usable method becomes the default.
+// @access  Private
+router.delete('/methods/:methodId', blockWhileImpersonating, validatePaymentMethodId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const methods = await removePaymentMethod(req.user._id, req.params.methodId);
+
+    res.json({
+      success: true,
+      message: 'Payment method removed',
+      data: {
+        methods: methods.filter(method => method.isActive).map(formatPaymentMethod)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Remove payment method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing payment method'
+    });
+  }
+});
+
+// @route   GET /api/payments/:id
+// @desc    Get the status of one of the user's payments
+// @access  Private
+router.get('/:id', validatePaymentId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findOne({ _id: req.params.id, user: req.user._id });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        payment: formatPayment(payment)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payment'
+    });
+  }
+});
+
+// @route   POST /api/payments/:id/complete
+// @desc    Finish a redirect or checkout flow (PayPal approval, Razorpay
+//          Checkout) with the values the gateway returned to the client
+// @access  Private
+router.post('/:id/complete', blockWhileImpersonating, validatePaymentId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findOne({ _id: req.params.id, user: req.user._id });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const updated = await completePayment(payment, {
+      payerId: req.body.payerId,
+      razorpayPaymentId: req.body.razorpayPaymentId,
+      razorpaySignature: req.body.razorpaySignature
+    });
+
+    res.json({
+      success: true,
+      data: {
+        payment: formatPayment(updated)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Complete payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error completing payment'
+    });
+  }
+});
+
+// @route   POST /api/payments/:id/capture
+// @desc    Capture an authorized payment, optionally for a lower amount
+// @access  Private (payment:capture)
+router.post('/:id/capture', requirePermission('payment:capture'), validateCapture, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const amount = req.body.amount ? toMinorUnits(req.body.amount, payment.currency) : undefined;
+    const updated = await capturePayment(payment, amount);
+
+    res.json({
+      success: true,
+      message: 'Payment captured',
+      data: {
+        payment: formatPayment(updated)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Capture payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error capturing payment'
+    });
+  }
+});
+
+// @route   POST /api/payments/:id/refund
+// @desc    Refund a settled payment in full or in part
+// @access  Private (payment:refund)
+router.post('/:id/refund', requirePermission('payment:refund'), idempotent, validateRefund, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const amount = req.body.amount
+      ? toMinorUnits(req.body.amount, payment.currency)
+      : payment.amount - payment.refundedAmount;
+
+    const updated = await refundPayment(payment, amount, {
+      reason: req.body.reason,
+      createdBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Refund issued',
+      data: {
+        payment: formatPayment(updated)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Refund payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refunding payment'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,368 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { createObjectCsvStringifier } from 'csv-writer';
+import Earning from '../models/Earning.js';
+import Payout from '../models/Payout.js';
+import User from '../models/User.js';
+import { blockWhileImpersonating, requirePermission } from '../middleware/auth.js';
+import { SUPPORTED_CURRENCIES } from '../config/currencies.js';
+import { getPayoutStatement } from '../utils/payouts.js';
+import { fromMinorUnits } from '../utils/ledger.js';
+import { auditRequest } from '../utils/audit.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(requirePermission('payout:read-own'));
+
+// Validation middleware
+const validatePayoutId = [
+  param('id').isMongoId().withMessage('Invalid payout ID')
+];
+
+// Helper function to check an IBAN's mod-97 check digits
+const isValidIban = (iban) => {
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+
+  const digits = (iban.slice(4) + iban.slice(0, 4))
+    .split('')
+    .map(char => (/[A-Z]/.test(char) ? (char.charCodeAt(0) - 55).toString() : char))
+    .join('');
+
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+};
+
+// An account number starting with two letters is taken to be an IBAN
+const isIbanFormat = (value) => /^[A-Z]{2}/.test(value);
+
+const validatePayoutAccount = [
+  body('accountHolderName').trim().isLength({ min: 2, max: 100 }).withMessage('Account holder name must be between 2 and 100 characters'),
+  body('bankName').optional().trim().isLength({ max: 100 }).withMessage('Bank name cannot exceed 100 characters'),
+  body('country').trim().toUpperCase().matches(/^[A-Z]{2}$/).withMessage('Country must be a two-letter ISO country code'),
+  body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  body('accountNumber').customSanitizer(value => (typeof value === 'string' ? value.replace(/[\s-]/g, '').toUpperCase() : value))
+    .custom(value => typeof value === 'string' && (isIbanFormat(value) ? isValidIban(value) : /^\d{4,20}$/.test(value)))
+    .withMessage('Account number must be a valid IBAN or a local account number of 4 to 20 digits'),
+  body('routingCode').customSanitizer(value => (typeof value === 'string' ? value.replace(/[\s-]/g, '').toUpperCase() : value))
+    .custom((value, { req }) => {
+      if (value === undefined || value === '') return isIbanFormat(req.body.accountNumber || '');
+      return /^[A-Z0-9]{4,11}$/.test(value);
+    })
+    .withMessage('Routing code must be 4 to 11 letters or digits, and is required for non-IBAN account numbers')
+];
+
+// Helper function to shape a payout account for API responses, without the
+// full account number
+const formatPayoutAccount = (account) => {
+  if (!account?.last4) return null;
+  return {
+    accountHolderName: account.accountHolderName,
+    bankName: account.bankName,
+    country: account.country,
+    currency: account.currency,
+    routingCode: account.routingCode,
+    last4: account.last4,
+    updatedAt: account.updatedAt
+  };
+};
+
+// Helper function to shape a payout for API responses
+const formatPayout = (payout) => ({
+  id: payout._id,
+  payoutId: payout.payoutId,
+  status: payout.status,
+  amount: fromMinorUnits(payout.amount, payout.currency),
+  currency: payout.currency,
+  earningsCount: payout.earningsCount,
+  destination: payout.destination,
+  failureReason: payout.failureReason,
+  createdAt: payout.createdAt,
+  paidAt: payout.paidAt
+});
+
+// @route   GET /api/payouts/account
+// @desc    Get the bank account the user's earnings are paid out to
+// @access  Private (providers and runners)
+router.get('/account', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('payoutAccount');
+
+    res.json({
+      success: true,
+      data: {
+        account: formatPayoutAccount(user?.payoutAccount)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get payout account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payout account'
+    });
+  }
+});
+
+// @route   PUT /api/payouts/account
+// @desc    Set the bank account earnings are paid out to. Applies from the
+//          next payout batch.
+// @access  Private (providers and runners)
+router.put('/account', blockWhileImpersonating, validatePayoutAccount, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { accountHolderName, bankName, country, currency, accountNumber, routingCode } = req.body;
+    const account = {
+      accountHolderName,
+      bankName,
+      country,
+      currency,
+      accountNumber,
+      routingCode: routingCode || undefined,
+      last4: accountNumber.slice(-4),
+      updatedAt: new Date()
+    };
+
+    await User.updateOne({ _id: req.user._id }, { payoutAccount: account });
+
+    auditRequest(req, 'payout.account-updated', {
+      details: { country, bankName, last4: account.last4 }
+    });
+
+    res.json({
+      success: true,
+      message: 'Payout account saved',
+      data: {
+        account: formatPayoutAccount(account)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Set payout account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving payout account'
+    });
+  }
+});
+
+// @route   DELETE /api/payouts/account
+// @desc    Remove the payout account. Earnings wait until a new one is set.
+// @access  Private (providers and runners)
+router.delete('/account', blockWhileImpersonating, async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.user._id, 'payoutAccount.last4': { $exists: true } },
+      { $unset: { payoutAccount: 1 } }
+    ).select('payoutAccount');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No payout account on file'
+      });
+    }
+
+    auditRequest(req, 'payout.account-removed', {
+      details: { last4: user.payoutAccount.last4 }
+    });
+
+    res.json({
+      success: true,
+      message: 'Payout account removed'
+    });
+
+  } catch (error) {
+    logger.error('Remove payout account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing payout account'
+    });
+  }
+});
+
+// @route   GET /api/payouts/earnings
+// @desc    Get the user's earnings, with totals per status and currency
+// @access  Private (providers and runners)
+router.get('/earnings', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const query = { payee: req.user._id };
+    if (req.query.status) {
+      if (!['available', 'held', 'paid'].includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Status must be available, held or paid'
+        });
+      }
+      query.status = req.query.status;
+    }
+
+    const [earnings, total, totals] = await Promise.all([
+      Earning.find(query)
+        .populate('booking', 'bookingId scheduledDate status.current')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Earning.countDocuments(query),
+      Earning.aggregate([
+        { $match: { payee: req.user._id } },
+        { $group: { _id: { status: '$status', currency: '$currency' }, amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        totals: totals.map(({ _id, amount }) => ({
+          status: _id.status,
+          currency: _id.currency,
+          amount: fromMinorUnits(amount, _id.currency)
+        })),
+        earnings: earnings.map(earning => ({
+          id: earning._id,
+          booking: earning.booking,
+          role: earning.role,
+          status: earning.status,
+          grossAmount: fromMinorUnits(earning.grossAmount, earning.currency),
+          sharePercent: earning.sharePercent,
+          amount: fromMinorUnits(earning.amount, earning.currency),
+          currency: earning.currency,
+          payout: earning.payout,
+          createdAt: earning.createdAt
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('List earnings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching earnings'
+    });
+  }
+});
+
+// @route   GET /api/payouts
+// @desc    List the user's payouts
+// @access  Private (providers and runners)
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const query = { payee: req.user._id };
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Payout.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payouts: payouts.map(formatPayout),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('List payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payouts'
+    });
+  }
+});
+
+// @route   GET /api/payouts/:id/statement
+// @desc    Get the statement for a payout, listing the bookings it pays for.
+//          Pass ?format=csv to download it as a CSV file.
+// @access  Private (providers and runners)
+router.get('/:id/statement', validatePayoutId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payout = await Payout.findOne({ _id: req.params.id, payee: req.user._id });
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    const lines = await getPayoutStatement(payout);
+
+    if (req.query.format === 'csv') {
+      const csv = createObjectCsvStringifier({
+        header: [
+          { id: 'bookingId', title: 'Booking ID' },
+          { id: 'service', title: 'Service' },
+          { id: 'scheduledDate', title: 'Scheduled Date' },
+          { id: 'role', title: 'Role' },
+          { id: 'grossAmount', title: 'Amount Paid' },
+          { id: 'platformPercent', title: 'Platform Commission %' },
+          { id: 'sharePercent', title: 'Your Share %' },
+          { id: 'amount', title: 'Your Earnings' },
+          { id: 'currency', title: 'Currency' }
+        ]
+      });
+
+      const rows = lines.map(line => ({ ...line, scheduledDate: line.scheduledDate?.toISOString() }));
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="payout-${payout.payoutId}.csv"`);
+      return res.send(csv.getHeaderString() + csv.stringifyRecords(rows));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        payout: formatPayout(payout),
+        lines
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get payout statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payout statement'
+    });
+  }
+});
+
+export default router;
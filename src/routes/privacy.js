@@ -0,0 +1,133 @@
+import express from 'express';
+import path from 'path';
+import DataExport from '../models/DataExport.js';
+import { authMiddleware, blockWhileImpersonating } from '../middleware/auth.js';
+import {
+  getExportStoragePath,
+  hashDownloadToken,
+  runDataExportQueue
+} from '../utils/dataExport.js';
+import { auditRequest } from '../utils/audit.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Minimum time between two export requests from the same user
+const EXPORT_COOLDOWN_HOURS = 24;
+
+// @route   POST /api/privacy/exports
+// @desc    Queue an export of all personal data held about the user
+// @access  Private
+router.post('/exports', authMiddleware, blockWhileImpersonating, async (req, res) => {
+  try {
+    const recent = await DataExport.findOne({
+      user: req.user._id,
+      $or: [
+        { status: { $in: ['queued', 'processing'] } },
+        { createdAt: { $gte: new Date(Date.now() - EXPORT_COOLDOWN_HOURS * 60 * 60 * 1000) }, status: { $ne: 'failed' } }
+      ]
+    });
+
+    if (recent) {
+      return res.status(429).json({
+        success: false,
+        message: `You can request one data export every ${EXPORT_COOLDOWN_HOURS} hours`,
+        data: {
+          export: recent
+        }
+      });
+    }
+
+    const dataExport = await DataExport.create({ user: req.user._id });
+
+    auditRequest(req, 'privacy.export-requested', {
+      details: { exportId: dataExport._id }
+    });
+
+    // Start right away rather than waiting for the next scheduled run
+    setImmediate(runDataExportQueue);
+
+    res.status(202).json({
+      success: true,
+      message: 'Your data export has been queued. We will email you a download link when it is ready.',
+      data: {
+        export: dataExport
+      }
+    });
+
+  } catch (error) {
+    logger.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting data export'
+    });
+  }
+});
+
+// @route   GET /api/privacy/exports
+// @desc    List the user's data exports
+// @access  Private
+router.get('/exports', authMiddleware, async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user._id })
+      .select('-fileName')
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.json({
+      success: true,
+      data: {
+        exports
+      }
+    });
+
+  } catch (error) {
+    logger.error('List data exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching data exports'
+    });
+  }
+});
+
+// @route   GET /api/privacy/exports/download/:token
+// @desc    Download a data export archive with the emailed link
+// @access  Public (time-limited token)
+router.get('/exports/download/:token', async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({
+      downloadTokenHash: hashDownloadToken(req.params.token),
+      status: 'ready',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    dataExport.downloadedAt = new Date();
+    await dataExport.save();
+
+    auditRequest(req, 'privacy.export-downloaded', {
+      actor: dataExport.user,
+      details: { exportId: dataExport._id }
+    });
+
+    res.download(
+      path.join(getExportStoragePath(), dataExport.fileName),
+      `mekacash-data-${dataExport.createdAt.toISOString().slice(0, 10)}.zip`
+    );
+
+  } catch (error) {
+    logger.error('Download data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error downloading data export'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,168 @@
+import express from 'express';
+import fs from 'fs/promises';
+import { body, validationResult } from 'express-validator';
+import ProviderApplication from '../models/ProviderApplication.js';
+import { uploadDocuments } from '../middleware/upload.js';
+import { userHasPermission } from '../middleware/auth.js';
+import { sendEmail } from '../utils/email.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Uploaded document fields and the document type they are stored as
+const DOCUMENT_FIELDS = {
+  identityDocument: 'identity',
+  businessDocument: 'business-registration',
+  certification: 'certification'
+};
+
+const uploadApplicationDocuments = uploadDocuments([
+  { name: 'identityDocument', maxCount: 2 },
+  { name: 'businessDocument', maxCount: 3 },
+  { name: 'certification', maxCount: 5 }
+]);
+
+// Validation middleware
+const validateApplication = [
+  body('businessName').trim().isLength({ min: 2, max: 100 }).withMessage('Business name must be between 2 and 100 characters'),
+  body('businessType').optional().isIn(['individual', 'company']).withMessage('Business type must be individual or company'),
+  body('registrationNumber').optional().trim().isLength({ max: 50 }).withMessage('Registration number cannot exceed 50 characters'),
+  body('categories').optional().customSanitizer(value => (Array.isArray(value) ? value : String(value).split(','))),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters')
+];
+
+// Helper function to remove uploaded files when a request is rejected
+const discardUploads = async (files = {}) => {
+  const paths = Object.values(files).flat().map(file => file.path);
+  await Promise.all(paths.map(filePath => fs.unlink(filePath).catch(() => {})));
+};
+
+// @route   POST /api/providers/applications
+// @desc    Apply to become a provider, uploading KYC documents
+// @access  Private
+router.post('/applications', uploadApplicationDocuments, validateApplication, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Providers can already offer services, and staff accounts are not
+    // turned into providers
+    if (await userHasPermission(req.user, 'service:create') || await userHasPermission(req.user, 'admin:access')) {
+      await discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Only customer accounts can apply to become a provider'
+      });
+    }
+
+    const existing = await ProviderApplication.findOne({ user: req.user._id, status: 'pending' });
+    if (existing) {
+      await discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an application under review'
+      });
+    }
+
+    if (!req.files?.identityDocument?.length) {
+      await discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'An identity document is required'
+      });
+    }
+
+    const documents = Object.entries(req.files).flatMap(([field, files]) =>
+      files.map(file => ({
+        type: DOCUMENT_FIELDS[field],
+        originalName: file.originalname,
+        fileName: file.filename,
+        mimeType: file.mimetype,
+        size: file.size
+      }))
+    );
+
+    const { businessName, businessType, registrationNumber, categories, description } = req.body;
+
+    const application = await ProviderApplication.create({
+      user: req.user._id,
+      businessName,
+      businessType,
+      registrationNumber,
+      categories,
+      description,
+      documents
+    });
+
+    if (req.user.email) {
+      sendEmail({
+        to: req.user.email,
+        subject: 'Your MekaCash provider application',
+        template: 'provider-application-status',
+        data: {
+          name: req.user.firstName,
+          status: application.status,
+          businessName
+        }
+      }).catch(error => logger.error('Provider application email error:', error));
+    }
+
+    logger.info(`Provider application submitted: ${application._id} by user ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted successfully',
+      data: {
+        application
+      }
+    });
+
+  } catch (error) {
+    await discardUploads(req.files);
+    logger.error('Provider application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error submitting application'
+    });
+  }
+});
+
+// @route   GET /api/providers/applications/me
+// @desc    Get the current user's latest provider application
+// @access  Private
+router.get('/applications/me', async (req, res) => {
+  try {
+    const application = await ProviderApplication.findLatestForUser(req.user._id)
+      .select('-documents.fileName -review.reviewedBy -review.notes');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'No provider application found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        application
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get provider application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching application'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,105 @@
+import express from 'express';
+import User from '../models/User.js';
+import ReferralReward from '../models/ReferralReward.js';
+import { getActiveCampaign } from '../utils/referrals.js';
+import { fromMinorUnits } from '../utils/ledger.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Helper function to shape a referral reward for API responses
+const formatReward = (reward) => ({
+  id: reward._id,
+  role: reward.role,
+  // The other side of the referral, by first name only
+  friend: reward.role === 'referrer' ? reward.referee?.firstName : reward.referrer?.firstName,
+  status: reward.status,
+  amount: fromMinorUnits(reward.amount, reward.currency),
+  remaining: fromMinorUnits(reward.remaining, reward.currency),
+  currency: reward.currency,
+  rejectionReason: reward.rejectionReason,
+  qualifiedAt: reward.qualifiedAt,
+  expiresAt: reward.expiresAt,
+  createdAt: reward.createdAt
+});
+
+// @route   GET /api/referrals
+// @desc    Get the user's referral code, stats, credits and pending rewards
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const [referredCount, rewards, campaign] = await Promise.all([
+      User.countDocuments({ referredBy: req.user._id }),
+      ReferralReward.find({ beneficiary: req.user._id })
+        .populate('referrer', 'firstName')
+        .populate('referee', 'firstName')
+        .sort({ createdAt: -1 }),
+      getActiveCampaign()
+    ]);
+
+    // Totals per currency and status, in minor units until formatted
+    const totals = {};
+    for (const reward of rewards) {
+      const total = totals[reward.currency] = totals[reward.currency] || {
+        pending: 0, available: 0, redeemed: 0, expired: 0
+      };
+      if (reward.status === 'pending') total.pending += reward.amount;
+      if (reward.status === 'available') total.available += reward.remaining;
+      if (reward.status === 'expired') total.expired += reward.expiredAmount || 0;
+      total.redeemed += reward.redemptions.reduce((sum, redemption) => sum + redemption.amount, 0);
+    }
+
+    let campaignInfo = null;
+    if (campaign) {
+      const earned = rewards.filter(reward =>
+        reward.role === 'referrer' && reward.campaign.equals(campaign._id) &&
+        ['available', 'redeemed', 'expired'].includes(reward.status)
+      ).length;
+
+      campaignInfo = {
+        name: campaign.name,
+        description: campaign.description,
+        referrerReward: campaign.referrerReward,
+        refereeReward: campaign.refereeReward,
+        currency: campaign.currency,
+        creditExpiryDays: campaign.creditExpiryDays,
+        rewardsLeft: Math.max(campaign.maxRewardsPerReferrer - earned, 0),
+        endsAt: campaign.endsAt
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        referralCode: req.user.referralCode,
+        stats: {
+          referred: referredCount,
+          qualified: rewards.filter(reward =>
+            reward.role === 'referrer' && ['available', 'redeemed', 'expired'].includes(reward.status)
+          ).length,
+          pending: rewards.filter(reward => reward.role === 'referrer' && reward.status === 'pending').length
+        },
+        totals: Object.entries(totals).map(([currency, total]) => ({
+          currency,
+          pending: fromMinorUnits(total.pending, currency),
+          available: fromMinorUnits(total.available, currency),
+          redeemed: fromMinorUnits(total.redeemed, currency),
+          expired: fromMinorUnits(total.expired, currency)
+        })),
+        credits: rewards.filter(reward => reward.status === 'available').map(formatReward),
+        pendingRewards: rewards.filter(reward => reward.status === 'pending').map(formatReward),
+        history: rewards.filter(reward => !['available', 'pending'].includes(reward.status)).map(formatReward),
+        campaign: campaignInfo
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get referral stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching referral stats'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,700 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Transfer from '../models/Transfer.js';
+import User from '../models/User.js';
+import { requirePermission, blockWhileImpersonating } from '../middleware/auth.js';
+import { limitAttempts, recordAttempt, clearAttempts } from '../middleware/throttle.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { SUPPORTED_CURRENCIES, getBaseCurrency } from '../config/currencies.js';
+import {
+  getWalletAccount,
+  getWalletAccounts,
+  postTransaction,
+  runInTransaction,
+  walletAccountCode,
+  toMinorUnits,
+  fromMinorUnits,
+  LedgerError
+} from '../utils/ledger.js';
+import { getFxQuote, convertAmount, convertWalletFunds } from '../utils/fx.js';
+import { verifyTwoFactorCode } from '../utils/twoFactor.js';
+import { auditRequest } from '../utils/audit.js';
+import { normalizePhone } from '../utils/phone.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// How long a transfer quote can be confirmed for
+const TRANSFER_CONFIRM_MINUTES = 10;
+
+// Transfer limits are set in the base currency, in minor units
+const getTransferLimits = () => {
+  const base = getBaseCurrency();
+  return {
+    perTransfer: toMinorUnits(parseFloat(process.env.WALLET_TRANSFER_MAX) || 500, base),
+    daily: toMinorUnits(parseFloat(process.env.WALLET_TRANSFER_DAILY_LIMIT) || 1000, base),
+    stepUpThreshold: toMinorUnits(parseFloat(process.env.WALLET_TRANSFER_STEP_UP_THRESHOLD) || 100, base)
+  };
+};
+
+router.use(requirePermission('wallet:read-own'));
+
+// Validation middleware
+const validateTransfer = [
+  body('recipientType').isIn(['phone', 'email', 'referralCode']).withMessage('Recipient type must be phone, email or referralCode'),
+  body('recipient').trim().notEmpty().withMessage('Recipient is required'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+  body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  body('note').optional().trim().isLength({ max: 140 }).withMessage('Note cannot exceed 140 characters')
+];
+
+const validateConversion = [
+  body('from').isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  body('to').isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`)
+    .custom((value, { req }) => value !== req.body.from).withMessage('Choose two different currencies'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero')
+];
+
+const validateConversionQuote = [
+  query('from').isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  query('to').isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  query('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than zero')
+];
+
+const validateTransferId = [
+  param('id').isMongoId().withMessage('Invalid transfer ID')
+];
+
+// Helper function to find the user a transfer is addressed to
+const findRecipient = (type, value) => {
+  if (type === 'email') return User.findByEmail(value);
+  if (type === 'phone') {
+    const phone = normalizePhone(value);
+    return phone ? User.findByPhone(phone) : null;
+  }
+  return User.findByReferralCode(value.toUpperCase());
+};
+
+// Helper function to show just enough of the recipient to confirm who it is
+const describeRecipient = (user) => ({
+  name: `${user.firstName} ${user.lastName ? `${user.lastName.charAt(0)}.` : ''}`.trim(),
+  avatar: user.avatar
+});
+
+// Helper function to value an amount in the base currency at the mid rate,
+// for checking limits. Returns null when no rate is available.
+const toBaseAmount = async (amount, currency) => {
+  const quote = await getFxQuote(currency, getBaseCurrency());
+  return quote ? convertAmount(amount, quote, { useMidRate: true }) : null;
+};
+
+// Helper function to total what a user has sent in the last 24 hours, in
+// the base currency
+const getSentInLastDay = async (userId, session) => {
+  const [result] = await Transfer.aggregate([
+    {
+      $match: {
+        sender: userId,
+        status: 'completed',
+        completedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$baseAmount' } } }
+  ]).session(session || null);
+  return result?.total || 0;
+};
+
+// Helper function to check a transfer, valued in the base currency, against
+// the per-transfer and daily limits. Returns the reason it is refused, or null.
+const getTransferLimitError = async (userId, baseAmount, session) => {
+  const limits = getTransferLimits();
+  const base = getBaseCurrency();
+
+  if (baseAmount > limits.perTransfer) {
+    return `You can send at most ${fromMinorUnits(limits.perTransfer, base)} ${base} per transfer`;
+  }
+
+  const sentToday = await getSentInLastDay(userId, session);
+  if (sentToday + baseAmount > limits.daily) {
+    return `This transfer would exceed your daily limit of ${fromMinorUnits(limits.daily, base)} ${base}. ` +
+      `You can send ${fromMinorUnits(Math.max(limits.daily - sentToday, 0), base)} ${base} more today.`;
+  }
+
+  return null;
+};
+
+// Helper function to format a wallet account balance
+const formatBalance = (account) => ({
+  currency: account.currency,
+  balance: fromMinorUnits(account.balance, account.currency)
+});
+
+// Helper function to verify the two-factor code or transaction PIN required
+// for transfers above the step-up threshold
+const verifyStepUp = async (userId, { code, pin }) => {
+  const user = await User.findById(userId).select('+twoFactorSecret +twoFactorBackupCodes +wallet.pin');
+
+  if (code && user.twoFactorEnabled) {
+    return verifyTwoFactorCode(user, code);
+  }
+
+  if (pin) {
+    return user.compareWalletPin(pin);
+  }
+
+  return false;
+};
+
+// Helper function to shape a transfer for the user viewing it
+const formatTransfer = (transfer, userId) => {
+  const isSender = transfer.sender._id.toString() === userId.toString();
+  const counterparty = isSender ? transfer.recipient : transfer.sender;
+
+  return {
+    id: transfer._id,
+    transferId: transfer.transferId,
+    direction: isSender ? 'sent' : 'received',
+    counterparty: counterparty.firstName ? describeRecipient(counterparty) : undefined,
+    amount: fromMinorUnits(transfer.amount, transfer.currency),
+    currency: transfer.currency,
+    note: transfer.note,
+    status: transfer.status,
+    requiresStepUp: isSender ? transfer.requiresStepUp : undefined,
+    expiresAt: transfer.status === 'pending' ? transfer.expiresAt : undefined,
+    createdAt: transfer.createdAt,
+    completedAt: transfer.completedAt
+  };
+};
+
+// @route   GET /api/wallet
+// @desc    Get the current user's wallet balances, one per currency held
+// @access  Private (wallet:read-own)
+router.get('/', async (req, res) => {
+  try {
+    const accounts = await getWalletAccounts(req.user._id);
+    const primary = accounts.find(account => account.currency === req.user.wallet.currency);
+
+    res.json({
+      success: true,
+      data: {
+        balance: primary ? fromMinorUnits(primary.balance, primary.currency) : req.user.wallet.balance,
+        currency: req.user.wallet.currency,
+        balances: accounts.map(formatBalance)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching wallet'
+    });
+  }
+});
+
+// @route   GET /api/wallet/transactions
+// @desc    Get paginated wallet history with the running balance, across all
+//          currencies or for one (?currency=EUR)
+// @access  Private (wallet:read-own)
+router.get('/transactions', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const accounts = (await getWalletAccounts(req.user._id))
+      .filter(account => !req.query.currency || account.currency === req.query.currency.toUpperCase());
+    if (accounts.length === 0) {
+      return res.json({
+        success: true,
+        data: {
+          transactions: [],
+          pagination: { page, limit, total: 0, pages: 0 }
+        }
+      });
+    }
+
+    const entryQuery = { account: { $in: accounts.map(account => account._id) } };
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(entryQuery)
+        .populate('transaction', 'transactionId reference')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LedgerEntry.countDocuments(entryQuery)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        transactions: entries.map(entry => ({
+          id: entry.transaction?.transactionId,
+          type: entry.type,
+          description: entry.description,
+          amount: fromMinorUnits(entry.amount, entry.currency),
+          balanceAfter: fromMinorUnits(entry.balanceAfter, entry.currency),
+          currency: entry.currency,
+          booking: entry.transaction?.reference?.booking,
+          createdAt: entry.createdAt
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Wallet history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching wallet history'
+    });
+  }
+});
+
+// @route   GET /api/wallet/conversions/quote
+// @desc    Quote the rate for converting between two currencies
+// @access  Private (wallet:read-own)
+router.get('/conversions/quote', validateConversionQuote, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { from, to } = req.query;
+    const quote = await getFxQuote(from, to);
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rate available from ${from} to ${to}`
+      });
+    }
+
+    const data = {
+      from,
+      to,
+      rate: quote.rate,
+      midRate: quote.midRate,
+      spreadPercent: quote.spreadPercent,
+      quotedAt: quote.quotedAt
+    };
+
+    if (req.query.amount) {
+      data.amount = parseFloat(req.query.amount);
+      data.convertedAmount = fromMinorUnits(convertAmount(toMinorUnits(req.query.amount, from), quote), to);
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Conversion quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error quoting conversion'
+    });
+  }
+});
+
+// @route   POST /api/wallet/conversions
+// @desc    Convert funds between the user's currency balances at the current rate
+// @access  Private (wallet:read-own)
+router.post('/conversions', blockWhileImpersonating, validateConversion, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { from, to } = req.body;
+    const result = await convertWalletFunds({
+      userId: req.user._id,
+      from,
+      to,
+      amount: toMinorUnits(req.body.amount, from),
+      createdBy: req.user._id
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rate available from ${from} to ${to}`
+      });
+    }
+
+    const accounts = await getWalletAccounts(req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Funds converted successfully',
+      data: {
+        transactionId: result.transaction.transactionId,
+        from,
+        to,
+        amount: parseFloat(req.body.amount),
+        convertedAmount: fromMinorUnits(result.converted, to),
+        rate: result.quote.rate,
+        balances: accounts.map(formatBalance)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'INSUFFICIENT_FUNDS' ? 'Insufficient wallet balance' : error.message
+      });
+    }
+
+    logger.error('Wallet conversion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error converting funds'
+    });
+  }
+});
+
+// @route   GET /api/wallet/transfers
+// @desc    List transfers the user has sent or received
+// @access  Private (wallet:read-own)
+router.get('/transfers', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const query = {
+      $or: [
+        { sender: req.user._id },
+        { recipient: req.user._id, status: 'completed' }
+      ]
+    };
+
+    const [transfers, total] = await Promise.all([
+      Transfer.find(query)
+        .populate('sender recipient', 'firstName lastName avatar')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Transfer.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        transfers: transfers.map(transfer => formatTransfer(transfer, req.user._id)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('List transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching transfers'
+    });
+  }
+});
+
+// @route   POST /api/wallet/transfers
+// @desc    Quote a transfer to another user. Nothing moves until the quote
+//          is confirmed.
+// @access  Private (wallet:transfer)
+router.post('/transfers', requirePermission('wallet:transfer'), blockWhileImpersonating, idempotent, validateTransfer, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { recipientType, recipient: lookup, note } = req.body;
+    const currency = req.body.currency || req.user.wallet.currency;
+    const amount = toMinorUnits(req.body.amount, currency);
+
+    const recipient = await findRecipient(recipientType, lookup);
+    if (!recipient || !recipient.isActive || recipient.isBlocked || recipient.deletion?.requestedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'No MekaCash user found with those details'
+      });
+    }
+
+    if (recipient._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot send money to yourself'
+      });
+    }
+
+    const baseAmount = await toBaseAmount(amount, currency);
+    if (baseAmount === null) {
+      return res.status(400).json({
+        success: false,
+        message: `Transfers in ${currency} are not available right now`
+      });
+    }
+
+    const limitError = await getTransferLimitError(req.user._id, baseAmount);
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        message: limitError
+      });
+    }
+
+    const account = await getWalletAccount(req.user._id, currency);
+    if (!account || account.balance < amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient wallet balance'
+      });
+    }
+
+    const transfer = await Transfer.create({
+      sender: req.user._id,
+      recipient: recipient._id,
+      recipientLookup: { type: recipientType, value: lookup },
+      amount,
+      currency,
+      baseAmount,
+      note,
+      requiresStepUp: baseAmount >= getTransferLimits().stepUpThreshold,
+      expiresAt: new Date(Date.now() + TRANSFER_CONFIRM_MINUTES * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Please confirm the transfer',
+      data: {
+        transfer: {
+          ...formatTransfer(transfer, req.user._id),
+          counterparty: describeRecipient(recipient)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating transfer'
+    });
+  }
+});
+
+// @route   POST /api/wallet/transfers/:id/confirm
+// @desc    Confirm a quoted transfer and move the funds. Transfers above the
+//          step-up threshold need a two-factor code or the transaction PIN.
+// @access  Private (wallet:transfer)
+router.post(
+  '/transfers/:id/confirm',
+  requirePermission('wallet:transfer'),
+  blockWhileImpersonating,
+  idempotent,
+  validateTransferId,
+  limitAttempts('walletStepUpUser', req => req.user._id.toString()),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const transfer = await Transfer.findOne({ _id: req.params.id, sender: req.user._id });
+      if (!transfer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transfer not found'
+        });
+      }
+
+      if (transfer.status !== 'pending' || transfer.expiresAt <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: transfer.status === 'completed'
+            ? 'Transfer has already been sent'
+            : 'Transfer has expired or was canceled. Please start a new one.'
+        });
+      }
+
+      if (transfer.requiresStepUp) {
+        if (!req.user.twoFactorEnabled && !(await User.exists({ _id: req.user._id, 'wallet.pin': { $exists: true } }))) {
+          return res.status(403).json({
+            success: false,
+            message: 'Set a transaction PIN or enable two-factor authentication to send this amount'
+          });
+        }
+
+        if (!(await verifyStepUp(req.user._id, req.body))) {
+          await recordAttempt('walletStepUpUser', req.user._id.toString(), req.ip);
+          auditRequest(req, 'wallet.step-up-failed', { details: { transferId: transfer.transferId } });
+
+          return res.status(401).json({
+            success: false,
+            message: 'Verification code or PIN is incorrect'
+          });
+        }
+
+        await clearAttempts('walletStepUpUser', req.user._id.toString());
+      }
+
+      let completed;
+      let limitError;
+      try {
+        completed = await runInTransaction(async (session) => {
+          // Writing the sender's document makes concurrent confirmations
+          // conflict, so they run one after another and each sees the
+          // transfers completed before it when the daily limit is checked
+          await User.updateOne(
+            { _id: transfer.sender },
+            { 'wallet.lastTransferAt': new Date() },
+            { session }
+          );
+
+          // Re-checked at confirmation as other transfers may have completed since the quote
+          limitError = await getTransferLimitError(req.user._id, transfer.baseAmount, session);
+          if (limitError) return null;
+
+          const claimed = await Transfer.findOneAndUpdate(
+            { _id: transfer._id, status: 'pending', expiresAt: { $gt: new Date() } },
+            { status: 'completed', completedAt: new Date() },
+            { new: true, session }
+          );
+          if (!claimed) return null;
+
+          const transaction = await postTransaction({
+            type: 'transfer',
+            description: transfer.note ? `Transfer: ${transfer.note}` : 'Wallet transfer',
+            currency: transfer.currency,
+            lines: [
+              { account: walletAccountCode(transfer.sender), debit: transfer.amount },
+              { account: walletAccountCode(transfer.recipient), credit: transfer.amount }
+            ],
+            idempotencyKey: `transfer:${transfer._id}`,
+            createdBy: req.user._id,
+            metadata: { transferId: transfer.transferId }
+          }, { session });
+
+          claimed.transaction = transaction._id;
+          await claimed.save({ session });
+          return claimed;
+        });
+      } catch (error) {
+        if (error instanceof LedgerError && error.code === 'INSUFFICIENT_FUNDS') {
+          return res.status(400).json({
+            success: false,
+            message: 'Insufficient wallet balance'
+          });
+        }
+        throw error;
+      }
+
+      if (limitError) {
+        return res.status(400).json({
+          success: false,
+          message: limitError
+        });
+      }
+
+      if (!completed) {
+        return res.status(409).json({
+          success: false,
+          message: 'Transfer is no longer pending'
+        });
+      }
+
+      req.app.get('io')?.to(`user-${completed.recipient}`).emit('wallet-transfer-received', {
+        transferId: completed.transferId,
+        amount: fromMinorUnits(completed.amount, completed.currency),
+        currency: completed.currency,
+        note: completed.note,
+        sender: describeRecipient(req.user),
+        receivedAt: completed.completedAt
+      });
+
+      res.json({
+        success: true,
+        message: 'Transfer sent',
+        data: {
+          transfer: formatTransfer(completed, req.user._id)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Confirm transfer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error confirming transfer'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/wallet/transfers/:id
+// @desc    Cancel a transfer that has not been confirmed
+// @access  Private (wallet:transfer)
+router.delete('/transfers/:id', requirePermission('wallet:transfer'), blockWhileImpersonating, validateTransferId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transfer = await Transfer.findOneAndUpdate(
+      { _id: req.params.id, sender: req.user._id, status: 'pending' },
+      { status: 'canceled' },
+      { new: true }
+    );
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending transfer found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfer canceled'
+    });
+
+  } catch (error) {
+    logger.error('Cancel transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error canceling transfer'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,51 @@
+import express from 'express';
+import { getGateway } from '../utils/gateways/index.js';
+import { handleGatewayEvent } from '../utils/payments.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// @route   POST /api/webhooks/:provider
+// @desc    Receive payment gateway events (stripe, paypal, razorpay).
+//          Mounted ahead of the JSON body parser because signatures are
+//          computed over the raw body.
+// @access  Public (gateway signature)
+router.post('/:provider', express.raw({ type: '*/*' }), async (req, res) => {
+  const gateway = getGateway(req.params.provider);
+  if (!gateway?.verifyWebhook) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown webhook provider'
+    });
+  }
+
+  let event;
+  try {
+    event = await gateway.verifyWebhook(req.body, req.headers);
+  } catch (error) {
+    logger.warn(`${req.params.provider} webhook verification failed: ${error.message}`);
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  try {
+    // Events we do not act on are acknowledged so they are not redelivered
+    if (event) {
+      await handleGatewayEvent(req.params.provider, event);
+    }
+
+    res.json({ received: true });
+
+  } catch (error) {
+    // A non-2xx response makes the gateway retry the delivery
+    logger.error(`${req.params.provider} webhook error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error processing webhook'
+    });
+  }
+});
+
+export default router;
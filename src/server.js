@@ -21,10 +21,19 @@ import adminRoutes from './routes/admin.js';
 import runnerRoutes from './routes/runners.js';
 import chatRoutes from './routes/chat.js';
 import trackingRoutes from './routes/tracking.js';
+import providerRoutes from './routes/providers.js';
+import partnerRoutes from './routes/partners.js';
+import privacyRoutes from './routes/privacy.js';
+import walletRoutes from './routes/wallet.js';
+import payoutRoutes from './routes/payouts.js';
+import referralRoutes from './routes/referrals.js';
+import webhookRoutes from './routes/webhooks.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
-import { authMiddleware } from './middleware/auth.js';
+import { authMiddleware, requireCompleteProfile, socketAuth } from './middleware/auth.js';
+import { apiKeyAuth, tagPartnerBooking } from './middleware/apiKey.js';
+import { idempotent } from './middleware/idempotency.js';
 import { validateRequest } from './middleware/validation.js';
 
 // Import database connection
@@ -34,6 +43,11 @@ import { connectRedis } from './config/redis.js';
 // Import utilities
 import { logger } from './utils/logger.js';
 import { swaggerSpec } from './config/swagger.js';
+import { startDataExportWorker } from './utils/dataExport.js';
+import { startAccountDeletionWorker } from './utils/accountDeletion.js';
+import { startPayoutWorker } from './utils/payouts.js';
+import { startPaymentMethodWorker } from './utils/paymentMethods.js';
+import { startReferralWorker } from './utils/referrals.js';
 
 // Load environment variables
 dotenv.config();
@@ -50,10 +64,20 @@ const io = new Server(server, {
   }
 });
 
+// Routes emit socket events through req.app.get('io')
+app.set('io', io);
+
 // Connect to databases
 connectDB();
 connectRedis();
 
+// Start background jobs
+startDataExportWorker();
+startAccountDeletionWorker();
+startPayoutWorker();
+startPaymentMethodWorker();
+startReferralWorker();
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -76,7 +100,8 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Rate limiting
@@ -88,6 +113,10 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Payment provider webhooks need the raw body for signature checks and
+// must not be throttled, so they are mounted ahead of both
+app.use('/api/webhooks', webhookRoutes);
+
 app.use('/api/', limiter);
 
 // Body parsing middleware
@@ -119,24 +148,31 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
-app.use('/api/services', serviceRoutes);
-app.use('/api/bookings', authMiddleware, bookingRoutes);
+app.use('/api/services', apiKeyAuth({ 'GET /*': 'services:read' }), serviceRoutes);
+app.use('/api/bookings', apiKeyAuth({
+  'GET /': 'bookings:read',
+  'GET /:id': 'bookings:read',
+  'POST /': 'bookings:create'
+}), authMiddleware, requireCompleteProfile, tagPartnerBooking, idempotent, bookingRoutes);
 app.use('/api/payments', authMiddleware, paymentRoutes);
 app.use('/api/notifications', authMiddleware, notificationRoutes);
 app.use('/api/admin', authMiddleware, adminRoutes);
 app.use('/api/runners', authMiddleware, runnerRoutes);
 app.use('/api/chat', authMiddleware, chatRoutes);
 app.use('/api/tracking', authMiddleware, trackingRoutes);
+app.use('/api/providers', authMiddleware, providerRoutes);
+app.use('/api/partners', authMiddleware, partnerRoutes);
+app.use('/api/privacy', privacyRoutes);
+app.use('/api/wallet', authMiddleware, walletRoutes);
+app.use('/api/payouts', authMiddleware, payoutRoutes);
+app.use('/api/referrals', authMiddleware, referralRoutes);
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  logger.info(`User connected: ${socket.id}`);
+// Socket.IO connection handling. Sockets must authenticate and are joined
+// to their own user room there.
+io.use(socketAuth);
 
-  // Join user to their personal room
-  socket.on('join-user', (userId) => {
-    socket.join(`user-${userId}`);
-    logger.info(`User ${userId} joined their room`);
-  });
+io.on('connection', (socket) => {
+  logger.info(`User ${socket.data.userId} connected: ${socket.id}`);
 
   // Join runner to their room
   socket.on('join-runner', (runnerId) => {
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import cron from 'node-cron';
+import User from '../models/User.js';
+import Booking from '../models/Booking.js';
+import ApiKey from '../models/ApiKey.js';
+import DataExport from '../models/DataExport.js';
+import Earning from '../models/Earning.js';
+import { revokeAllUserSessions } from './tokens.js';
+import { getExportStoragePath } from './dataExport.js';
+import { recordAuditEvent } from './audit.js';
+import { logger } from './logger.js';
+
+// Bookings in these states still need the account to be reachable
+const OPEN_BOOKING_STATUSES = ['pending', 'confirmed', 'assigned', 'in-progress', 'disputed'];
+
+export const getCoolingOffDays = () => parseInt(process.env.ACCOUNT_DELETION_COOLING_OFF_DAYS, 10) || 14;
+
+// Check whether an account can be closed. Returns the reason it cannot, or null.
+export const getDeletionBlocker = async (user) => {
+  const balances = [user.wallet?.balance, ...(user.wallet?.balances?.values() || [])];
+  if (balances.some(balance => balance > 0)) {
+    return 'Please withdraw or spend your wallet balance before closing your account';
+  }
+
+  const unpaidEarnings = await Earning.exists({ payee: user._id, status: { $in: ['available', 'held'] } });
+  if (unpaidEarnings) {
+    return 'Your earnings must be paid out before your account can be closed';
+  }
+
+  const openBooking = await Booking.exists({
+    $or: [{ user: user._id }, { runner: user._id }, { provider: user._id }],
+    'status.current': { $in: OPEN_BOOKING_STATUSES }
+  });
+
+  if (openBooking) {
+    return 'Please complete or cancel your open bookings before closing your account';
+  }
+
+  return null;
+};
+
+// Strip personal data from an account. Bookings and financial records keep
+// referencing the (now anonymous) user ID so accounting stays intact, and
+// email and phone are unset so both can be registered again.
+export const anonymizeUser = async (user) => {
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      firstName: 'Deleted',
+      lastName: 'User',
+      avatar: null,
+      gender: 'prefer-not-to-say',
+      // Lifts the required email, phone, password and profile fields
+      profileStatus: 'anonymized',
+      isActive: false,
+      twoFactorEnabled: false,
+      devices: [],
+      paymentMethods: [],
+      'deletion.completedAt': new Date()
+    },
+    $unset: {
+      email: 1,
+      phone: 1,
+      password: 1,
+      passwordHistory: 1,
+      dateOfBirth: 1,
+      address: 1,
+      currentLocation: 1,
+      socialAccounts: 1,
+      gatewayCustomers: 1,
+      payoutAccount: 1,
+      referralCode: 1,
+      twoFactorSecret: 1,
+      twoFactorBackupCodes: 1,
+      passwordResetToken: 1,
+      passwordResetExpires: 1,
+      emailVerificationToken: 1,
+      emailVerificationExpires: 1,
+      pendingEmail: 1,
+      pendingEmailToken: 1,
+      pendingEmailExpires: 1,
+      metadata: 1,
+      'deletion.reason': 1,
+      'deletion.lastBlockedReason': 1
+    }
+  });
+
+  await revokeAllUserSessions(user._id);
+  await ApiKey.updateMany({ partner: user._id, isActive: true }, { isActive: false, revokedAt: new Date() });
+
+  // Remove any personal data archives still on disk
+  const exports = await DataExport.find({ user: user._id, status: 'ready' });
+  for (const dataExport of exports) {
+    await fs.promises.unlink(path.join(getExportStoragePath(), dataExport.fileName)).catch(() => {});
+    dataExport.status = 'expired';
+    await dataExport.save();
+  }
+
+  recordAuditEvent('account.deleted', { target: user._id });
+};
+
+// Anonymize every account whose cooling-off period has ended
+export const processDueDeletions = async () => {
+  try {
+    const users = await User.find({
+      'deletion.scheduledFor': { $lte: new Date() },
+      'deletion.completedAt': { $exists: false }
+    });
+
+    for (const user of users) {
+      const blocker = await getDeletionBlocker(user);
+      if (blocker) {
+        // Retried on the next run once the wallet or bookings are settled
+        if (user.deletion.lastBlockedReason !== blocker) {
+          await User.updateOne({ _id: user._id }, { 'deletion.lastBlockedReason': blocker });
+        }
+        continue;
+      }
+
+      await anonymizeUser(user);
+      logger.info(`Account anonymized: ${user._id}`);
+    }
+  } catch (error) {
+    logger.error('Account deletion job error:', error);
+  }
+};
+
+// Schedule the hourly deletion run
+export const startAccountDeletionWorker = () => {
+  cron.schedule('0 * * * *', processDueDeletions);
+};
@@ -0,0 +1,37 @@
+import AuditEvent from '../models/AuditEvent.js';
+import { logger, logSecurity } from './logger.js';
+
+// Persist an audit event and mirror it to the security log. Never throws;
+// a failed write is logged so the action being audited still completes.
+export const recordAuditEvent = async (type, { actor, target, ip, userAgent, details = {} } = {}) => {
+  logSecurity(type, target || actor, ip, { actor, ...details });
+
+  try {
+    await AuditEvent.create({
+      type,
+      actor,
+      target,
+      ipAddress: ip,
+      userAgent,
+      details
+    });
+  } catch (error) {
+    logger.error('Audit event write error:', error);
+  }
+};
+
+// Record an audit event for the current request. The authenticated user is
+// the actor (or the staff member behind an impersonation session) and the
+// target defaults to the actor.
+export const auditRequest = (req, type, { actor, target, details = {} } = {}) => {
+  const impersonator = req.user?.impersonatedBy?._id;
+  const resolvedActor = actor || impersonator || req.user?._id;
+
+  return recordAuditEvent(type, {
+    actor: resolvedActor,
+    target: target || req.user?._id || resolvedActor,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    details: impersonator ? { ...details, impersonatedUser: req.user._id } : details
+  });
+};
@@ -0,0 +1,184 @@
+import Booking from '../models/Booking.js';
+import Service from '../models/Service.js';
+import Payment from '../models/Payment.js';
+import { userHasPermission } from '../middleware/auth.js';
+import { refundPayment, cancelPayment } from './payments.js';
+import { toMinorUnits, fromMinorUnits } from './ledger.js';
+import { logger } from './logger.js';
+
+// Bookings in these states can no longer be cancelled
+const CLOSED_STATUSES = ['completed', 'cancelled', 'failed'];
+
+// Payments that have not settled yet and are simply dropped on cancellation
+const OPEN_PAYMENT_STATUSES = ['pending', 'requires-action', 'authorized'];
+
+const getPercentSetting = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Share of the amount paid kept when the customer cancels inside the
+// service's cancellation window, or after the booking was due to start
+const getLateCancellationFeePercent = () => getPercentSetting('LATE_CANCELLATION_FEE_PERCENT', 50);
+const getNoShowFeePercent = () => getPercentSetting('NO_SHOW_FEE_PERCENT', 100);
+
+// Work out in which capacity a user is cancelling a booking, or null if
+// they may not cancel it at all
+export const getCancellationRole = async (booking, user) => {
+  if (booking.user.equals(user._id)) return 'user';
+  if (booking.provider.equals(user._id)) return 'provider';
+  if (booking.runner?.equals(user._id)) return 'runner';
+  if (await userHasPermission(user, 'booking:cancel-any')) return 'admin';
+  return null;
+};
+
+// Decide the fee and refund for cancelling a booking now. Nothing is
+// changed, so the outcome can be previewed before it is confirmed. Amounts
+// are in the currency the booking was paid in.
+export const evaluateCancellation = async (booking, user) => {
+  const role = await getCancellationRole(booking, user);
+  if (!role) return null;
+
+  const deny = (message) => ({ allowed: false, cancelledByRole: role, message });
+
+  const status = booking.status.current;
+  if (CLOSED_STATUSES.includes(status)) {
+    return deny(`Booking is already ${status}`);
+  }
+  if (status === 'disputed' && role !== 'admin') {
+    return deny('Disputed bookings can only be cancelled by support');
+  }
+
+  const service = await Service.findById(booking.service).select('settings');
+  const settings = service?.settings || {};
+  const windowHours = settings.cancellationWindow ?? 24;
+  const hoursUntilStart = (booking.scheduledDate.getTime() - Date.now()) / (60 * 60 * 1000);
+
+  let policy;
+  let feePercent = 0;
+
+  if (role === 'user') {
+    if (status === 'in-progress') {
+      return deny('Bookings cannot be cancelled once the service has started');
+    }
+
+    if (status === 'pending') {
+      policy = 'before-confirmation';
+    } else if (settings.allowCancellation === false) {
+      return deny('This service cannot be cancelled once the booking is confirmed');
+    } else if (hoursUntilStart >= windowHours) {
+      policy = 'free-cancellation';
+    } else if (hoursUntilStart > 0) {
+      policy = 'late-cancellation';
+      feePercent = getLateCancellationFeePercent();
+    } else {
+      policy = 'no-show';
+      feePercent = getNoShowFeePercent();
+    }
+  } else {
+    // The customer is not at fault, so they get everything back
+    policy = `${role}-cancellation`;
+  }
+
+  const payment = await Payment.findOne({
+    booking: booking._id,
+    status: { $in: ['succeeded', 'partially-refunded'] }
+  });
+
+  const currency = payment?.currency || booking.pricing.payer?.currency || booking.pricing.currency;
+  const paid = payment ? payment.amount - payment.refundedAmount : 0;
+  const fee = Math.min(Math.round(paid * feePercent / 100), paid);
+
+  let refundMethods = [];
+  if (payment) {
+    refundMethods = payment.provider === 'wallet' ? ['wallet'] : ['original', 'wallet'];
+  }
+
+  return {
+    allowed: true,
+    cancelledByRole: role,
+    policy,
+    hoursUntilStart: Math.round(hoursUntilStart * 10) / 10,
+    cancellationWindowHours: windowHours,
+    feePercent,
+    currency,
+    paid: fromMinorUnits(paid, currency),
+    fee: fromMinorUnits(fee, currency),
+    refundAmount: fromMinorUnits(paid - fee, currency),
+    refundMethods
+  };
+};
+
+// Refund a cancelled booking as recorded on it. Runs for pending refunds and
+// retries failed ones; the status goes to processed once the refund is
+// submitted and to completed when the money is back with the payer, which
+// for card refunds may only be confirmed later by the gateway webhook.
+export const processCancellationRefund = async (bookingId) => {
+  const booking = await Booking.findOneAndUpdate(
+    {
+      _id: bookingId,
+      'cancellation.isCancelled': true,
+      'cancellation.refundAmount': { $gt: 0 },
+      'cancellation.refundStatus': { $in: ['pending', 'failed'] }
+    },
+    { 'cancellation.refundStatus': 'processed', $unset: { 'cancellation.refundError': 1 } },
+    { new: true }
+  );
+  if (!booking) return null;
+
+  const { refundAmount, refundCurrency, refundMethod, cancelledBy } = booking.cancellation;
+
+  try {
+    const payment = await Payment.findOne({
+      booking: booking._id,
+      status: { $in: ['succeeded', 'partially-refunded'] }
+    });
+    if (!payment) {
+      throw new Error('No settled payment found to refund');
+    }
+
+    const updated = await refundPayment(payment, toMinorUnits(refundAmount, refundCurrency), {
+      reason: `Booking ${booking.bookingId} cancelled`,
+      createdBy: cancelledBy,
+      destination: refundMethod
+    });
+
+    const refund = updated.refunds[updated.refunds.length - 1];
+    if (refund.status === 'succeeded') {
+      await Booking.updateOne(
+        { _id: booking._id, 'cancellation.refundStatus': 'processed' },
+        { 'cancellation.refundStatus': 'completed' }
+      );
+    }
+  } catch (error) {
+    logger.error(`Cancellation refund for booking ${booking.bookingId} failed:`, error);
+    await Booking.updateOne(
+      { _id: booking._id },
+      { 'cancellation.refundStatus': 'failed', 'cancellation.refundError': error.message }
+    );
+  }
+
+  return Booking.findById(booking._id);
+};
+
+// Cancel a booking with an outcome from evaluateCancellation, drop any
+// payment that has not settled and start the refund. Returns null if the
+// booking was cancelled or changed status since it was evaluated.
+export const cancelBookingWithPolicy = async (booking, user, outcome, { reason, refundMethod }) => {
+  const cancelled = await booking.cancelBooking(user._id, reason, {
+    ...outcome,
+    refundMethod: outcome.refundAmount > 0 ? refundMethod : undefined
+  });
+  if (!cancelled) return null;
+
+  // Void unsettled payments so the customer can no longer complete them
+  const openPayments = await Payment.find({ booking: booking._id, status: { $in: OPEN_PAYMENT_STATUSES } });
+  for (const payment of openPayments) {
+    await cancelPayment(payment, 'Booking cancelled');
+  }
+
+  if (outcome.refundAmount > 0) {
+    return processCancellationRefund(booking._id);
+  }
+  return cancelled;
+};
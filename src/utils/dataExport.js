@@ -0,0 +1,340 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import archiver from 'archiver';
+import cron from 'node-cron';
+import { createObjectCsvStringifier } from 'csv-writer';
+import DataExport from '../models/DataExport.js';
+import User from '../models/User.js';
+import Booking from '../models/Booking.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { getWalletAccounts, fromMinorUnits } from './ledger.js';
+import { sendEmail } from './email.js';
+import { logger } from './logger.js';
+
+// User fields that must never leave the system, even to the user themselves
+const EXCLUDED_USER_FIELDS = [
+  'password',
+  'passwordHistory',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'pendingEmailToken',
+  'twoFactorSecret',
+  'twoFactorBackupCodes',
+  'loginAttempts',
+  'lockUntil'
+];
+
+const getDownloadTTLHours = () => parseInt(process.env.DATA_EXPORT_TTL_HOURS, 10) || 48;
+
+export const getExportStoragePath = () => {
+  return path.resolve(process.env.DATA_EXPORT_PATH || 'private-uploads/exports');
+};
+
+export const hashDownloadToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const toCsv = (header, records) => {
+  const csv = createObjectCsvStringifier({ header });
+  return csv.getHeaderString() + csv.stringifyRecords(records);
+};
+
+// Gather everything held about a user as a list of { name, content } files
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId).lean();
+  if (!user) throw new Error('User not found');
+
+  for (const field of EXCLUDED_USER_FIELDS) {
+    delete user[field];
+  }
+
+  // Gateway references stay server-side; only display metadata is exported
+  const paymentMethods = (user.paymentMethods || []).map(({ metadata, providerMethodId, fingerprint, ...method }) => method);
+  const devices = (user.devices || []).map(({ sessionFamilyId, ...device }) => device);
+  const { address, wallet } = user;
+  delete user.paymentMethods;
+  delete user.devices;
+  delete user.address;
+  delete user.wallet;
+  delete user.gatewayCustomers;
+
+  const allBookings = await Booking.find({
+    $or: [{ user: userId }, { runner: userId }, { provider: userId }]
+  }).populate('service', 'name category').sort({ createdAt: -1 }).lean();
+
+  // Bookings the user placed are theirs in full. On bookings they worked as
+  // provider or runner, the customer's details (addresses, contact, notes)
+  // belong to the customer, so only the user's own part is exported.
+  const isCustomer = (booking) => booking.user.toString() === userId.toString();
+  const bookings = allBookings.filter(isCustomer);
+  const staffBookings = allBookings.filter(booking => !isCustomer(booking)).map(booking => ({
+    bookingId: booking.bookingId,
+    service: booking.service,
+    role: booking.provider?.toString() === userId.toString() ? 'provider' : 'runner',
+    status: booking.status?.current,
+    scheduledDate: booking.scheduledDate,
+    pricing: booking.pricing,
+    settlement: booking.settlement,
+    createdAt: booking.createdAt
+  }));
+
+  // Only messages the user wrote; replies belong to whoever sent them
+  const messages = allBookings.flatMap(booking => (booking.messages || [])
+    .filter(message => message.sender?.toString() === userId.toString())
+    .map(message => ({
+      bookingId: booking.bookingId,
+      message: message.message,
+      timestamp: message.timestamp?.toISOString()
+    })));
+
+  const reviews = bookings
+    .filter(booking => booking.review?.rating && booking.user.toString() === userId.toString())
+    .map(booking => ({
+      bookingId: booking.bookingId,
+      service: booking.service?.name,
+      rating: booking.review.rating,
+      comment: booking.review.comment,
+      submittedAt: booking.review.submittedAt?.toISOString(),
+      isPublic: booking.review.isPublic
+    }));
+
+  const walletAccounts = await getWalletAccounts(userId);
+  const walletEntries = await LedgerEntry.find({ account: { $in: walletAccounts.map(account => account._id) } })
+    .populate('transaction', 'transactionId')
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  const walletRows = walletEntries.map(entry => ({
+    transactionId: entry.transaction?.transactionId,
+    type: entry.type,
+    description: entry.description,
+    amount: fromMinorUnits(entry.amount, entry.currency),
+    balanceAfter: fromMinorUnits(entry.balanceAfter, entry.currency),
+    currency: entry.currency,
+    createdAt: entry.createdAt?.toISOString()
+  }));
+
+  const bookingRows = [
+    ...bookings.map(booking => ({
+      bookingId: booking.bookingId,
+      service: booking.service?.name,
+      role: 'customer',
+      status: booking.status?.current,
+      scheduledDate: booking.scheduledDate?.toISOString(),
+      pickupAddress: booking.pickupLocation?.address,
+      deliveryAddress: booking.deliveryLocation?.address,
+      total: booking.pricing?.total,
+      paymentStatus: booking.payment?.status,
+      createdAt: booking.createdAt?.toISOString()
+    })),
+    ...staffBookings.map(booking => ({
+      bookingId: booking.bookingId,
+      service: booking.service?.name,
+      role: booking.role,
+      status: booking.status,
+      scheduledDate: booking.scheduledDate?.toISOString(),
+      total: booking.pricing?.total,
+      createdAt: booking.createdAt?.toISOString()
+    }))
+  ];
+
+  return [
+    { name: 'profile.json', content: JSON.stringify({ ...user, devices }, null, 2) },
+    {
+      name: 'addresses.json',
+      content: JSON.stringify({
+        profileAddress: address,
+        currentLocation: user.currentLocation,
+        bookingAddresses: bookings.map(booking => ({
+          bookingId: booking.bookingId,
+          pickupLocation: booking.pickupLocation,
+          deliveryLocation: booking.deliveryLocation
+        }))
+      }, null, 2)
+    },
+    { name: 'payment-methods.json', content: JSON.stringify(paymentMethods, null, 2) },
+    { name: 'wallet.json', content: JSON.stringify(wallet, null, 2) },
+    {
+      name: 'wallet-history.csv',
+      content: toCsv([
+        { id: 'transactionId', title: 'Transaction ID' },
+        { id: 'type', title: 'Type' },
+        { id: 'description', title: 'Description' },
+        { id: 'amount', title: 'Amount' },
+        { id: 'balanceAfter', title: 'Balance After' },
+        { id: 'currency', title: 'Currency' },
+        { id: 'createdAt', title: 'Date' }
+      ], walletRows)
+    },
+    {
+      name: 'bookings.json',
+      content: JSON.stringify({
+        asCustomer: bookings.map(({ messages: _messages, ...booking }) => booking),
+        asProviderOrRunner: staffBookings
+      }, null, 2)
+    },
+    {
+      name: 'bookings.csv',
+      content: toCsv([
+        { id: 'bookingId', title: 'Booking ID' },
+        { id: 'service', title: 'Service' },
+        { id: 'role', title: 'Your Role' },
+        { id: 'status', title: 'Status' },
+        { id: 'scheduledDate', title: 'Scheduled Date' },
+        { id: 'pickupAddress', title: 'Pickup Address' },
+        { id: 'deliveryAddress', title: 'Delivery Address' },
+        { id: 'total', title: 'Total' },
+        { id: 'paymentStatus', title: 'Payment Status' },
+        { id: 'createdAt', title: 'Created At' }
+      ], bookingRows)
+    },
+    {
+      name: 'messages.csv',
+      content: toCsv([
+        { id: 'bookingId', title: 'Booking ID' },
+        { id: 'message', title: 'Message' },
+        { id: 'timestamp', title: 'Timestamp' }
+      ], messages)
+    },
+    {
+      name: 'reviews.csv',
+      content: toCsv([
+        { id: 'bookingId', title: 'Booking ID' },
+        { id: 'service', title: 'Service' },
+        { id: 'rating', title: 'Rating' },
+        { id: 'comment', title: 'Comment' },
+        { id: 'submittedAt', title: 'Submitted At' },
+        { id: 'isPublic', title: 'Public' }
+      ], reviews)
+    }
+  ];
+};
+
+// Zip the collected files into the export directory
+const writeArchive = async (fileName, files) => {
+  const dir = getExportStoragePath();
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const filePath = path.join(dir, fileName);
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  const closed = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    archive.on('error', reject);
+  });
+
+  archive.pipe(output);
+  for (const file of files) {
+    archive.append(file.content, { name: file.name });
+  }
+  await archive.finalize();
+  await closed;
+
+  return archive.pointer();
+};
+
+// Build the archive for a claimed job and email the download link
+const processDataExport = async (job) => {
+  try {
+    const files = await collectUserData(job.user);
+    const fileName = `${job._id}.zip`;
+    const size = await writeArchive(fileName, files);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    job.status = 'ready';
+    job.fileName = fileName;
+    job.size = size;
+    job.downloadTokenHash = hashDownloadToken(token);
+    job.expiresAt = new Date(Date.now() + getDownloadTTLHours() * 60 * 60 * 1000);
+    job.completedAt = new Date();
+    await job.save();
+
+    const user = await User.findById(job.user);
+    if (user?.email) {
+      await sendEmail({
+        to: user.email,
+        subject: 'Your MekaCash data export is ready',
+        template: 'data-export-ready',
+        data: {
+          name: user.firstName,
+          downloadUrl: `${process.env.API_URL}/api/privacy/exports/download/${token}`,
+          expiresInHours: getDownloadTTLHours()
+        }
+      });
+    }
+
+    logger.info(`Data export ready: ${job._id} for user ${job.user}`);
+  } catch (error) {
+    logger.error(`Data export ${job._id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+    await job.save();
+  }
+};
+
+// A job still processing after this long was abandoned, e.g. by a restart,
+// and is picked up again; after MAX_EXPORT_ATTEMPTS it is given up on
+const getProcessingTimeoutMs = () => (parseInt(process.env.DATA_EXPORT_TIMEOUT_MINUTES, 10) || 30) * 60 * 1000;
+const MAX_EXPORT_ATTEMPTS = 3;
+
+let isProcessing = false;
+
+// Work through queued export jobs one at a time, reclaiming stale ones
+export const runDataExportQueue = async () => {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    const staleBefore = new Date(Date.now() - getProcessingTimeoutMs());
+
+    await DataExport.updateMany(
+      { status: 'processing', startedAt: { $lt: staleBefore }, attempts: { $gte: MAX_EXPORT_ATTEMPTS } },
+      { status: 'failed', error: 'Export did not finish', completedAt: new Date() }
+    );
+
+    let job;
+    while ((job = await DataExport.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued' },
+          { status: 'processing', startedAt: { $lt: staleBefore }, attempts: { $lt: MAX_EXPORT_ATTEMPTS } }
+        ]
+      },
+      { status: 'processing', startedAt: new Date(), $inc: { attempts: 1 } },
+      { sort: { createdAt: 1 }, new: true }
+    ))) {
+      await processDataExport(job);
+    }
+  } catch (error) {
+    logger.error('Data export queue error:', error);
+  } finally {
+    isProcessing = false;
+  }
+};
+
+// Delete archives whose download link has expired
+export const expireDataExports = async () => {
+  try {
+    const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } });
+
+    for (const job of expired) {
+      await fs.promises.unlink(path.join(getExportStoragePath(), job.fileName)).catch(() => {});
+      job.status = 'expired';
+      await job.save();
+    }
+  } catch (error) {
+    logger.error('Data export expiry error:', error);
+  }
+};
+
+// Schedule the export queue and expiry sweep
+export const startDataExportWorker = () => {
+  cron.schedule('* * * * *', async () => {
+    await runDataExportQueue();
+    await expireDataExports();
+  });
+};
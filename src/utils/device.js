@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { getCache, setCache } from '../config/redis.js';
+import { logger } from './logger.js';
+
+const detectDeviceType = (userAgent) => {
+  if (/iPad|Tablet/i.test(userAgent)) return 'tablet';
+  if (/Mobile|Android|iPhone/i.test(userAgent)) return 'mobile';
+  if (/Windows|Macintosh|Linux|CrOS/i.test(userAgent)) return 'desktop';
+  return 'unknown';
+};
+
+const detectDeviceName = (userAgent) => {
+  const browser = [
+    ['Edge', /Edg\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/],
+    ['macOS', /Macintosh/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser?.[0], os?.[0]].filter(Boolean).join(' on ');
+};
+
+const signDeviceId = (deviceId) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET || 'your-secret-key')
+    .update(`device:${deviceId}`)
+    .digest('hex');
+};
+
+// Token a client keeps and sends back as X-Device-Token to be recognised as
+// the same device. Device IDs are issued by the server and signed, since
+// they are visible to the account holder (GET /sessions) and must not let
+// anyone else pass as a known device.
+export const createDeviceToken = (deviceId) => `${deviceId}.${signDeviceId(deviceId)}`;
+
+// The device ID in a device token, or null if it was not issued by us
+const readDeviceToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const separator = token.lastIndexOf('.');
+  const deviceId = token.slice(0, separator);
+  const signature = token.slice(separator + 1);
+  if (separator < 1 || !signature) return null;
+
+  const expected = signDeviceId(deviceId);
+  const isValid = signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  return isValid ? deviceId : null;
+};
+
+// Describe the device a request comes from. Devices without a valid
+// X-Device-Token (or body.deviceToken) get a new ID.
+export const getDeviceInfo = (req) => {
+  const userAgent = req.get('User-Agent') || '';
+
+  return {
+    deviceId: readDeviceToken(req.get('X-Device-Token') || req.body?.deviceToken) || crypto.randomUUID(),
+    deviceType: req.get('X-Device-Type') || detectDeviceType(userAgent),
+    deviceName: req.get('X-Device-Name') || detectDeviceName(userAgent),
+    ipAddress: req.ip,
+    userAgent
+  };
+};
+
+const isPrivateIp = (ip) => {
+  return !ip || /^(::1|127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|::ffff:127\.|fc|fd)/.test(ip);
+};
+
+// Approximate city/country for an IP address, cached for a day. Only looked
+// up when IP_GEOLOCATION_URL is set: the address is sent to that provider,
+// which is called as <url>/<ip> and should answer with city, region (or
+// regionName) and country.
+export const getApproximateLocation = async (ip) => {
+  const baseUrl = process.env.IP_GEOLOCATION_URL;
+  if (!baseUrl || isPrivateIp(ip)) return null;
+
+  const cacheKey = `ip-location:${ip}`;
+  const cached = await getCache(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const { data } = await axios.get(`${baseUrl}/${encodeURIComponent(ip)}`, { timeout: 3000 });
+
+    if (data.status && data.status !== 'success') return null;
+
+    const location = {
+      city: data.city,
+      region: data.regionName || data.region,
+      country: data.country
+    };
+
+    await setCache(cacheKey, location, 24 * 60 * 60);
+    return location;
+  } catch (error) {
+    logger.warn(`IP geolocation failed for ${ip}: ${error.message}`);
+    return null;
+  }
+};
@@ -14,6 +14,15 @@ const createTransporter = () => {
   });
 };
 
+// Escape a value supplied by a client before putting it into email HTML
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
 // Email templates
 const emailTemplates = {
   'email-verification': {
@@ -100,6 +109,258 @@ const emailTemplates = {
     `
   },
   
+  'email-change-verification': {
+    subject: 'Confirm your new MekaCash email address',
+    html: (data) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Confirm your new MekaCash email address</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; padding: 12px 30px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 25px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Confirm Your New Email</h1>
+          </div>
+          <div class="content">
+            <h2>Hi ${data.name},</h2>
+            <p>We received a request to change the email address on your MekaCash account to this one. Click the button below to confirm the change:</p>
+            <div style="text-align: center;">
+              <a href="${data.confirmUrl}" class="button">Confirm Email Address</a>
+            </div>
+            <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #666;">${data.confirmUrl}</p>
+            <p>This link will expire in 24 hours. Until then, your current email address stays active.</p>
+            <p>If you didn't request this change, you can safely ignore this email.</p>
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 MekaCash. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  },
+  
+  'new-device-login': {
+    subject: 'New sign-in to your MekaCash account',
+    html: (data) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>New sign-in to your MekaCash account</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .device-details { background: white; padding: 20px; border-radius: 10px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>New Sign-in Detected</h1>
+          </div>
+          <div class="content">
+            <h2>Hi ${data.name},</h2>
+            <p>Your MekaCash account was just signed in to from a new device:</p>
+            <div class="device-details">
+              <p><strong>Device:</strong> ${escapeHtml(data.deviceName)}</p>
+              <p><strong>IP Address:</strong> ${escapeHtml(data.ipAddress)}</p>
+              <p><strong>Approximate Location:</strong> ${escapeHtml(data.location || 'Unknown')}</p>
+              <p><strong>Time:</strong> ${data.time}</p>
+            </div>
+            <p>If this was you, you can ignore this email.</p>
+            <p>If you don't recognize this sign-in, revoke the device from your active sessions and change your password right away.</p>
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 MekaCash. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  },
+  
+  'provider-application-status': {
+    subject: 'Your MekaCash provider application',
+    html: (data) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Your MekaCash provider application</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .application-details { background: white; padding: 20px; border-radius: 10px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Provider Application ${data.status === 'pending' ? 'Received' : data.status === 'approved' ? 'Approved' : 'Update'}</h1>
+          </div>
+          <div class="content">
+            <h2>Hi ${data.name},</h2>
+            ${data.status === 'pending' ? `
+            <p>We've received your application to become a MekaCash provider for <strong>${data.businessName}</strong>. Our team will review your documents and get back to you shortly.</p>
+            ` : data.status === 'approved' ? `
+            <p>Congratulations! Your application for <strong>${data.businessName}</strong> has been approved. You can now create and publish services on MekaCash.</p>
+            ` : `
+            <p>Unfortunately we couldn't approve your application for <strong>${data.businessName}</strong> at this time.</p>
+            <div class="application-details">
+              <h3>Reasons</h3>
+              <ul>
+                ${(data.reasons || []).map(reason => `<li>${reason}</li>`).join('')}
+              </ul>
+            </div>
+            <p>You're welcome to submit a new application once these points have been addressed.</p>
+            `}
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 MekaCash. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  },
+  
+  'data-export-ready': {
+    subject: 'Your MekaCash data export is ready',
+    html: (data) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Your MekaCash data export is ready</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; padding: 12px 30px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 25px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Your Data Export Is Ready</h1>
+          </div>
+          <div class="content">
+            <h2>Hi ${data.name},</h2>
+            <p>The copy of your personal data you requested is ready. It contains your profile, addresses, payment method details, bookings, messages, reviews and wallet information.</p>
+            <div style="text-align: center;">
+              <a href="${data.downloadUrl}" class="button">Download My Data</a>
+            </div>
+            <p>This link will expire in ${data.expiresInHours} hours. Keep the downloaded file somewhere safe, as it contains personal information.</p>
+            <p>If you didn't request this export, please change your password and contact support.</p>
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 MekaCash. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  },
+  
+  'payment-method-expiring': {
+    subject: 'Your saved card is about to expire',
+    html: (data) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Your saved card is about to expire</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; padding: 12px 30px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 25px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Card Expiring Soon</h1>
+          </div>
+          <div class="content">
+            <h2>Hi ${data.name},</h2>
+            <p>The following saved ${data.cards.length === 1 ? 'card expires' : 'cards expire'} soon:</p>
+            <ul>
+              ${data.cards.map(card => `<li>${card.brand || 'Card'} ending in ${card.last4}, expires ${card.expiry}</li>`).join('')}
+            </ul>
+            <p>Add a new card to keep paying for bookings and top-ups without interruption.</p>
+            <div style="text-align: center;">
+              <a href="${data.manageUrl}" class="button">Manage Payment Methods</a>
+            </div>
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 MekaCash. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  },
+
+  'account-deletion-scheduled': {
+    subject: 'Your MekaCash account is scheduled for deletion',
+    html: (data) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Your MekaCash account is scheduled for deletion</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Account Deletion Scheduled</h1>
+          </div>
+          <div class="content">
+            <h2>Hi ${data.name},</h2>
+            <p>We received your request to close your MekaCash account. Your personal information will be permanently removed on <strong>${data.scheduledFor}</strong>.</p>
+            <p>Changed your mind? Just sign in and cancel the deletion before that date.</p>
+            <p>Records of past bookings and payments are kept without your personal details, as required for accounting.</p>
+            <p>If you didn't make this request, sign in right away, cancel the deletion and change your password.</p>
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 MekaCash. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  },
+  
   'booking-confirmation': {
     subject: 'Booking Confirmed - MekaCash',
     html: (data) => `
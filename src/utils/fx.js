@@ -0,0 +1,136 @@
+import FxRate from '../models/FxRate.js';
+import { getBaseCurrency, getCurrencyDecimals } from '../config/currencies.js';
+import {
+  postTransaction,
+  walletAccountCode,
+  fromMinorUnits,
+  PLATFORM_ACCOUNTS
+} from './ledger.js';
+
+// Rate in effect for an exact pair at a point in time
+const findRate = (base, quote, at) => {
+  return FxRate.findOne({ base, quote, effectiveFrom: { $lte: at } }).sort({ effectiveFrom: -1 });
+};
+
+// Mid rate for converting `from` into `to` from the pair as entered or its inverse
+const resolvePair = async (from, to, at) => {
+  const direct = await findRate(from, to, at);
+  if (direct) {
+    return { mid: direct.rate, spreadPercent: direct.spreadPercent, rates: [direct._id] };
+  }
+
+  const inverse = await findRate(to, from, at);
+  if (inverse) {
+    return { mid: 1 / inverse.rate, spreadPercent: inverse.spreadPercent, rates: [inverse._id] };
+  }
+
+  return null;
+};
+
+// Quote the rate for converting `from` into `to`. Pairs without a rate of
+// their own are crossed through the base currency. `rate` is what the
+// customer gets after the spread. Returns null when no rate is available.
+export const getFxQuote = async (from, to, at = new Date()) => {
+  if (from === to) {
+    return { from, to, midRate: 1, spreadPercent: 0, rate: 1, rates: [], quotedAt: at };
+  }
+
+  let pair = await resolvePair(from, to, at);
+
+  const base = getBaseCurrency();
+  if (!pair && from !== base && to !== base) {
+    const [first, second] = await Promise.all([
+      resolvePair(from, base, at),
+      resolvePair(base, to, at)
+    ]);
+
+    if (first && second) {
+      pair = {
+        mid: first.mid * second.mid,
+        spreadPercent: Math.max(first.spreadPercent, second.spreadPercent),
+        rates: [...first.rates, ...second.rates]
+      };
+    }
+  }
+
+  if (!pair) return null;
+
+  return {
+    from,
+    to,
+    midRate: pair.mid,
+    spreadPercent: pair.spreadPercent,
+    rate: pair.mid * (1 - pair.spreadPercent / 100),
+    rates: pair.rates,
+    quotedAt: at
+  };
+};
+
+// Convert a minor-unit amount at a quote's customer rate. Rounds down so a
+// conversion never pays out more than the rate allows.
+export const convertAmount = (amount, quote, { useMidRate = false } = {}) => {
+  const rate = useMidRate ? quote.midRate : quote.rate;
+  const converted = fromMinorUnits(amount, quote.from) * rate * 10 ** getCurrencyDecimals(quote.to);
+  return Math.floor(converted + 1e-6);
+};
+
+// Work out what a payer holding `payerCurrency` pays for a price set in
+// another currency: enough that, converted at the customer rate, it covers
+// the price. Rounds up in the payer's currency. Returns null without a rate.
+export const quoteBookingPrice = async (totalAmount, priceCurrency, payerCurrency) => {
+  const quote = await getFxQuote(payerCurrency, priceCurrency);
+  if (!quote) return null;
+
+  const decimals = getCurrencyDecimals(payerCurrency);
+  const payerTotal = Math.ceil((totalAmount / quote.rate) * 10 ** decimals - 1e-6) / 10 ** decimals;
+
+  return {
+    currency: payerCurrency,
+    totalAmount: payerTotal,
+    rate: quote.rate,
+    midRate: quote.midRate,
+    spreadPercent: quote.spreadPercent,
+    rates: quote.rates,
+    quotedAt: quote.quotedAt
+  };
+};
+
+// Record on a booking what its payer is charged in their own currency
+export const applyBookingCurrency = async (booking, payerCurrency) => {
+  const conversion = await quoteBookingPrice(booking.pricing.totalAmount, booking.pricing.currency, payerCurrency);
+  if (!conversion) return null;
+
+  booking.pricing.payer = conversion;
+  return conversion;
+};
+
+// Move funds between two of a user's currency wallets at the current rate.
+// The platform FX account takes the other side of both legs.
+export const convertWalletFunds = async ({ userId, from, to, amount, createdBy }) => {
+  const quote = await getFxQuote(from, to);
+  if (!quote) return null;
+
+  const converted = convertAmount(amount, quote);
+  const wallet = walletAccountCode(userId);
+
+  const transaction = await postTransaction({
+    type: 'conversion',
+    description: `Converted ${from} to ${to}`,
+    currency: from,
+    lines: [
+      { account: wallet, currency: from, debit: amount },
+      { account: PLATFORM_ACCOUNTS.fx, currency: from, credit: amount },
+      { account: PLATFORM_ACCOUNTS.fx, currency: to, debit: converted },
+      { account: wallet, currency: to, credit: converted }
+    ],
+    createdBy,
+    metadata: {
+      rate: quote.rate,
+      midRate: quote.midRate,
+      spreadPercent: quote.spreadPercent,
+      rates: quote.rates
+    }
+  });
+
+  return { transaction, quote, converted };
+};
@@ -0,0 +1,32 @@
+import * as stripe from './stripe.js';
+import * as paypal from './paypal.js';
+import * as razorpay from './razorpay.js';
+import * as wallet from './wallet.js';
+
+// Payment gateway adapters. Each exports the same interface, with amounts in
+// minor units and statuses from Payment.PAYMENT_STATUSES:
+//
+//   authorize(payment, options) -> { providerPaymentId, status, nextAction?, failureReason? }
+//   complete(payment, params)   -> { status, providerData?, failureReason? }  (redirect/checkout flows only)
+//   capture(payment, amount)    -> { status, providerData? }
+//   cancel(payment)             -> { status }  (voids the payment so it can no longer complete)
+//   refund(payment, amount, refund) -> { providerRefundId, status }  (`refund` is the entry claimed in
+//                                      payment.refunds; its _id is stable across retries)
+//   verifyWebhook(rawBody, headers) -> { status, providerPaymentId, paymentId?, ... }, { refund: { providerRefundId, status } }
+//                                      or null for ignored events; throws when the signature is invalid
+//                                      (external gateways only)
+//
+// Gateways that can save payment methods for later also export:
+//
+//   setupPaymentMethod(user, options) -> { nextAction, customerId? }
+//   savePaymentMethod(user, token)    -> { type, providerMethodId, brand?, last4?, expMonth?, expYear?, fingerprint?, name? }
+//                                        or null if the token cannot be used by this user
+//   removePaymentMethod(method)
+const GATEWAYS = {
+  stripe,
+  paypal,
+  razorpay,
+  wallet
+};
+
+export const getGateway = (provider) => GATEWAYS[provider] || null;
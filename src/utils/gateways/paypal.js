@@ -0,0 +1,185 @@
+import { getPaypal, paypalRequest } from '../../config/paypal.js';
+import { getCurrencyDecimals } from '../../config/currencies.js';
+
+// PayPal adapter, built on the v1 Payments API. The payer approves the
+// payment on PayPal and is sent back with a payer ID, which complete()
+// uses to execute it.
+
+const toPaypalAmount = (amount, currency) => {
+  const decimals = getCurrencyDecimals(currency);
+  return {
+    total: (amount / 10 ** decimals).toFixed(decimals),
+    currency
+  };
+};
+
+export const authorize = async (payment, { returnUrl, cancelUrl }) => {
+  const paypalPayment = await paypalRequest('payment', 'create', {
+    intent: payment.captureMethod === 'manual' ? 'authorize' : 'sale',
+    payer: { payment_method: 'paypal' },
+    redirect_urls: {
+      return_url: returnUrl,
+      cancel_url: cancelUrl
+    },
+    transactions: [{
+      amount: toPaypalAmount(payment.amount, payment.currency),
+      description: payment.purpose === 'booking' ? 'MekaCash booking' : 'MekaCash wallet top-up',
+      custom: payment._id.toString()
+    }]
+  });
+
+  const approval = paypalPayment.links.find(link => link.rel === 'approval_url');
+
+  return {
+    providerPaymentId: paypalPayment.id,
+    status: 'requires-action',
+    nextAction: {
+      type: 'redirect',
+      url: approval.href
+    }
+  };
+};
+
+// Execute the payment once the payer has approved it
+export const complete = async (payment, { payerId }) => {
+  const executed = await paypalRequest('payment', 'execute', payment.providerPaymentId, { payer_id: payerId });
+  const [related] = executed.transactions[0].related_resources;
+
+  if (related.authorization) {
+    return {
+      status: 'authorized',
+      providerData: { authorizationId: related.authorization.id }
+    };
+  }
+
+  return {
+    status: related.sale.state === 'completed' ? 'succeeded' : 'pending',
+    providerData: { saleId: related.sale.id }
+  };
+};
+
+export const capture = async (payment, amount) => {
+  const paypalCapture = await paypalRequest('authorization', 'capture', payment.providerData.authorizationId, {
+    amount: toPaypalAmount(amount, payment.currency),
+    is_final_capture: true
+  });
+
+  return {
+    status: paypalCapture.state === 'completed' ? 'succeeded' : 'pending',
+    providerData: { captureId: paypalCapture.id }
+  };
+};
+
+// Void an authorization. A payment the payer has not approved yet cannot
+// be voided; it expires on PayPal's side and is never executed.
+export const cancel = async (payment) => {
+  const authorizationId = payment.providerData?.authorizationId;
+  if (!authorizationId) return { status: 'canceled' };
+
+  const voided = await paypalRequest('authorization', 'void', authorizationId);
+  return { status: voided.state === 'voided' ? 'canceled' : 'pending' };
+};
+
+export const refund = async (payment, amount) => {
+  const { captureId, saleId } = payment.providerData;
+  const data = { amount: toPaypalAmount(amount, payment.currency) };
+
+  const paypalRefund = captureId
+    ? await paypalRequest('capture', 'refund', captureId, data)
+    : await paypalRequest('sale', 'refund', saleId, data);
+
+  return {
+    providerRefundId: paypalRefund.id,
+    status: paypalRefund.state === 'completed' ? 'succeeded' : 'pending'
+  };
+};
+
+// Start saving a PayPal account as a billing agreement on the plan in
+// PAYPAL_BILLING_PLAN_ID. The payer approves it on PayPal and comes back
+// with a token that savePaymentMethod() executes.
+export const setupPaymentMethod = async (user, { returnUrl, cancelUrl }) => {
+  const agreement = await paypalRequest('billingAgreement', 'create', {
+    name: 'MekaCash saved PayPal account',
+    description: 'Pay for MekaCash bookings and top-ups with PayPal',
+    start_date: new Date(Date.now() + 60 * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+    plan: { id: process.env.PAYPAL_BILLING_PLAN_ID },
+    payer: { payment_method: 'paypal' },
+    override_merchant_preferences: {
+      return_url: returnUrl,
+      cancel_url: cancelUrl
+    }
+  });
+
+  const approval = agreement.links.find(link => link.rel === 'approval_url');
+
+  return {
+    nextAction: {
+      type: 'redirect',
+      url: approval.href
+    }
+  };
+};
+
+// Execute an approved billing agreement. Returns null if it is not active.
+export const savePaymentMethod = async (user, token) => {
+  const agreement = await paypalRequest('billingAgreement', 'execute', token, {});
+  if (agreement.state?.toLowerCase() !== 'active') return null;
+
+  return {
+    type: 'paypal',
+    providerMethodId: agreement.id,
+    name: agreement.payer?.payer_info?.email
+  };
+};
+
+export const removePaymentMethod = async (method) => {
+  await paypalRequest('billingAgreement', 'cancel', method.providerMethodId, {
+    note: 'Removed by the account holder'
+  });
+};
+
+const WEBHOOK_EVENTS = {
+  'PAYMENT.AUTHORIZATION.CREATED': 'authorized',
+  'PAYMENT.SALE.COMPLETED': 'succeeded',
+  'PAYMENT.CAPTURE.COMPLETED': 'succeeded',
+  'PAYMENT.SALE.DENIED': 'failed',
+  'PAYMENT.CAPTURE.DENIED': 'failed',
+  'PAYMENT.AUTHORIZATION.VOIDED': 'canceled'
+};
+
+const REFUND_EVENTS = ['PAYMENT.SALE.REFUNDED', 'PAYMENT.CAPTURE.REFUNDED'];
+
+// Verify the event with PayPal and normalize it. Throws if PayPal does not
+// confirm the signature.
+export const verifyWebhook = async (rawBody, headers) => {
+  const event = JSON.parse(rawBody.toString());
+
+  const verification = await new Promise((resolve, reject) => {
+    getPaypal().notification.webhookEvent.verify(headers, event, process.env.PAYPAL_WEBHOOK_ID, (error, result) => {
+      if (error) return reject(error);
+      resolve(result);
+    });
+  });
+
+  if (verification.verification_status !== 'SUCCESS') {
+    throw new Error('PayPal webhook signature verification failed');
+  }
+
+  const resource = event.resource;
+
+  if (REFUND_EVENTS.includes(event.event_type)) {
+    return resource.state === 'completed'
+      ? { refund: { providerRefundId: resource.id, status: 'succeeded' } }
+      : null;
+  }
+
+  const status = WEBHOOK_EVENTS[event.event_type];
+  if (!status) return null;
+
+  return {
+    status,
+    providerPaymentId: resource.parent_payment,
+    currency: resource.amount?.currency,
+    failureReason: status === 'failed' ? resource.reason_code || 'Payment denied by PayPal' : undefined
+  };
+};
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import Razorpay from 'razorpay';
+import { getRazorpay } from '../../config/razorpay.js';
+
+// Razorpay adapter, built on Orders. The payer pays in Razorpay Checkout,
+// which returns a payment ID and signature that complete() verifies.
+
+const mapPaymentStatus = (razorpayPayment) => {
+  switch (razorpayPayment.status) {
+    case 'captured':
+      return 'succeeded';
+    case 'authorized':
+      return 'authorized';
+    case 'failed':
+      return 'failed';
+    default:
+      return 'pending';
+  }
+};
+
+export const authorize = async (payment) => {
+  const order = await getRazorpay().orders.create({
+    amount: payment.amount,
+    currency: payment.currency,
+    receipt: payment._id.toString(),
+    payment_capture: payment.captureMethod === 'automatic' ? 1 : 0,
+    notes: {
+      paymentId: payment._id.toString(),
+      purpose: payment.purpose
+    }
+  });
+
+  return {
+    providerPaymentId: order.id,
+    status: 'requires-action',
+    nextAction: {
+      type: 'razorpay-checkout',
+      keyId: process.env.RAZORPAY_KEY_ID,
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency
+    }
+  };
+};
+
+// Verify the Checkout signature and look up the resulting payment
+export const complete = async (payment, { razorpayPaymentId, razorpaySignature }) => {
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${payment.providerPaymentId}|${razorpayPaymentId}`)
+    .digest('hex');
+
+  const isValid = typeof razorpaySignature === 'string' &&
+    razorpaySignature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(razorpaySignature), Buffer.from(expected));
+
+  if (!isValid) {
+    return { status: 'failed', failureReason: 'Invalid Razorpay payment signature' };
+  }
+
+  const razorpayPayment = await getRazorpay().payments.fetch(razorpayPaymentId);
+
+  return {
+    status: mapPaymentStatus(razorpayPayment),
+    providerData: { paymentId: razorpayPaymentId },
+    failureReason: razorpayPayment.error_description
+  };
+};
+
+export const capture = async (payment, amount) => {
+  const razorpayPayment = await getRazorpay().payments.capture(payment.providerData.paymentId, amount, payment.currency);
+  return { status: mapPaymentStatus(razorpayPayment) };
+};
+
+// Razorpay has no call to cancel an order or void an authorization.
+// Uncaptured payments are released by Razorpay on their own, and one that is
+// captured anyway is refunded when its webhook arrives.
+export const cancel = async () => ({ status: 'canceled' });
+
+export const refund = async (payment, amount) => {
+  const razorpayRefund = await getRazorpay().payments.refund(payment.providerData.paymentId, {
+    amount,
+    notes: { paymentId: payment._id.toString() }
+  });
+
+  return {
+    providerRefundId: razorpayRefund.id,
+    status: razorpayRefund.status === 'processed' ? 'succeeded' : 'pending'
+  };
+};
+
+const WEBHOOK_EVENTS = {
+  'payment.authorized': 'authorized',
+  'payment.captured': 'succeeded',
+  'payment.failed': 'failed'
+};
+
+const REFUND_EVENTS = {
+  'refund.processed': 'succeeded',
+  'refund.failed': 'failed'
+};
+
+// Check the signature over the raw body and normalize the event. Throws on
+// an invalid signature.
+export const verifyWebhook = async (rawBody, headers) => {
+  const body = rawBody.toString();
+  const isValid = Razorpay.validateWebhookSignature(
+    body,
+    headers['x-razorpay-signature'],
+    process.env.RAZORPAY_WEBHOOK_SECRET
+  );
+
+  if (!isValid) {
+    throw new Error('Razorpay webhook signature verification failed');
+  }
+
+  const event = JSON.parse(body);
+
+  if (REFUND_EVENTS[event.event]) {
+    return {
+      refund: {
+        providerRefundId: event.payload.refund.entity.id,
+        status: REFUND_EVENTS[event.event]
+      }
+    };
+  }
+
+  const status = WEBHOOK_EVENTS[event.event];
+  if (!status) return null;
+
+  const entity = event.payload.payment.entity;
+  return {
+    status,
+    providerPaymentId: entity.order_id,
+    providerData: { paymentId: entity.id },
+    amount: status === 'succeeded' ? entity.amount : undefined,
+    currency: entity.currency,
+    failureReason: entity.error_description
+  };
+};
@@ -0,0 +1,188 @@
+import { getStripe } from '../../config/stripe.js';
+
+// Stripe adapter, built on PaymentIntents
+
+const mapIntentStatus = (intent) => {
+  switch (intent.status) {
+    case 'succeeded':
+      return 'succeeded';
+    case 'requires_capture':
+      return 'authorized';
+    case 'canceled':
+      return 'canceled';
+    case 'processing':
+      return 'pending';
+    default:
+      return 'requires-action';
+  }
+};
+
+export const authorize = async (payment) => {
+  const intent = await getStripe().paymentIntents.create({
+    amount: payment.amount,
+    currency: payment.currency.toLowerCase(),
+    capture_method: payment.captureMethod,
+    automatic_payment_methods: { enabled: true },
+    metadata: {
+      paymentId: payment._id.toString(),
+      userId: payment.user.toString(),
+      purpose: payment.purpose
+    }
+  }, {
+    idempotencyKey: `payment:${payment._id}`
+  });
+
+  return {
+    providerPaymentId: intent.id,
+    status: mapIntentStatus(intent),
+    nextAction: {
+      type: 'stripe-client-secret',
+      clientSecret: intent.client_secret,
+      publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+    }
+  };
+};
+
+export const capture = async (payment, amount) => {
+  const intent = await getStripe().paymentIntents.capture(
+    payment.providerPaymentId,
+    { amount_to_capture: amount },
+    { idempotencyKey: `capture:${payment._id}` }
+  );
+
+  return { status: mapIntentStatus(intent) };
+};
+
+// Cancel the PaymentIntent so it can no longer be confirmed or captured
+export const cancel = async (payment) => {
+  const intent = await getStripe().paymentIntents.cancel(
+    payment.providerPaymentId,
+    {},
+    { idempotencyKey: `cancel:${payment._id}` }
+  );
+
+  return { status: mapIntentStatus(intent) };
+};
+
+export const refund = async (payment, amount, paymentRefund) => {
+  const stripeRefund = await getStripe().refunds.create({
+    payment_intent: payment.providerPaymentId,
+    amount,
+    metadata: { paymentId: payment._id.toString(), refundId: paymentRefund._id.toString() }
+  }, {
+    idempotencyKey: `refund:${paymentRefund._id}`
+  });
+
+  return {
+    providerRefundId: stripeRefund.id,
+    status: stripeRefund.status === 'succeeded' ? 'succeeded' : 'pending'
+  };
+};
+
+// Card types Stripe reports for wallet-backed cards
+const CARD_WALLET_TYPES = {
+  apple_pay: 'apple-pay',
+  google_pay: 'google-pay'
+};
+
+// Start saving a card. Stripe.js collects the card against the SetupIntent,
+// so card details never reach our servers; the user's Stripe customer is
+// created on first use.
+export const setupPaymentMethod = async (user) => {
+  const customerId = user.gatewayCustomers?.stripe || (await getStripe().customers.create({
+    email: user.email,
+    name: `${user.firstName} ${user.lastName}`,
+    metadata: { userId: user._id.toString() }
+  }, {
+    idempotencyKey: `customer:${user._id}`
+  })).id;
+
+  const setupIntent = await getStripe().setupIntents.create({
+    customer: customerId,
+    usage: 'off_session',
+    automatic_payment_methods: { enabled: true },
+    metadata: { userId: user._id.toString() }
+  });
+
+  return {
+    customerId,
+    nextAction: {
+      type: 'stripe-client-secret',
+      clientSecret: setupIntent.client_secret,
+      publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+    }
+  };
+};
+
+// Look up a PaymentMethod confirmed by the client and describe it. Returns
+// null if it is not a card or belongs to another customer.
+export const savePaymentMethod = async (user, token) => {
+  const customerId = user.gatewayCustomers?.stripe;
+  if (!customerId) return null;
+
+  let paymentMethod = await getStripe().paymentMethods.retrieve(token);
+  if (paymentMethod.type !== 'card') return null;
+
+  if (!paymentMethod.customer) {
+    paymentMethod = await getStripe().paymentMethods.attach(token, { customer: customerId });
+  } else if (paymentMethod.customer !== customerId) {
+    return null;
+  }
+
+  const { card } = paymentMethod;
+  return {
+    type: CARD_WALLET_TYPES[card.wallet?.type] || 'card',
+    providerMethodId: paymentMethod.id,
+    brand: card.brand,
+    last4: card.last4,
+    expMonth: card.exp_month,
+    expYear: card.exp_year,
+    fingerprint: card.fingerprint
+  };
+};
+
+export const removePaymentMethod = async (method) => {
+  await getStripe().paymentMethods.detach(method.providerMethodId);
+};
+
+const WEBHOOK_EVENTS = {
+  'payment_intent.amount_capturable_updated': 'authorized',
+  'payment_intent.succeeded': 'succeeded',
+  'payment_intent.payment_failed': 'failed',
+  'payment_intent.canceled': 'canceled'
+};
+
+const REFUND_STATUSES = {
+  succeeded: 'succeeded',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+// Check the signature over the raw body and normalize the event. Throws on
+// an invalid signature.
+export const verifyWebhook = async (rawBody, headers) => {
+  const event = getStripe().webhooks.constructEvent(
+    rawBody,
+    headers['stripe-signature'],
+    process.env.STRIPE_WEBHOOK_SECRET
+  );
+
+  if (event.type === 'refund.updated' || event.type === 'charge.refund.updated') {
+    const stripeRefund = event.data.object;
+    const status = REFUND_STATUSES[stripeRefund.status];
+    return status ? { refund: { providerRefundId: stripeRefund.id, status } } : null;
+  }
+
+  const status = WEBHOOK_EVENTS[event.type];
+  if (!status) return null;
+
+  const intent = event.data.object;
+  return {
+    status,
+    providerPaymentId: intent.id,
+    paymentId: intent.metadata?.paymentId,
+    amount: status === 'succeeded' ? intent.amount_received : undefined,
+    currency: intent.currency.toUpperCase(),
+    failureReason: intent.last_payment_error?.message || intent.cancellation_reason
+  };
+};
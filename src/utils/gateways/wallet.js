@@ -0,0 +1,30 @@
+import { getWalletAccount } from '../ledger.js';
+
+// Wallet adapter. No external gateway is involved: the funds move when the
+// payment settles, as a ledger posting from the user's wallet
+// (utils/payments.js), which also guards against overdrawing it.
+
+export const authorize = async (payment) => {
+  const account = await getWalletAccount(payment.user, payment.currency);
+  if (!account || account.balance < payment.amount) {
+    return {
+      providerPaymentId: `WALLET-${payment._id}`,
+      status: 'failed',
+      failureReason: 'Insufficient wallet balance'
+    };
+  }
+
+  return {
+    providerPaymentId: `WALLET-${payment._id}`,
+    status: payment.captureMethod === 'manual' ? 'authorized' : 'succeeded'
+  };
+};
+
+export const capture = async () => ({ status: 'succeeded' });
+
+export const cancel = async () => ({ status: 'canceled' });
+
+export const refund = async (payment, amount, paymentRefund) => ({
+  providerRefundId: `WALLET-REFUND-${paymentRefund._id}`,
+  status: 'succeeded'
+});
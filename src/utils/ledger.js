@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import LedgerAccount from '../models/LedgerAccount.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Transaction from '../models/Transaction.js';
+import User from '../models/User.js';
+import { deleteCache } from '../config/redis.js';
+import { getCurrencyDecimals } from '../config/currencies.js';
+
+// Double-entry wallet ledger. Money only moves by posting a transaction that
+// balances in every currency it touches (total debits == total credits)
+// inside a MongoDB transaction; account balances and User.wallet are caches
+// updated by postings. Amounts passed to postTransaction are in minor units.
+//
+// Every account holds a single currency. Callers refer to accounts by their
+// base code (e.g. `wallet:<userId>`) and the posting or line currency picks
+// the account actually stored as `<base code>:<currency>`.
+
+export class LedgerError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'LedgerError';
+    this.code = code;
+  }
+}
+
+export const PLATFORM_ACCOUNTS = {
+  revenue: 'platform:revenue',
+  refunds: 'platform:refunds',
+  clearing: 'platform:payments-clearing',
+  adjustments: 'platform:adjustments',
+  fx: 'platform:fx'
+};
+
+const PLATFORM_ACCOUNT_TYPES = {
+  [PLATFORM_ACCOUNTS.revenue]: 'platform-revenue',
+  [PLATFORM_ACCOUNTS.refunds]: 'refunds',
+  [PLATFORM_ACCOUNTS.clearing]: 'clearing',
+  [PLATFORM_ACCOUNTS.adjustments]: 'adjustments',
+  [PLATFORM_ACCOUNTS.fx]: 'fx'
+};
+
+export const walletAccountCode = (userId) => `wallet:${userId}`;
+
+export const providerPayableAccountCode = (userId) => `provider-payable:${userId}`;
+
+export const toMinorUnits = (amount, currency) => {
+  return Math.round(Number(amount) * 10 ** getCurrencyDecimals(currency));
+};
+
+export const fromMinorUnits = (amount, currency) => amount / 10 ** getCurrencyDecimals(currency);
+
+const currencyAccountCode = (code, currency) => `${code}:${currency}`;
+
+// Work out the type and owner of an account from its base code
+const describeAccount = (code) => {
+  const [prefix, ownerId] = code.split(':');
+
+  if (prefix === 'wallet') {
+    return { type: 'user-wallet', owner: ownerId, allowNegative: false };
+  }
+  if (prefix === 'provider-payable') {
+    return { type: 'provider-payable', owner: ownerId, allowNegative: false };
+  }
+  if (PLATFORM_ACCOUNT_TYPES[code]) {
+    return { type: PLATFORM_ACCOUNT_TYPES[code], allowNegative: true };
+  }
+
+  throw new LedgerError(`Unknown ledger account '${code}'`, 'UNKNOWN_ACCOUNT');
+};
+
+// Run work inside a MongoDB transaction, retrying transient conflicts
+export const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Find or open an account in a currency. A wallet opened in the user's
+// primary currency carries over any balance from before the ledger existed
+// as an opening entry.
+const ensureAccount = async (baseCode, currency, session) => {
+  const { type, owner, allowNegative } = describeAccount(baseCode);
+  const code = currencyAccountCode(baseCode, currency);
+
+  const result = await LedgerAccount.findOneAndUpdate(
+    { code },
+    { $setOnInsert: { code, type, owner, currency, allowNegative } },
+    { upsert: true, new: true, session, includeResultMetadata: true }
+  );
+  const account = result.value;
+
+  if (!result.lastErrorObject?.updatedExisting && type === 'user-wallet') {
+    const user = await User.findById(owner).select('wallet').session(session);
+    const hasLegacyBalance = user?.wallet?.currency === currency && !user.wallet.balances?.has(currency);
+    const openingBalance = hasLegacyBalance ? toMinorUnits(user.wallet.balance || 0, currency) : 0;
+
+    if (openingBalance > 0) {
+      await applyPosting(session, {
+        type: 'opening-balance',
+        description: 'Balance carried over from the previous wallet',
+        currency,
+        lines: [
+          { account: PLATFORM_ACCOUNTS.adjustments, debit: openingBalance },
+          { account: baseCode, credit: openingBalance }
+        ]
+      });
+    }
+  }
+
+  return account;
+};
+
+const validateLines = (lines) => {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new LedgerError('A transaction needs at least two lines', 'INVALID_LINES');
+  }
+
+  // Debits and credits must balance separately in each currency
+  const totals = {};
+
+  for (const { debit = 0, credit = 0, currency } of lines) {
+    if (!Number.isInteger(debit) || !Number.isInteger(credit) || debit < 0 || credit < 0 ||
+        (debit > 0) === (credit > 0)) {
+      throw new LedgerError('Each line must have either a positive debit or a positive credit in minor units', 'INVALID_LINES');
+    }
+    totals[currency] = totals[currency] || { debits: 0, credits: 0 };
+    totals[currency].debits += debit;
+    totals[currency].credits += credit;
+  }
+
+  for (const [currency, { debits, credits }] of Object.entries(totals)) {
+    if (debits !== credits) {
+      throw new LedgerError(`Unbalanced transaction in ${currency}: debits ${debits} != credits ${credits}`, 'UNBALANCED');
+    }
+  }
+};
+
+// Post a transaction within an existing session. Lines default to the
+// posting currency; a line may name its own, e.g. for currency conversions.
+const applyPosting = async (session, posting) => {
+  const { currency = 'USD', ...details } = posting;
+  const lines = (posting.lines || []).map(line => ({ ...line, currency: line.currency || currency }));
+  validateLines(lines);
+
+  const accounts = [];
+  for (const line of lines) {
+    accounts.push(await ensureAccount(line.account, line.currency, session));
+  }
+
+  const [transaction] = await Transaction.create([{
+    ...details,
+    currency,
+    lines: lines.map((line, i) => ({
+      account: accounts[i]._id,
+      accountCode: accounts[i].code,
+      currency: line.currency,
+      debit: line.debit || 0,
+      credit: line.credit || 0
+    }))
+  }], { session });
+
+  const entries = [];
+  for (const [i, line] of lines.entries()) {
+    const change = (line.credit || 0) - (line.debit || 0);
+
+    // The balance guard and the update are one atomic operation, so
+    // concurrent debits can never take an account below zero. A line may
+    // opt out for debts recovered later, e.g. clawed-back earnings.
+    const filter = { _id: accounts[i]._id };
+    if (change < 0 && !accounts[i].allowNegative && !line.allowNegative) {
+      filter.balance = { $gte: -change };
+    }
+
+    const account = await LedgerAccount.findOneAndUpdate(
+      filter,
+      { $inc: { balance: change } },
+      { new: true, session }
+    );
+
+    if (!account) {
+      throw new LedgerError('Insufficient funds', 'INSUFFICIENT_FUNDS');
+    }
+
+    entries.push({
+      transaction: transaction._id,
+      account: account._id,
+      amount: change,
+      balanceAfter: account.balance,
+      currency: line.currency,
+      type: transaction.type,
+      description: transaction.description
+    });
+
+    if (account.type === 'user-wallet') {
+      const balance = fromMinorUnits(account.balance, account.currency);
+      await User.updateOne(
+        { _id: account.owner },
+        { $set: { [`wallet.balances.${account.currency}`]: balance } },
+        { session }
+      );
+      // The single balance field mirrors the primary currency
+      await User.updateOne(
+        { _id: account.owner, 'wallet.currency': account.currency },
+        { $set: { 'wallet.balance': balance } },
+        { session }
+      );
+    }
+  }
+
+  await LedgerEntry.insertMany(entries, { session });
+
+  return transaction;
+};
+
+// Drop cached users whose wallet a transaction touched
+const clearWalletCaches = async (transaction) => {
+  for (const { accountCode } of transaction.lines) {
+    if (accountCode.startsWith('wallet:')) {
+      await deleteCache(`user:${accountCode.split(':')[1]}`);
+    }
+  }
+};
+
+// Post a balanced transaction. Pass `session` to include it in a larger
+// MongoDB transaction. Re-posting with an idempotency key that was already
+// used returns the original transaction instead of moving money twice.
+export const postTransaction = async (posting, { session } = {}) => {
+  try {
+    const transaction = session
+      ? await applyPosting(session, posting)
+      : await runInTransaction(mongoSession => applyPosting(mongoSession, posting));
+
+    await clearWalletCaches(transaction);
+    return transaction;
+  } catch (error) {
+    if (error.code === 11000 && posting.idempotencyKey && !session) {
+      const existing = await Transaction.findOne({ idempotencyKey: posting.idempotencyKey });
+      if (existing) return existing;
+    }
+    throw error;
+  }
+};
+
+// Get a user's wallet account in a currency, if one has been opened
+export const getWalletAccount = (userId, currency) => {
+  return LedgerAccount.findOne({ code: currencyAccountCode(walletAccountCode(userId), currency) });
+};
+
+// Get all of a user's wallet accounts, one per currency
+export const getWalletAccounts = (userId) => {
+  return LedgerAccount.find({ owner: userId, type: 'user-wallet' }).sort({ currency: 1 });
+};
@@ -0,0 +1,195 @@
+import cron from 'node-cron';
+import User, { isPaymentMethodExpired } from '../models/User.js';
+import { deleteCache } from '../config/redis.js';
+import { getGateway } from './gateways/index.js';
+import { PaymentError } from './payments.js';
+import { sendEmail } from './email.js';
+import { logger } from './logger.js';
+
+// Saved payment methods. The gateway holds the card or PayPal account; we
+// keep its token plus what is needed to show the method to the user.
+
+// Gateways payment methods can be saved with
+export const PAYMENT_METHOD_PROVIDERS = ['stripe', 'paypal'];
+
+// Days before a card expires that its owner is reminded
+const getExpiryReminderDays = () => parseInt(process.env.CARD_EXPIRY_REMINDER_DAYS, 10) || 30;
+
+// Helper function to shape a saved method for API responses
+export const formatPaymentMethod = (method) => ({
+  id: method._id,
+  type: method.type,
+  provider: method.provider,
+  name: method.name,
+  brand: method.brand,
+  last4: method.last4,
+  expMonth: method.expMonth,
+  expYear: method.expYear,
+  isExpired: isPaymentMethodExpired(method),
+  isDefault: method.isDefault,
+  createdAt: method.createdAt
+});
+
+// Start saving a method with a gateway. Returns what the client needs to
+// collect the card or approve the agreement.
+export const startPaymentMethodSetup = async (user, provider, options) => {
+  let result;
+  try {
+    result = await getGateway(provider).setupPaymentMethod(user, options);
+  } catch (error) {
+    logger.error(`${provider} payment method setup error:`, error);
+    throw new PaymentError('Payment provider is unavailable. Please try again.', 'GATEWAY_ERROR', 502);
+  }
+
+  if (result.customerId && result.customerId !== user.gatewayCustomers?.[provider]) {
+    await User.updateOne({ _id: user._id }, { [`gatewayCustomers.${provider}`]: result.customerId });
+    await deleteCache(`user:${user._id}`);
+  }
+
+  return result.nextAction;
+};
+
+// Save the method a completed setup produced
+export const addPaymentMethod = async (userId, provider, token) => {
+  const user = await User.findById(userId);
+
+  let details;
+  try {
+    details = await getGateway(provider).savePaymentMethod(user, token);
+  } catch (error) {
+    logger.error(`${provider} save payment method error:`, error);
+    throw new PaymentError('The payment method could not be verified with the provider', 'GATEWAY_ERROR', 502);
+  }
+
+  if (!details) {
+    throw new PaymentError('This payment method cannot be saved to your account', 'INVALID_TOKEN');
+  }
+
+  const existing = user.paymentMethods.find(method =>
+    method.provider === provider && method.providerMethodId === details.providerMethodId
+  );
+  if (existing?.isActive) return existing;
+
+  if (existing) {
+    existing.set({ ...details, isActive: true });
+  } else {
+    user.paymentMethods.push({ ...details, provider });
+  }
+  await user.save();
+  await deleteCache(`user:${user._id}`);
+
+  return user.paymentMethods.find(method => method.providerMethodId === details.providerMethodId);
+};
+
+// Make a saved method the default
+export const setDefaultPaymentMethod = async (userId, methodId) => {
+  const user = await User.findById(userId);
+  const method = user.paymentMethods.id(methodId);
+
+  if (!method || !method.isActive) {
+    throw new PaymentError('Payment method not found', 'NOT_FOUND', 404);
+  }
+  if (isPaymentMethodExpired(method)) {
+    throw new PaymentError('An expired card cannot be the default payment method', 'EXPIRED');
+  }
+
+  for (const other of user.paymentMethods) {
+    other.isDefault = other._id.equals(method._id);
+  }
+  await user.save();
+  await deleteCache(`user:${user._id}`);
+
+  return user.paymentMethods;
+};
+
+// Remove a saved method and revoke its token at the gateway. If it was the
+// default, the newest remaining usable method takes over.
+export const removePaymentMethod = async (userId, methodId) => {
+  const user = await User.findById(userId);
+  const method = user.paymentMethods.id(methodId);
+
+  if (!method || !method.isActive) {
+    throw new PaymentError('Payment method not found', 'NOT_FOUND', 404);
+  }
+
+  // The token is useless without our gateway credentials, so a failed
+  // revocation does not keep the method on the account
+  const gateway = method.provider && getGateway(method.provider);
+  if (gateway?.removePaymentMethod && method.providerMethodId) {
+    try {
+      await gateway.removePaymentMethod(method);
+    } catch (error) {
+      logger.error(`${method.provider} remove payment method error:`, error);
+    }
+  }
+
+  user.paymentMethods.pull(method._id);
+  await user.save();
+  await deleteCache(`user:${user._id}`);
+
+  return user.paymentMethods;
+};
+
+// Email users whose saved cards expire within the reminder window, once per card
+export const sendCardExpiryReminders = async () => {
+  try {
+    const threshold = new Date(Date.now() + getExpiryReminderDays() * 24 * 60 * 60 * 1000);
+    const year = threshold.getFullYear();
+    const month = threshold.getMonth() + 1;
+
+    const users = await User.find({
+      isActive: true,
+      paymentMethods: {
+        $elemMatch: {
+          isActive: true,
+          expiryReminderSentAt: { $exists: false },
+          $or: [{ expYear: { $lt: year } }, { expYear: year, expMonth: { $lt: month } }]
+        }
+      }
+    });
+
+    for (const user of users) {
+      try {
+        const expiring = user.paymentMethods.filter(method =>
+          method.isActive && !method.expiryReminderSentAt &&
+          isPaymentMethodExpired(method, threshold) && !isPaymentMethodExpired(method)
+        );
+
+        if (expiring.length > 0 && user.email) {
+          await sendEmail({
+            to: user.email,
+            subject: 'Your saved card is about to expire',
+            template: 'payment-method-expiring',
+            data: {
+              name: user.firstName,
+              cards: expiring.map(method => ({
+                brand: method.brand,
+                last4: method.last4,
+                expiry: `${String(method.expMonth).padStart(2, '0')}/${method.expYear}`
+              })),
+              manageUrl: `${process.env.FRONTEND_URL}/settings/payment-methods`
+            }
+          });
+        }
+
+        // Cards that already expired are marked too, so they are not picked up again
+        for (const method of user.paymentMethods) {
+          if (method.isActive && !method.expiryReminderSentAt && isPaymentMethodExpired(method, threshold)) {
+            method.expiryReminderSentAt = new Date();
+          }
+        }
+        await user.save();
+        await deleteCache(`user:${user._id}`);
+      } catch (error) {
+        logger.error(`Card expiry reminder for user ${user._id} failed:`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('Card expiry reminder job error:', error);
+  }
+};
+
+// Schedule the daily card expiry reminders
+export const startPaymentMethodWorker = () => {
+  cron.schedule('0 9 * * *', sendCardExpiryReminders);
+};
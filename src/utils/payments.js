@@ -0,0 +1,615 @@
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Booking, { PAYABLE_BOOKING_STATUSES } from '../models/Booking.js';
+import { selectProvider } from '../config/paymentRouting.js';
+import { getGateway } from './gateways/index.js';
+import {
+  postTransaction,
+  runInTransaction,
+  walletAccountCode,
+  fromMinorUnits,
+  PLATFORM_ACCOUNTS,
+  LedgerError
+} from './ledger.js';
+import { redeemReferralCredit, releaseReferralCredit, releaseRefundedReferralCredit } from './referrals.js';
+import { clawBackEarnings } from './payouts.js';
+import { logger, logPayment } from './logger.js';
+
+// Provider-independent payment flow. Gateways only report statuses; this
+// module decides which transitions are allowed, settles succeeded payments
+// in the ledger and keeps the booking's payment summary in step.
+
+export class PaymentError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Statuses a payment may move into, and from which
+const ALLOWED_TRANSITIONS = {
+  'requires-action': ['pending'],
+  authorized: ['pending', 'requires-action'],
+  succeeded: ['pending', 'requires-action', 'authorized'],
+  failed: ['pending', 'requires-action', 'authorized'],
+  canceled: ['pending', 'requires-action', 'authorized']
+};
+
+// How a payment status is summarised on Booking.payment.status
+const BOOKING_PAYMENT_STATUS = {
+  succeeded: 'paid',
+  failed: 'failed',
+  canceled: 'failed',
+  refunded: 'refunded',
+  'partially-refunded': 'partially-refunded'
+};
+
+// Account the money comes from: the user's wallet, or gateway funds held
+// in clearing until they are paid out to us
+const sourceAccount = (payment) => {
+  return payment.provider === 'wallet' ? walletAccountCode(payment.user) : PLATFORM_ACCOUNTS.clearing;
+};
+
+// Ledger lines that settle a payment once it has succeeded
+const settlementPosting = (payment) => {
+  if (payment.purpose === 'wallet-top-up') {
+    return {
+      type: 'top-up',
+      description: 'Wallet top-up',
+      lines: [
+        { account: PLATFORM_ACCOUNTS.clearing, debit: payment.amount },
+        { account: walletAccountCode(payment.user), credit: payment.amount }
+      ]
+    };
+  }
+
+  return {
+    type: 'booking-payment',
+    description: 'Booking payment',
+    lines: [
+      { account: sourceAccount(payment), debit: payment.amount },
+      { account: PLATFORM_ACCOUNTS.revenue, credit: payment.amount }
+    ]
+  };
+};
+
+// Mirror the payment onto its booking, if it has one
+const syncBooking = async (payment) => {
+  if (!payment.booking) return;
+  // A payment completed after it gave up the slot is refunded on its own
+  if (!payment.holdsBookingSlot && !['failed', 'canceled'].includes(payment.status)) return;
+
+  const update = {
+    'payment.status': BOOKING_PAYMENT_STATUS[payment.status] || 'pending',
+    'payment.transactionId': payment.providerPaymentId
+  };
+  if (payment.status === 'succeeded') {
+    update['payment.paymentDate'] = payment.completedAt;
+  }
+  if (payment.refundedAmount > 0) {
+    update['payment.refundAmount'] = fromMinorUnits(payment.refundedAmount, payment.currency);
+    update['payment.refundDate'] = new Date();
+  }
+
+  await Booking.updateOne({ _id: payment.booking }, update);
+};
+
+// Post a claimed payment's settlement in the ledger, within its transaction
+const postSettlement = async (claimed, session) => {
+  const transaction = await postTransaction({
+    ...settlementPosting(claimed),
+    currency: claimed.currency,
+    idempotencyKey: `payment:${claimed._id}`,
+    reference: {
+      booking: claimed.booking,
+      externalId: claimed.providerPaymentId
+    },
+    createdBy: claimed.user,
+    metadata: { paymentId: claimed._id, provider: claimed.provider }
+  }, { session });
+
+  claimed.transaction = transaction._id;
+  await claimed.save({ session });
+  return claimed;
+};
+
+// Whether a payment that failed or was canceled can still be kept when the
+// gateway completes it after all. A booking payment can only if the booking
+// is still payable and nothing else has paid for it, and never once its
+// referral credit was handed back.
+const canKeepLatePayment = async (payment) => {
+  if (payment.status !== 'failed') return false;
+  if (!payment.booking) return true;
+  if (payment.referralCredit?.baseAmount) return false;
+
+  const booking = await Booking.findById(payment.booking).select('status.current');
+  return Boolean(booking) && PAYABLE_BOOKING_STATUSES.includes(booking.status.current);
+};
+
+// Claim a failed or canceled payment as succeeded and settle it
+const claimLatePayment = (payment, update) => runInTransaction(async (session) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: payment.status },
+    update,
+    { new: true, session }
+  );
+  return claimed && postSettlement(claimed, session);
+});
+
+// Record a payment the gateway reports as succeeded after we gave up on
+// it: one marked failed on an ambiguous gateway error, or a PaymentIntent
+// the customer confirmed after their booking was cancelled. The money has
+// arrived, so it is settled in the ledger. If it cannot take back its
+// booking's payment slot (the partial unique index refuses it while another
+// payment holds the slot), it is refunded in full.
+const settleLatePayment = async (payment, { providerData } = {}) => {
+  const update = { status: 'succeeded', completedAt: new Date() };
+  for (const [key, value] of Object.entries(providerData || {})) {
+    update[`providerData.${key}`] = value;
+  }
+
+  let settled = null;
+  if (await canKeepLatePayment(payment)) {
+    try {
+      settled = await claimLatePayment(payment, { ...update, holdsBookingSlot: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  settled = settled || await claimLatePayment(payment, { ...update, holdsBookingSlot: false });
+  if (!settled) return null;
+
+  logPayment(settled._id, fromMinorUnits(settled.amount, settled.currency), settled.currency, `succeeded after ${payment.status}`, settled.provider);
+  if (settled.holdsBookingSlot) {
+    await syncBooking(settled);
+    return settled;
+  }
+
+  logger.warn(`${settled.provider} payment ${settled._id} succeeded after it was ${payment.status}; refunding it`);
+  try {
+    return await refundPayment(settled, settled.amount, { reason: `Payment completed after it was ${payment.status}` });
+  } catch (error) {
+    logger.error(`Refunding payment ${settled._id} completed after it was ${payment.status} failed:`, error);
+    return settled;
+  }
+};
+
+// Move the payment into a new status reported by its gateway. Succeeded
+// payments are settled in the ledger in the same MongoDB transaction, so a
+// repeated report (e.g. a redelivered webhook) never moves money twice.
+// Returns the updated payment, or null if the transition is not allowed.
+export const applyPaymentStatus = async (payment, status, { failureReason, providerData } = {}) => {
+  if (status === 'succeeded' && ['failed', 'canceled'].includes(payment.status)) {
+    return settleLatePayment(payment, { providerData });
+  }
+
+  const from = ALLOWED_TRANSITIONS[status];
+  if (!from) return null;
+
+  const update = { status };
+  if (failureReason && ['failed', 'canceled'].includes(status)) update.failureReason = failureReason;
+  if (status === 'authorized') update.authorizedAt = new Date();
+  if (['succeeded', 'failed', 'canceled'].includes(status)) update.completedAt = new Date();
+  // Lets the booking be paid again
+  if (['failed', 'canceled'].includes(status)) update.holdsBookingSlot = false;
+  for (const [key, value] of Object.entries(providerData || {})) {
+    update[`providerData.${key}`] = value;
+  }
+
+  let updated;
+  try {
+    updated = await runInTransaction(async (session) => {
+      const claimed = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: from } },
+        update,
+        { new: true, session }
+      );
+      if (!claimed || status !== 'succeeded') return claimed;
+
+      return postSettlement(claimed, session);
+    });
+  } catch (error) {
+    // A wallet can be spent between authorization and settlement
+    if (error instanceof LedgerError && error.code === 'INSUFFICIENT_FUNDS') {
+      return applyPaymentStatus(payment, 'failed', { failureReason: 'Insufficient wallet balance' });
+    }
+    throw error;
+  }
+
+  if (!updated) return null;
+
+  if (['failed', 'canceled'].includes(status) && updated.referralCredit?.baseAmount) {
+    await releaseReferralCredit(updated);
+  }
+
+  await syncBooking(updated);
+  logPayment(updated._id, fromMinorUnits(updated.amount, updated.currency), updated.currency, status, updated.provider);
+  return updated;
+};
+
+// Create a payment, route it to a gateway and start the authorization.
+// `referralCredit` (from quoteReferralCredit) is taken off the amount
+// charged and redeemed before the gateway is involved.
+// Returns the payment and the step the payer must take next, if any.
+export const createPayment = async ({
+  user,
+  purpose,
+  method,
+  amount,
+  currency,
+  booking,
+  market,
+  captureMethod = 'automatic',
+  referralCredit,
+  returnUrl,
+  cancelUrl
+}) => {
+  const provider = selectProvider(method, { market, currency });
+  if (!provider) {
+    throw new PaymentError(`Payment by ${method} is not available online`, 'METHOD_UNAVAILABLE');
+  }
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      user,
+      purpose,
+      booking,
+      method,
+      provider,
+      captureMethod,
+      amount: referralCredit ? amount - referralCredit.amount : amount,
+      currency,
+      referralCredit
+    });
+  } catch (error) {
+    // Another payment for the booking is open (Payment's partial unique index)
+    if (error.code === 11000 && booking) {
+      throw new PaymentError('This booking already has a payment in progress or completed', 'PAYMENT_EXISTS', 409);
+    }
+    throw error;
+  }
+
+  if (referralCredit) {
+    try {
+      await redeemReferralCredit(user, referralCredit.baseAmount, payment._id);
+    } catch (error) {
+      await Payment.deleteOne({ _id: payment._id });
+      throw error;
+    }
+  }
+
+  let result;
+  try {
+    result = await getGateway(provider).authorize(payment, { returnUrl, cancelUrl });
+  } catch (error) {
+    logger.error(`${provider} authorization error:`, error);
+    await applyPaymentStatus(payment, 'failed', { failureReason: error.message });
+    throw new PaymentError('Payment provider is unavailable. Please try again.', 'GATEWAY_ERROR', 502);
+  }
+
+  payment.providerPaymentId = result.providerPaymentId;
+  await payment.save();
+
+  const updated = result.status === 'pending'
+    ? payment
+    : await applyPaymentStatus(payment, result.status, { failureReason: result.failureReason });
+
+  return {
+    payment: updated || payment,
+    nextAction: result.nextAction
+  };
+};
+
+// Cancel a payment that has not settled. It is voided at the gateway first
+// so the payer can no longer complete it there. If the gateway cannot void
+// it, it is canceled here anyway and refunded should it still go through.
+export const cancelPayment = async (payment, reason) => {
+  const gateway = getGateway(payment.provider);
+  if (payment.providerPaymentId && gateway.cancel) {
+    try {
+      await gateway.cancel(payment);
+    } catch (error) {
+      logger.error(`${payment.provider} cancel error for payment ${payment._id}:`, error);
+    }
+  }
+
+  return applyPaymentStatus(payment, 'canceled', { failureReason: reason });
+};
+
+// Finish a redirect or checkout flow with what the payer's client returned
+export const completePayment = async (payment, params) => {
+  const gateway = getGateway(payment.provider);
+  if (!gateway.complete) {
+    throw new PaymentError('This payment needs no further steps', 'NOT_SUPPORTED');
+  }
+  if (payment.status !== 'requires-action') {
+    throw new PaymentError('Payment is not awaiting the payer', 'INVALID_STATE', 409);
+  }
+
+  const result = await gateway.complete(payment, params);
+  const updated = await applyPaymentStatus(payment, result.status, result);
+  return updated || Payment.findById(payment._id);
+};
+
+// Capture an authorized payment, in full or for a lower amount
+export const capturePayment = async (payment, amount = payment.amount) => {
+  if (payment.status !== 'authorized') {
+    throw new PaymentError('Only authorized payments can be captured', 'INVALID_STATE', 409);
+  }
+  if (amount > payment.amount) {
+    throw new PaymentError('Cannot capture more than was authorized', 'INVALID_AMOUNT');
+  }
+
+  const result = await getGateway(payment.provider).capture(payment, amount);
+
+  if (amount < payment.amount) {
+    await Payment.updateOne({ _id: payment._id }, { amount });
+    payment.amount = amount;
+  }
+
+  const updated = await applyPaymentStatus(payment, result.status, result);
+  return updated || Payment.findById(payment._id);
+};
+
+// Ledger lines that move a refund back to the payer. Booking refunds go to
+// the original source unless sent to the wallet instead.
+const refundLines = (payment, amount, destination) => {
+  if (payment.purpose === 'wallet-top-up') {
+    return [
+      { account: walletAccountCode(payment.user), debit: amount },
+      { account: PLATFORM_ACCOUNTS.clearing, credit: amount }
+    ];
+  }
+
+  return [
+    { account: PLATFORM_ACCOUNTS.refunds, debit: amount },
+    { account: destination === 'wallet' ? walletAccountCode(payment.user) : sourceAccount(payment), credit: amount }
+  ];
+};
+
+// Ledger entry that undoes a refund which did not go through
+const postRefundReversal = (payment, refund, idempotencyKey, session) => {
+  const lines = refundLines(payment, refund.amount, refund.destination).map(({ account, debit, credit }) => ({
+    account,
+    debit: credit,
+    credit: debit
+  }));
+
+  return postTransaction({
+    type: 'refund',
+    description: 'Failed refund reversed',
+    currency: payment.currency,
+    lines,
+    idempotencyKey,
+    reference: { booking: payment.booking, externalId: refund.providerRefundId },
+    reversalOf: refund.transaction,
+    metadata: { paymentId: payment._id }
+  }, { session });
+};
+
+// Mark a pending refund failed, reverse it in the ledger and make its
+// amount refundable again
+const reverseRefund = (payment, refund, idempotencyKey) => runInTransaction(async (session) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, refunds: { $elemMatch: { _id: refund._id, status: 'pending' } } },
+    { $set: { 'refunds.$.status': 'failed' }, $inc: { refundedAmount: -refund.amount } },
+    { new: true, session }
+  );
+  if (!claimed) {
+    throw new PaymentError('Refund was updated concurrently', 'CONFLICT', 409);
+  }
+
+  await postRefundReversal(claimed, refund, idempotencyKey, session);
+
+  claimed.status = claimed.refundedAmount > 0 ? 'partially-refunded' : 'succeeded';
+  await claimed.save({ session });
+  return claimed;
+});
+
+// Follow-up for a refund the gateway has confirmed. The refund itself
+// stands, so a failure here is logged for ops rather than thrown.
+const settleRefund = async (payment, refund) => {
+  // A payment that no longer held its booking's slot never paid for it
+  if (!payment.holdsBookingSlot) return;
+
+  try {
+    await clawBackEarnings(payment, refund);
+  } catch (error) {
+    logger.error(`Taking back earnings for refund ${refund._id} of payment ${payment._id} failed:`, error);
+  }
+
+  try {
+    await releaseRefundedReferralCredit(payment);
+  } catch (error) {
+    logger.error(`Releasing referral credit for refund ${refund._id} of payment ${payment._id} failed:`, error);
+  }
+};
+
+// Refund part or all of a settled payment. The amount is claimed on the
+// payment and the money going back is posted in the ledger before the
+// gateway is asked to pay it out, so concurrent refunds cannot both go out
+// and a spent top-up is refused before any money moves. If the gateway
+// call fails the claim is reversed. `destination` is 'original' (through
+// the gateway) or 'wallet' (credited to the payer's wallet straight away,
+// bookings only).
+export const refundPayment = async (payment, amount, { reason, createdBy, destination = 'original' } = {}) => {
+  if (!['succeeded', 'partially-refunded'].includes(payment.status)) {
+    throw new PaymentError('Only settled payments can be refunded', 'INVALID_STATE', 409);
+  }
+
+  const refundable = payment.amount - payment.refundedAmount;
+  if (amount > refundable) {
+    throw new PaymentError(
+      `At most ${fromMinorUnits(refundable, payment.currency)} ${payment.currency} can still be refunded`,
+      'INVALID_AMOUNT'
+    );
+  }
+
+  if (destination === 'wallet' && payment.purpose !== 'booking') {
+    throw new PaymentError('Only booking payments can be refunded to the wallet', 'INVALID_DESTINATION');
+  }
+
+  const refundId = new mongoose.Types.ObjectId();
+
+  let claimed;
+  try {
+    claimed = await runInTransaction(async (session) => {
+      const transaction = await postTransaction({
+        type: 'refund',
+        description: reason || 'Refund',
+        currency: payment.currency,
+        lines: refundLines(payment, amount, destination),
+        idempotencyKey: `refund:${payment._id}:${refundId}`,
+        reference: { booking: payment.booking },
+        createdBy,
+        metadata: { paymentId: payment._id, refundId }
+      }, { session });
+
+      const refundedAmount = payment.refundedAmount + amount;
+      const updated = await Payment.findOneAndUpdate(
+        {
+          _id: payment._id,
+          status: { $in: ['succeeded', 'partially-refunded'] },
+          refundedAmount: payment.refundedAmount
+        },
+        {
+          status: refundedAmount >= payment.amount ? 'refunded' : 'partially-refunded',
+          refundedAmount,
+          $push: {
+            refunds: {
+              _id: refundId,
+              amount,
+              reason,
+              destination,
+              status: 'pending',
+              transaction: transaction._id,
+              createdBy
+            }
+          }
+        },
+        { new: true, session }
+      );
+
+      if (!updated) {
+        throw new PaymentError('Payment was refunded concurrently. Please retry.', 'CONFLICT', 409);
+      }
+      return updated;
+    });
+  } catch (error) {
+    // A refunded top-up leaves the wallet again, so it must still be there
+    if (error instanceof LedgerError && error.code === 'INSUFFICIENT_FUNDS') {
+      throw new PaymentError('The topped-up funds have already been spent', 'INSUFFICIENT_FUNDS');
+    }
+    throw error;
+  }
+
+  const refund = claimed.refunds.id(refundId);
+  const provider = destination === 'wallet' ? 'wallet' : payment.provider;
+
+  let result;
+  try {
+    result = await getGateway(provider).refund(claimed, amount, refund);
+  } catch (error) {
+    logger.error(`${provider} refund error:`, error);
+    await reverseRefund(claimed, refund, `refund-reversed:${refundId}`);
+    throw new PaymentError('Payment provider is unavailable. Please try again.', 'GATEWAY_ERROR', 502);
+  }
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, refunds: { $elemMatch: { _id: refundId, status: 'pending' } } },
+    {
+      $set: {
+        'refunds.$.providerRefundId': result.providerRefundId,
+        'refunds.$.status': result.status
+      }
+    },
+    { new: true }
+  ) || await Payment.findById(payment._id);
+
+  if (result.status === 'succeeded') {
+    await settleRefund(updated, refund);
+  }
+
+  await syncBooking(updated);
+  logPayment(updated._id, fromMinorUnits(amount, updated.currency), updated.currency, 'refunded', updated.provider);
+  return updated;
+};
+
+// Record the outcome of a refund the gateway processed asynchronously. A
+// failed refund is reversed in the ledger so the money is owed again.
+export const applyRefundStatus = async (payment, { providerRefundId, status }) => {
+  const refund = payment.refunds.find(entry => entry.providerRefundId === providerRefundId);
+  if (!refund || refund.status !== 'pending') return null;
+
+  let updated;
+  if (status === 'failed') {
+    updated = await reverseRefund(payment, refund, `refund-failed:${providerRefundId}`);
+  } else {
+    updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, refunds: { $elemMatch: { _id: refund._id, status: 'pending' } } },
+      { $set: { 'refunds.$.status': status } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new PaymentError('Refund was updated concurrently', 'CONFLICT', 409);
+    }
+    await settleRefund(updated, refund);
+  }
+
+  if (updated.booking && updated.holdsBookingSlot) {
+    await Booking.updateOne(
+      { _id: updated.booking, 'cancellation.refundStatus': 'processed' },
+      { 'cancellation.refundStatus': status === 'succeeded' ? 'completed' : 'failed' }
+    );
+  }
+  await syncBooking(updated);
+  logPayment(updated._id, fromMinorUnits(refund.amount, updated.currency), updated.currency, `refund ${status}`, updated.provider);
+  return updated;
+};
+
+// Find the payment a webhook is about when its gateway ID was never stored,
+// because authorize() failed after the gateway had created the payment. The
+// gateway echoes our payment ID back (`paymentId`) where it can.
+const linkPaymentFromEvent = async (provider, event) => {
+  if (!mongoose.isValidObjectId(event.paymentId)) return null;
+
+  return Payment.findOneAndUpdate(
+    { _id: event.paymentId, provider, providerPaymentId: { $exists: false } },
+    { providerPaymentId: event.providerPaymentId },
+    { new: true }
+  );
+};
+
+// Apply a verified, normalized webhook event from a gateway
+export const handleGatewayEvent = async (provider, event) => {
+  if (event.refund) {
+    const payment = await Payment.findOne({ provider, 'refunds.providerRefundId': event.refund.providerRefundId });
+    if (!payment) {
+      logger.warn(`${provider} webhook for unknown refund ${event.refund.providerRefundId}`);
+      return;
+    }
+    await applyRefundStatus(payment, event.refund);
+    return;
+  }
+
+  const payment = await Payment.findOne({ provider, providerPaymentId: event.providerPaymentId }) ||
+    await linkPaymentFromEvent(provider, event);
+  if (!payment) {
+    logger.warn(`${provider} webhook for unknown payment ${event.providerPaymentId}`);
+    return;
+  }
+
+  if (event.status === 'succeeded' && event.amount !== undefined &&
+      (event.amount !== payment.amount || (event.currency && event.currency !== payment.currency))) {
+    logger.error(`${provider} payment ${event.providerPaymentId} does not match payment ${payment._id}`, {
+      expected: { amount: payment.amount, currency: payment.currency },
+      received: { amount: event.amount, currency: event.currency }
+    });
+    return;
+  }
+
+  await applyPaymentStatus(payment, event.status, event);
+};
@@ -0,0 +1,16 @@
+import * as localBank from './localBank.js';
+
+// Payout adapters send a batch of payouts to the bank. Each exports:
+//
+//   submitBatch(batch, payouts) -> { reference, status }
+//
+// where payouts are populated with their payee, amounts are in minor units
+// and status is 'paid' once the money has left, or 'processing' if the bank
+// confirms later. Throws if the batch could not be submitted at all.
+const ADAPTERS = {
+  'local-bank': localBank
+};
+
+export const getPayoutAdapterName = () => process.env.PAYOUT_ADAPTER || 'local-bank';
+
+export const getPayoutAdapter = (name = getPayoutAdapterName()) => ADAPTERS[name] || null;
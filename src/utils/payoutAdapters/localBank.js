@@ -0,0 +1,52 @@
+import fs from 'fs';
+import path from 'path';
+import { createObjectCsvStringifier } from 'csv-writer';
+import { fromMinorUnits } from '../ledger.js';
+
+// Local "bank transfer" adapter. Writes each batch as a CSV file, in the
+// shape a bank bulk-transfer upload would take, so payouts can be run and
+// checked without a bank connection.
+
+export const getPayoutFilesPath = () => {
+  return path.resolve(process.env.PAYOUT_FILES_PATH || 'private-uploads/payouts');
+};
+
+export const submitBatch = async (batch, payouts) => {
+  const csv = createObjectCsvStringifier({
+    header: [
+      { id: 'payoutId', title: 'Payout ID' },
+      { id: 'payee', title: 'Payee ID' },
+      { id: 'name', title: 'Payee Name' },
+      { id: 'email', title: 'Email' },
+      { id: 'holder', title: 'Account Holder' },
+      { id: 'bank', title: 'Bank' },
+      { id: 'country', title: 'Bank Country' },
+      { id: 'account', title: 'Account Number / IBAN' },
+      { id: 'routing', title: 'Routing Code' },
+      { id: 'amount', title: 'Amount' },
+      { id: 'currency', title: 'Currency' }
+    ]
+  });
+
+  const rows = payouts.map(payout => ({
+    payoutId: payout.payoutId,
+    payee: payout.payee._id,
+    name: `${payout.payee.firstName} ${payout.payee.lastName}`,
+    email: payout.payee.email,
+    holder: payout.payee.payoutAccount?.accountHolderName,
+    bank: payout.payee.payoutAccount?.bankName,
+    country: payout.payee.payoutAccount?.country,
+    account: payout.payee.payoutAccount?.accountNumber,
+    routing: payout.payee.payoutAccount?.routingCode,
+    amount: fromMinorUnits(payout.amount, payout.currency),
+    currency: payout.currency
+  }));
+
+  const dir = getPayoutFilesPath();
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const fileName = `${batch.batchId}.csv`;
+  await fs.promises.writeFile(path.join(dir, fileName), csv.getHeaderString() + csv.stringifyRecords(rows));
+
+  return { reference: fileName, status: 'paid' };
+};
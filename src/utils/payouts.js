@@ -0,0 +1,474 @@
+import crypto from 'crypto';
+import cron from 'node-cron';
+import Booking from '../models/Booking.js';
+import Service from '../models/Service.js';
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import CommissionRate from '../models/CommissionRate.js';
+import Earning from '../models/Earning.js';
+import Payout from '../models/Payout.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import { getBaseCurrency } from '../config/currencies.js';
+import { getRedisClient } from '../config/redis.js';
+import { getFxQuote, convertAmount } from './fx.js';
+import { getPayoutAdapter, getPayoutAdapterName } from './payoutAdapters/index.js';
+import {
+  postTransaction,
+  runInTransaction,
+  providerPayableAccountCode,
+  fromMinorUnits,
+  PLATFORM_ACCOUNTS
+} from './ledger.js';
+import { logger } from './logger.js';
+
+// Earnings and payouts. When a paid booking completes, the platform keeps its
+// commission in revenue and the provider's and runner's shares move to their
+// payable accounts. Payable balances are paid out in weekly batches once they
+// reach the minimum; earnings on disputed bookings are held back until the
+// dispute is resolved.
+
+// Bookings with a dispute that has not been resolved yet
+const DISPUTED_BOOKING_FILTER = {
+  $or: [
+    { 'status.current': 'disputed' },
+    { 'dispute.isDisputed': true, 'dispute.resolvedAt': { $exists: false } }
+  ]
+};
+
+const getSetting = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Rate used for categories without one of their own, until ops save a
+// `default` rate
+export const getDefaultCommissionRate = () => ({
+  category: 'default',
+  platformPercent: getSetting('PLATFORM_COMMISSION_PERCENT', 15),
+  runnerPercent: getSetting('RUNNER_SHARE_PERCENT', 10)
+});
+
+// Payable balances below this amount in the base currency wait for a later batch
+const getPayoutMinimum = () => getSetting('PAYOUT_MINIMUM', 20);
+
+// Get the commission rate for a service category
+export const getCommissionRate = async (category) => {
+  const rates = await CommissionRate.find({ category: { $in: [category, 'default'] } });
+  return rates.find(rate => rate.category === category) ||
+    rates.find(rate => rate.category === 'default') ||
+    getDefaultCommissionRate();
+};
+
+// Split what was paid for a completed booking between the platform, the
+// provider and the runner. Each booking is settled once; bookings paid
+// outside the platform (e.g. in cash) are marked skipped.
+export const settleBookingEarnings = async (booking) => {
+  const payment = await Payment.findOne({
+    booking: booking._id,
+    status: { $in: ['succeeded', 'partially-refunded'] }
+  });
+
+  if (!payment) {
+    await Booking.updateOne(
+      { _id: booking._id, 'settlement.status': { $exists: false } },
+      { 'settlement.status': 'skipped', 'settlement.settledAt': new Date() }
+    );
+    return null;
+  }
+
+  const service = await Service.findById(booking.service).select('category');
+  const rate = await getCommissionRate(service?.category);
+  const { currency } = payment;
+
+  // Referral credit taken off the price is funded by the platform, so the
+  // provider and runner share in the full price
+  const creditAmount = payment.status === 'succeeded' ? payment.referralCredit?.amount || 0 : 0;
+  const grossAmount = payment.amount - payment.refundedAmount + creditAmount;
+  const platformFee = Math.round(grossAmount * rate.platformPercent / 100);
+  const runnerAmount = booking.runner
+    ? Math.min(Math.round(grossAmount * rate.runnerPercent / 100), grossAmount - platformFee)
+    : 0;
+  const providerAmount = grossAmount - platformFee - runnerAmount;
+
+  const shares = [
+    { payee: booking.provider, role: 'provider', amount: providerAmount },
+    { payee: booking.runner, role: 'runner', amount: runnerAmount }
+  ].filter(share => share.amount > 0);
+
+  return runInTransaction(async (session) => {
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'settlement.status': { $exists: false } },
+      {
+        settlement: {
+          status: 'settled',
+          currency,
+          grossAmount: fromMinorUnits(grossAmount, currency),
+          platformPercent: rate.platformPercent,
+          platformFee: fromMinorUnits(platformFee, currency),
+          providerAmount: fromMinorUnits(providerAmount, currency),
+          runnerAmount: fromMinorUnits(runnerAmount, currency),
+          settledAt: new Date()
+        }
+      },
+      { new: true, session }
+    );
+    if (!claimed || shares.length === 0) return claimed;
+
+    const transaction = await postTransaction({
+      type: 'earnings',
+      description: `Earnings for booking ${claimed.bookingId}`,
+      currency,
+      idempotencyKey: `earnings:${claimed._id}`,
+      lines: [
+        { account: PLATFORM_ACCOUNTS.revenue, debit: providerAmount + runnerAmount },
+        ...shares.map(share => ({ account: providerPayableAccountCode(share.payee), credit: share.amount }))
+      ],
+      reference: { booking: claimed._id },
+      metadata: { paymentId: payment._id, platformPercent: rate.platformPercent, runnerPercent: rate.runnerPercent }
+    }, { session });
+
+    await Earning.create(shares.map(share => ({
+      ...share,
+      booking: claimed._id,
+      grossAmount,
+      currency,
+      sharePercent: grossAmount > 0 ? Math.round(share.amount / grossAmount * 10000) / 100 : 0,
+      transaction: transaction._id
+    })), { session, ordered: true });
+
+    await Booking.updateOne({ _id: claimed._id }, { 'settlement.transaction': transaction._id }, { session });
+    return claimed;
+  });
+};
+
+// Take back the provider's and runner's part of a refund on a settled
+// booking. Each share shrinks in proportion to the refund, as a negative
+// earning that is held with the booking's other earnings and netted against
+// the payee's next payout. If the share was already paid out, the payable
+// account goes below zero until later earnings cover it. Runs once the
+// refund has succeeded; bookings not settled yet are split on what is left.
+export const clawBackEarnings = async (payment, refund) => {
+  if (!payment.booking) return null;
+
+  const booking = await Booking.findOne({ _id: payment.booking, 'settlement.status': 'settled' }).select('bookingId');
+  if (!booking) return null;
+
+  const earnings = await Earning.find({ booking: booking._id });
+  const shares = [];
+  for (const earning of earnings.filter(entry => !entry.refund)) {
+    // What is left of the share after earlier clawbacks
+    const remaining = earnings
+      .filter(entry => entry.role === earning.role)
+      .reduce((sum, entry) => sum + entry.amount, 0);
+    const amount = Math.min(Math.round(earning.amount * refund.amount / earning.grossAmount), remaining);
+    if (amount > 0) shares.push({ earning, amount });
+  }
+  if (shares.length === 0) return null;
+
+  const total = shares.reduce((sum, share) => sum + share.amount, 0);
+
+  try {
+    return await runInTransaction(async (session) => {
+      const transaction = await postTransaction({
+        type: 'earnings',
+        description: `Earnings taken back for refunded booking ${booking.bookingId}`,
+        currency: payment.currency,
+        idempotencyKey: `earnings-clawback:${refund._id}`,
+        lines: [
+          ...shares.map(({ earning, amount }) => ({
+            account: providerPayableAccountCode(earning.payee),
+            debit: amount,
+            allowNegative: true
+          })),
+          { account: PLATFORM_ACCOUNTS.revenue, credit: total }
+        ],
+        reference: { booking: booking._id },
+        metadata: { paymentId: payment._id, refundId: refund._id }
+      }, { session });
+
+      return Earning.create(shares.map(({ earning, amount }) => ({
+        payee: earning.payee,
+        role: earning.role,
+        booking: booking._id,
+        refund: refund._id,
+        grossAmount: -refund.amount,
+        amount: -amount,
+        currency: earning.currency,
+        sharePercent: earning.sharePercent,
+        status: earning.status === 'held' ? 'held' : 'available',
+        transaction: transaction._id
+      })), { session, ordered: true });
+    });
+  } catch (error) {
+    // Already taken back for this refund
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Settle completed bookings that have not been split yet
+export const settleCompletedBookings = async () => {
+  try {
+    const bookings = await Booking.find({
+      'status.current': 'completed',
+      'payment.status': { $ne: 'pending' },
+      'settlement.status': { $exists: false }
+    }).select('bookingId service provider runner').limit(200);
+
+    for (const booking of bookings) {
+      try {
+        await settleBookingEarnings(booking);
+      } catch (error) {
+        logger.error(`Settling booking ${booking.bookingId} failed:`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('Booking settlement job error:', error);
+  }
+};
+
+// Hold earnings while their booking is disputed and release them afterwards
+export const updateEarningHolds = async () => {
+  const disputed = await Booking.distinct('_id', DISPUTED_BOOKING_FILTER);
+
+  await Earning.updateMany({ status: 'available', booking: { $in: disputed } }, { status: 'held' });
+  await Earning.updateMany({ status: 'held', booking: { $nin: disputed } }, { status: 'available' });
+};
+
+// Put the money of a payout the bank did not take back in the payable
+// account, so its earnings go out with the next batch
+const reversePayout = async (payout, reason) => {
+  await runInTransaction(async (session) => {
+    await postTransaction({
+      type: 'payout',
+      description: 'Failed payout reversed',
+      currency: payout.currency,
+      idempotencyKey: `payout-failed:${payout._id}`,
+      lines: [
+        { account: PLATFORM_ACCOUNTS.clearing, debit: payout.amount },
+        { account: providerPayableAccountCode(payout.payee._id), credit: payout.amount }
+      ],
+      reversalOf: payout.transaction,
+      metadata: { payoutId: payout.payoutId }
+    }, { session });
+
+    await Earning.updateMany(
+      { payout: payout._id },
+      { status: 'available', $unset: { payout: 1 } },
+      { session }
+    );
+    await Payout.updateOne({ _id: payout._id }, { status: 'failed', failureReason: reason }, { session });
+  });
+};
+
+// Payout account details the payout adapters need, including the full
+// account number that is not loaded by default
+const PAYOUT_ACCOUNT_FIELDS = ['accountHolderName', 'bankName', 'country', 'accountNumber', 'routingCode', 'last4'];
+
+// The bank account a payee is paid into, as set through PUT /api/payouts/account
+const getPayoutDestination = (user) => {
+  const account = user?.payoutAccount;
+  if (!account?.accountNumber) return null;
+  return { name: account.bankName || account.accountHolderName, last4: account.last4 };
+};
+
+// Move one payee's available earnings in a currency into a payout
+const createPayout = async (batch, { payee, currency, amount, earnings }, destination, createdBy) => {
+  return runInTransaction(async (session) => {
+    const [payout] = await Payout.create([{
+      payee,
+      batch: batch._id,
+      amount,
+      currency,
+      earningsCount: earnings.length,
+      destination: { name: destination.name, last4: destination.last4 }
+    }], { session });
+
+    const claimed = await Earning.updateMany(
+      { _id: { $in: earnings }, status: 'available' },
+      { status: 'paid', payout: payout._id },
+      { session }
+    );
+    if (claimed.modifiedCount !== earnings.length) {
+      throw new Error('Earnings changed while the payout was being created');
+    }
+
+    const transaction = await postTransaction({
+      type: 'payout',
+      description: 'Payout to bank account',
+      currency,
+      idempotencyKey: `payout:${payout._id}`,
+      lines: [
+        { account: providerPayableAccountCode(payee), debit: amount },
+        { account: PLATFORM_ACCOUNTS.clearing, credit: amount }
+      ],
+      createdBy,
+      metadata: { payoutId: payout.payoutId, batchId: batch.batchId }
+    }, { session });
+
+    payout.transaction = transaction._id;
+    await payout.save({ session });
+    return payout;
+  });
+};
+
+// Only one payout run may go at a time across all instances. The lock is
+// released when the run ends and expires on its own if an instance dies.
+const PAYOUT_LOCK_KEY = 'payout-batch-lock';
+const PAYOUT_LOCK_TTL_SECONDS = 2 * 60 * 60;
+
+// Delete the lock only while it is still ours
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+// Pay out every payee's available earnings, one payout per payee and
+// currency, and submit them to the payout adapter as one batch. Returns the
+// batch, or null if there was nothing to pay or a run is already going.
+export const runPayoutBatch = async ({ triggeredBy } = {}) => {
+  const redisClient = getRedisClient();
+  if (!redisClient) {
+    throw new Error('Payout runs need Redis to make sure only one runs at a time');
+  }
+
+  const token = crypto.randomUUID();
+  const locked = await redisClient.set(PAYOUT_LOCK_KEY, token, { NX: true, EX: PAYOUT_LOCK_TTL_SECONDS }) === 'OK';
+  if (!locked) return null;
+
+  try {
+    const adapterName = getPayoutAdapterName();
+    const adapter = getPayoutAdapter(adapterName);
+    if (!adapter) {
+      throw new Error(`Unknown payout adapter '${adapterName}'`);
+    }
+
+    await updateEarningHolds();
+
+    const groups = await Earning.aggregate([
+      { $match: { status: 'available' } },
+      {
+        $group: {
+          _id: { payee: '$payee', currency: '$currency' },
+          amount: { $sum: '$amount' },
+          earnings: { $push: '$_id' }
+        }
+      }
+    ]);
+    if (groups.length === 0) return null;
+
+    const batch = await PayoutBatch.create({ adapter: adapterName, triggeredBy });
+    const base = getBaseCurrency();
+    const minimum = getPayoutMinimum();
+    const payouts = [];
+
+    for (const group of groups) {
+      const { payee, currency } = group._id;
+      const skip = (reason) => batch.skipped.push({ payee, currency, amount: group.amount, reason });
+
+      const quote = await getFxQuote(currency, base);
+      if (!quote) {
+        skip(`No ${currency}/${base} rate available to check the payout minimum`);
+        continue;
+      }
+      if (fromMinorUnits(convertAmount(group.amount, quote, { useMidRate: true }), base) < minimum) {
+        skip(`Below the ${minimum} ${base} payout minimum`);
+        continue;
+      }
+
+      const user = await User.findById(payee).select([
+        'firstName', 'lastName', 'email',
+        ...PAYOUT_ACCOUNT_FIELDS.map(field => `payoutAccount.${field}`)
+      ].join(' '));
+      const destination = getPayoutDestination(user);
+      if (!destination) {
+        skip('No payout account on file');
+        continue;
+      }
+
+      try {
+        const payout = await createPayout(batch, { payee, currency, ...group }, destination, triggeredBy);
+        payout.payee = user;
+        payouts.push(payout);
+      } catch (error) {
+        logger.error(`Creating payout for ${payee} in ${currency} failed:`, error);
+        skip(error.message);
+      }
+    }
+
+    const totals = {};
+    for (const payout of payouts) {
+      totals[payout.currency] = (totals[payout.currency] || 0) + payout.amount;
+    }
+    batch.payoutCount = payouts.length;
+    batch.totals = Object.entries(totals).map(([currency, amount]) => ({ currency, amount }));
+
+    if (payouts.length > 0) {
+      try {
+        const { reference, status } = await adapter.submitBatch(batch, payouts);
+        batch.reference = reference;
+
+        if (status === 'paid') {
+          await Payout.updateMany({ batch: batch._id, status: 'processing' }, { status: 'paid', paidAt: new Date() });
+        }
+      } catch (error) {
+        logger.error(`Payout batch ${batch.batchId} failed:`, error);
+        batch.status = 'failed';
+        batch.error = error.message;
+
+        for (const payout of payouts) {
+          await reversePayout(payout, error.message);
+        }
+      }
+    }
+
+    if (batch.status === 'processing') batch.status = 'completed';
+    batch.completedAt = new Date();
+    await batch.save();
+
+    logger.info(`Payout batch ${batch.batchId}: ${payouts.length} paid, ${batch.skipped.length} skipped`);
+    return batch;
+  } finally {
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [PAYOUT_LOCK_KEY], arguments: [token] })
+      .catch(error => logger.error('Releasing the payout lock failed:', error));
+  }
+};
+
+// Earnings covered by a payout, with the booking each one came from
+export const getPayoutStatement = async (payout) => {
+  const earnings = await Earning.find({ payout: payout._id })
+    .populate({
+      path: 'booking',
+      select: 'bookingId scheduledDate service settlement.platformPercent',
+      populate: { path: 'service', select: 'name category' }
+    })
+    .sort({ createdAt: 1 });
+
+  return earnings.map(earning => ({
+    bookingId: earning.booking?.bookingId,
+    service: earning.booking?.service?.name,
+    scheduledDate: earning.booking?.scheduledDate,
+    role: earning.role,
+    grossAmount: fromMinorUnits(earning.grossAmount, earning.currency),
+    platformPercent: earning.booking?.settlement?.platformPercent,
+    sharePercent: earning.sharePercent,
+    amount: fromMinorUnits(earning.amount, earning.currency),
+    currency: earning.currency,
+    earnedAt: earning.createdAt
+  }));
+};
+
+// Schedule booking settlement and the weekly payout run
+export const startPayoutWorker = () => {
+  cron.schedule('*/15 * * * *', settleCompletedBookings);
+
+  cron.schedule(process.env.PAYOUT_SCHEDULE || '0 3 * * 1', async () => {
+    try {
+      await runPayoutBatch();
+    } catch (error) {
+      logger.error('Payout job error:', error);
+    }
+  });
+};
@@ -0,0 +1,11 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+
+// Phone numbers are stored and looked up in E.164 form (e.g. +14155550123),
+// so each number has one key for lookups, throttles and OTP codes.
+
+// Normalize a phone number to E.164. Numbers without a country code are read
+// as DEFAULT_PHONE_COUNTRY. Returns null if the number is not valid.
+export const normalizePhone = (value) => {
+  const phone = parsePhoneNumberFromString(String(value ?? ''), process.env.DEFAULT_PHONE_COUNTRY);
+  return phone?.isValid() ? phone.number : null;
+};
@@ -0,0 +1,335 @@
+import cron from 'node-cron';
+import User from '../models/User.js';
+import Booking from '../models/Booking.js';
+import ReferralCampaign from '../models/ReferralCampaign.js';
+import ReferralReward from '../models/ReferralReward.js';
+import { deleteCache } from '../config/redis.js';
+import { getBaseCurrency, getCurrencyDecimals } from '../config/currencies.js';
+import { getFxQuote, convertAmount } from './fx.js';
+import { runInTransaction, toMinorUnits, fromMinorUnits } from './ledger.js';
+import { PaymentError } from './payments.js';
+import { logger, logSecurity } from './logger.js';
+
+// Referral rewards. When a referred user signs up during a campaign, both
+// sides get a pending reward; it becomes spendable credit once the referee's
+// first booking completes and passes the fraud checks. Credits are promotional
+// rather than wallet money: they are only spent as a discount at checkout,
+// where the platform absorbs them, and expire if unused.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of a booking payment referral credit may cover
+const getCreditMaxPercent = () => parseFloat(process.env.REFERRAL_CREDIT_MAX_PERCENT) || 50;
+
+// The campaign running right now, if any
+export const getActiveCampaign = (at = new Date()) => {
+  return ReferralCampaign.findOne({
+    isActive: true,
+    startsAt: { $lte: at },
+    $or: [{ endsAt: null }, { endsAt: { $gt: at } }]
+  }).sort({ startsAt: -1 });
+};
+
+// Recompute a user's cached credit balance from their available rewards
+export const refreshReferralCredits = async (userId) => {
+  const base = getBaseCurrency();
+  const rewards = await ReferralReward.find({ beneficiary: userId, status: 'available', currency: base })
+    .select('remaining');
+  const total = rewards.reduce((sum, reward) => sum + reward.remaining, 0);
+
+  await User.updateOne({ _id: userId }, { referralCredits: fromMinorUnits(total, base) });
+  await deleteCache(`user:${userId}`);
+  return total;
+};
+
+// Open the pending rewards for a newly registered referee. Never fails the
+// registration it is called from.
+export const recordReferral = async (referee) => {
+  if (!referee.referredBy) return [];
+
+  try {
+    const campaign = await getActiveCampaign();
+    if (!campaign) return [];
+
+    const rewards = [
+      { role: 'referrer', beneficiary: referee.referredBy, amount: campaign.referrerReward },
+      { role: 'referee', beneficiary: referee._id, amount: campaign.refereeReward }
+    ].filter(reward => reward.amount > 0);
+
+    return await ReferralReward.insertMany(rewards.map(reward => ({
+      ...reward,
+      campaign: campaign._id,
+      referrer: referee.referredBy,
+      referee: referee._id,
+      amount: toMinorUnits(reward.amount, campaign.currency),
+      currency: campaign.currency
+    })));
+  } catch (error) {
+    logger.error(`Recording referral for user ${referee._id} failed:`, error);
+    return [];
+  }
+};
+
+// Check whether a referral looks like one person referring themselves.
+// Returns the reason it is rejected, or null.
+export const getReferralFraudReason = (referrer, referee) => {
+  const deviceIds = new Set((referrer.devices || []).map(device => device.deviceId).filter(Boolean));
+  if ((referee.devices || []).some(device => deviceIds.has(device.deviceId))) {
+    return 'Referrer and referee signed in from the same device';
+  }
+
+  const fingerprints = new Set((referrer.paymentMethods || []).map(method => method.fingerprint).filter(Boolean));
+  if ((referee.paymentMethods || []).some(method => fingerprints.has(method.fingerprint))) {
+    return 'Referrer and referee saved the same payment card';
+  }
+
+  return null;
+};
+
+// Make a referrer reward available in the next free slot of its campaign.
+// Slots are unique per referrer and campaign, so concurrent grants cannot
+// exceed the limit. Returns false once the limit is reached.
+const grantReferrerReward = async (reward, update) => {
+  let earned = await ReferralReward.countDocuments({
+    referrer: reward.referrer,
+    campaign: reward.campaign._id,
+    role: 'referrer',
+    status: { $in: ['available', 'redeemed', 'expired'] }
+  });
+
+  while (earned < reward.campaign.maxRewardsPerReferrer) {
+    try {
+      await ReferralReward.updateOne({ _id: reward._id, status: 'pending' }, { ...update, slot: earned + 1 });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      earned += 1;
+    }
+  }
+
+  return false;
+};
+
+// Release or reject a referee's pending rewards once their first booking
+// has completed
+export const qualifyReferral = async (refereeId, booking) => {
+  const rewards = await ReferralReward.find({ referee: refereeId, status: 'pending' }).populate('campaign');
+  if (rewards.length === 0) return;
+
+  const { referrer: referrerId } = rewards[0];
+  const [referee, referrer] = await Promise.all([
+    User.findById(refereeId).select('devices paymentMethods'),
+    User.findById(referrerId).select('devices paymentMethods')
+  ]);
+
+  const fraudReason = referee && referrer
+    ? getReferralFraudReason(referrer, referee)
+    : 'Referral account no longer exists';
+
+  if (fraudReason) {
+    logSecurity('Referral reward rejected', refereeId, null, { referrer: referrerId, reason: fraudReason });
+  }
+
+  for (const reward of rewards) {
+    const now = new Date();
+    const qualified = {
+      status: 'available',
+      remaining: reward.amount,
+      qualifyingBooking: booking._id,
+      qualifiedAt: now,
+      expiresAt: new Date(now.getTime() + reward.campaign.creditExpiryDays * DAY_MS)
+    };
+
+    let rejectionReason = fraudReason;
+    if (!rejectionReason && reward.role === 'referrer') {
+      const granted = await grantReferrerReward(reward, qualified);
+      if (!granted) {
+        rejectionReason = 'Referral reward limit reached for this campaign';
+      }
+    } else if (!rejectionReason) {
+      await ReferralReward.updateOne({ _id: reward._id, status: 'pending' }, qualified);
+    }
+
+    if (rejectionReason) {
+      await ReferralReward.updateOne(
+        { _id: reward._id, status: 'pending' },
+        { status: 'rejected', rejectionReason, qualifyingBooking: booking._id }
+      );
+    }
+
+    await refreshReferralCredits(reward.beneficiary);
+  }
+};
+
+// Qualify pending referrals whose referee has completed a booking
+export const processReferralRewards = async () => {
+  try {
+    const referees = await ReferralReward.distinct('referee', { status: 'pending' });
+
+    for (const refereeId of referees) {
+      const booking = await Booking.findOne({ user: refereeId, 'status.current': 'completed' })
+        .sort({ updatedAt: 1 })
+        .select('_id');
+      if (!booking) continue;
+
+      try {
+        await qualifyReferral(refereeId, booking);
+      } catch (error) {
+        logger.error(`Qualifying referral for user ${refereeId} failed:`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('Referral reward job error:', error);
+  }
+};
+
+// Expire credits that were not spent in time
+export const expireReferralCredits = async () => {
+  try {
+    const rewards = await ReferralReward.find({ status: 'available', expiresAt: { $lte: new Date() } });
+
+    for (const reward of rewards) {
+      const result = await ReferralReward.updateOne(
+        { _id: reward._id, status: 'available', remaining: reward.remaining },
+        { status: 'expired', expiredAmount: reward.remaining, remaining: 0 }
+      );
+      if (result.modifiedCount > 0) {
+        await refreshReferralCredits(reward.beneficiary);
+      }
+    }
+  } catch (error) {
+    logger.error('Referral credit expiry job error:', error);
+  }
+};
+
+// Work out how much of a payment a user's credit can cover. `amount` is in
+// minor units of `currency`. Returns null if no credit applies.
+export const quoteReferralCredit = async (userId, amount, currency) => {
+  const base = getBaseCurrency();
+  const rewards = await ReferralReward.find({
+    beneficiary: userId,
+    status: 'available',
+    currency: base,
+    expiresAt: { $gt: new Date() }
+  }).select('remaining');
+
+  const available = rewards.reduce((sum, reward) => sum + reward.remaining, 0);
+  if (available === 0) return null;
+
+  const quote = await getFxQuote(base, currency);
+  if (!quote) return null;
+
+  // Something is always left to charge through the gateway
+  const cap = Math.min(Math.floor(amount * getCreditMaxPercent() / 100), amount - 1);
+  const creditAmount = Math.min(convertAmount(available, quote, { useMidRate: true }), cap);
+  if (creditAmount <= 0) return null;
+
+  const baseAmount = Math.min(
+    Math.ceil(fromMinorUnits(creditAmount, currency) / quote.midRate * 10 ** getCurrencyDecimals(base) - 1e-6),
+    available
+  );
+
+  return { amount: creditAmount, baseAmount, currency: base };
+};
+
+// Take credit for a payment, soonest-expiring rewards first
+export const redeemReferralCredit = async (userId, baseAmount, paymentId) => {
+  await runInTransaction(async (session) => {
+    const rewards = await ReferralReward.find({
+      beneficiary: userId,
+      status: 'available',
+      currency: getBaseCurrency(),
+      expiresAt: { $gt: new Date() }
+    }).sort({ expiresAt: 1 }).session(session);
+
+    let left = baseAmount;
+    for (const reward of rewards) {
+      if (left === 0) break;
+      const take = Math.min(left, reward.remaining);
+
+      const updated = await ReferralReward.findOneAndUpdate(
+        { _id: reward._id, status: 'available', remaining: { $gte: take } },
+        { $inc: { remaining: -take }, $push: { redemptions: { payment: paymentId, amount: take } } },
+        { new: true, session }
+      );
+      if (!updated) break;
+
+      if (updated.remaining === 0) {
+        await ReferralReward.updateOne({ _id: reward._id }, { status: 'redeemed' }, { session });
+      }
+      left -= take;
+    }
+
+    if (left > 0) {
+      throw new PaymentError('Your referral credit has changed. Please try again.', 'CREDIT_CHANGED', 409);
+    }
+  });
+
+  await refreshReferralCredits(userId);
+};
+
+// Give back the credit taken for a payment that did not go through
+export const releaseReferralCredit = async (payment) => {
+  const rewards = await ReferralReward.find({ 'redemptions.payment': payment._id });
+
+  for (const reward of rewards) {
+    const amount = reward.redemptions
+      .filter(redemption => redemption.payment.equals(payment._id))
+      .reduce((sum, redemption) => sum + redemption.amount, 0);
+
+    // Credit that has since expired is picked up by the next expiry run
+    await ReferralReward.updateOne(
+      { _id: reward._id, 'redemptions.payment': payment._id },
+      { $inc: { remaining: amount }, $pull: { redemptions: { payment: payment._id } }, $set: { status: 'available' } }
+    );
+  }
+
+  if (rewards.length > 0) {
+    await refreshReferralCredits(payment.user);
+  }
+};
+
+// Give back credit redeemed on a payment that has since been refunded, in
+// the same share as the payment was refunded. Safe to call after every
+// refund: only credit beyond the share still kept is released.
+export const releaseRefundedReferralCredit = async (payment) => {
+  const credit = payment.referralCredit?.baseAmount;
+  if (!credit) return;
+
+  const kept = credit - Math.floor(credit * payment.refundedAmount / payment.amount);
+  const rewards = await ReferralReward.find({ 'redemptions.payment': payment._id });
+
+  const redemptions = rewards.map(reward => ({
+    reward,
+    redemption: reward.redemptions.find(entry => entry.payment.equals(payment._id))
+  }));
+  let release = redemptions.reduce((sum, { redemption }) => sum + redemption.amount, 0) - kept;
+  if (release <= 0) return;
+
+  for (const { reward, redemption } of redemptions) {
+    if (release === 0) break;
+    const amount = Math.min(release, redemption.amount);
+
+    // Matching the redeemed amount keeps a concurrent release from counting twice
+    const filter = {
+      _id: reward._id,
+      redemptions: { $elemMatch: { _id: redemption._id, amount: redemption.amount } }
+    };
+    const update = amount === redemption.amount
+      ? { $inc: { remaining: amount }, $pull: { redemptions: { _id: redemption._id } }, $set: { status: 'available' } }
+      : { $inc: { remaining: amount, 'redemptions.$.amount': -amount }, $set: { status: 'available' } };
+
+    const result = await ReferralReward.updateOne(filter, update);
+    if (result.modifiedCount > 0) {
+      release -= amount;
+    }
+  }
+
+  await refreshReferralCredits(payment.user);
+};
+
+// Schedule referral qualification and credit expiry
+export const startReferralWorker = () => {
+  cron.schedule('*/15 * * * *', processReferralRewards);
+  cron.schedule('30 0 * * *', expireReferralCredits);
+};
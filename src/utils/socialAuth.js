@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import { getSocialProviderConfig } from '../config/socialProviders.js';
+import { logger } from './logger.js';
+
+const JWKS_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const JWKS_REFETCH_INTERVAL = 60 * 1000; // 1 minute
+
+// In-memory JWKS cache per provider: { keys, fetchedAt }
+const jwksCache = new Map();
+// JWKS requests in flight per provider, shared by concurrent lookups
+const pendingFetches = new Map();
+
+const fetchJwks = (provider, jwksUrl) => {
+  if (!pendingFetches.has(provider)) {
+    const pending = axios.get(jwksUrl, { timeout: 5000 })
+      .then((response) => {
+        const entry = { keys: response.data.keys || [], fetchedAt: Date.now() };
+        jwksCache.set(provider, entry);
+        return entry;
+      })
+      .finally(() => pendingFetches.delete(provider));
+    pendingFetches.set(provider, pending);
+  }
+
+  return pendingFetches.get(provider);
+};
+
+// Find the signing key for a token. An unknown kid refetches the JWKS in
+// case the provider rotated its keys, at most once per refetch interval so
+// tokens with made-up key IDs cannot force outbound requests.
+const getSigningKey = async (provider, jwksUrl, kid) => {
+  let entry = jwksCache.get(provider);
+  if (!entry || Date.now() - entry.fetchedAt >= JWKS_CACHE_TTL) {
+    entry = await fetchJwks(provider, jwksUrl);
+  }
+
+  let jwk = entry.keys.find(key => key.kid === kid);
+  if (!jwk && Date.now() - entry.fetchedAt >= JWKS_REFETCH_INTERVAL) {
+    entry = await fetchJwks(provider, jwksUrl);
+    jwk = entry.keys.find(key => key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new Error(`No ${provider} signing key found for kid '${kid}'`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Verify a provider ID token and return the normalized identity
+export const verifySocialIdToken = async (provider, idToken) => {
+  const config = getSocialProviderConfig(provider);
+  if (!config) {
+    throw new Error(`Unsupported social provider '${provider}'`);
+  }
+
+  if (!config.audience.length) {
+    throw new Error(`Social provider '${provider}' is not configured`);
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) {
+    throw new Error('Malformed ID token');
+  }
+
+  const signingKey = await getSigningKey(provider, config.jwksUrl, decoded.header.kid);
+
+  const claims = jwt.verify(idToken, signingKey, {
+    algorithms: ['RS256'],
+    issuer: config.issuer,
+    audience: config.audience
+  });
+
+  logger.debug(`Verified ${provider} ID token for subject ${claims.sub}`);
+
+  return {
+    providerId: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    // Apple sends this claim as a string
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name,
+    lastName: claims.family_name,
+    avatar: claims.picture
+  };
+};
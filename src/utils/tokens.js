@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getRedisClient, setCache, getCache, deleteCache } from '../config/redis.js';
+import { logger } from './logger.js';
+import { recordAuditEvent } from './audit.js';
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+// Every refresh token belongs to a "family" started at login. Rotating a token
+// issues a new one in the same family, and presenting an already-used token
+// revokes the whole family (and every access token minted from it).
+// Individual access tokens can also be denylisted by their `jti`, and all of
+// a user's sessions can be cut off at once with revokeAllUserSessions.
+
+// Thrown when the revocation records cannot be read. Callers must refuse the
+// token rather than assume it is still valid.
+export class TokenStoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenStoreError';
+  }
+}
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+const getAccessTokenExpiry = () => process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
+// Refresh token lifetime in seconds
+const getRefreshTokenTTL = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+  return days * 24 * 60 * 60;
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a short-lived access token bound to a token family
+export const generateAccessToken = (userId, familyId) => {
+  return jwt.sign(
+    { userId, familyId, type: 'access' },
+    getJwtSecret(),
+    { expiresIn: getAccessTokenExpiry(), jwtid: crypto.randomUUID() }
+  );
+};
+
+// Generate an access token letting staff act as a user. The session ID
+// doubles as the token family, so ending the session revokes the token.
+export const generateImpersonationToken = (session) => {
+  return jwt.sign(
+    {
+      userId: session.user.toString(),
+      familyId: session._id.toString(),
+      type: 'access',
+      impersonatedBy: session.admin.toString()
+    },
+    getJwtSecret(),
+    {
+      expiresIn: Math.max(Math.floor((session.expiresAt - Date.now()) / 1000), 1),
+      jwtid: crypto.randomUUID()
+    }
+  );
+};
+
+// Generate and store a new refresh token in the given family
+const createRefreshToken = async (userId, familyId) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await setCache(`refresh-token:${hashToken(refreshToken)}`, {
+    userId: userId.toString(),
+    familyId,
+    createdAt: new Date().toISOString()
+  }, getRefreshTokenTTL());
+
+  return refreshToken;
+};
+
+const buildTokenPair = async (userId, familyId) => {
+  const accessToken = generateAccessToken(userId, familyId);
+  const refreshToken = await createRefreshToken(userId, familyId);
+  const { iat, exp } = jwt.decode(accessToken);
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: exp - iat,
+    familyId
+  };
+};
+
+// Start a new token family and issue its first access/refresh token pair
+export const issueTokenPair = async (userId) => {
+  const familyId = crypto.randomUUID();
+
+  await setCache(`token-family:${familyId}`, {
+    userId: userId.toString(),
+    createdAt: new Date().toISOString()
+  }, getRefreshTokenTTL());
+
+  // Track the user's families so every session can be revoked at once
+  const redisClient = getRedisClient();
+  if (redisClient) {
+    const key = `user-token-families:${userId}`;
+    await redisClient.sAdd(key, familyId);
+    await redisClient.expire(key, getRefreshTokenTTL());
+  }
+
+  return buildTokenPair(userId, familyId);
+};
+
+// Check whether a token family has been revoked
+export const isTokenFamilyRevoked = async (familyId) => {
+  if (!familyId) return false;
+  return !!(await getCache(`revoked-family:${familyId}`));
+};
+
+// Revoke a token family so neither its refresh nor access tokens are accepted
+export const revokeTokenFamily = async (familyId) => {
+  if (!familyId) return;
+
+  const family = await getCache(`token-family:${familyId}`);
+
+  await setCache(`revoked-family:${familyId}`, true, getRefreshTokenTTL());
+  await deleteCache(`token-family:${familyId}`);
+
+  const redisClient = getRedisClient();
+  if (family && redisClient) {
+    await redisClient.sRem(`user-token-families:${family.userId}`, familyId);
+  }
+};
+
+// Denylist a single access token until it would have expired anyway
+export const revokeAccessToken = async ({ jti, exp }) => {
+  if (!jti) return;
+  const ttl = Math.max(exp - Math.floor(Date.now() / 1000), 1);
+  await setCache(`denied-token:${jti}`, true, ttl);
+};
+
+// Revoke every session of a user, e.g. after a password reset or block
+export const revokeAllUserSessions = async (userId) => {
+  const redisClient = getRedisClient();
+
+  if (redisClient) {
+    const key = `user-token-families:${userId}`;
+    const familyIds = await redisClient.sMembers(key);
+    for (const familyId of familyIds) {
+      await revokeTokenFamily(familyId);
+    }
+    await redisClient.del(key);
+  }
+
+  // Access tokens issued before this moment are no longer accepted
+  await setCache(
+    `tokens-revoked-before:${userId}`,
+    Math.floor(Date.now() / 1000),
+    getRefreshTokenTTL()
+  );
+  await deleteCache(`user:${userId}`);
+};
+
+// Check a decoded access token against every revocation record. Reads
+// Redis directly rather than through getCache, which hides errors: if the
+// records cannot be read this throws a TokenStoreError instead of letting a
+// revoked token through.
+export const isAccessTokenRevoked = async ({ jti, familyId, userId, iat }) => {
+  const redisClient = getRedisClient();
+  if (!redisClient?.isReady) {
+    throw new TokenStoreError('Token revocation store is unavailable');
+  }
+
+  let records;
+  try {
+    records = await redisClient.mGet([
+      `denied-token:${jti}`,
+      `revoked-family:${familyId}`,
+      `tokens-revoked-before:${userId}`
+    ]);
+  } catch (error) {
+    logger.error('Token revocation lookup error:', error);
+    throw new TokenStoreError('Token revocation store is unavailable');
+  }
+
+  const [deniedToken, revokedFamily, revokedBefore] = records;
+  if ((jti && deniedToken) || (familyId && revokedFamily)) return true;
+
+  return !!revokedBefore && iat < JSON.parse(revokedBefore);
+};
+
+// Look up the session a refresh token belongs to without using it up.
+// Returns null if the token is unknown, expired or revoked.
+export const getRefreshTokenRecord = async (refreshToken) => {
+  const record = await getCache(`refresh-token:${hashToken(refreshToken)}`);
+  if (!record) return null;
+
+  if (await isTokenFamilyRevoked(record.familyId)) return null;
+
+  return record;
+};
+
+// Exchange a refresh token for a new pair. Returns null if the token is
+// unknown, expired, revoked or has already been used.
+export const rotateRefreshToken = async (refreshToken, ip) => {
+  const redisClient = getRedisClient();
+  if (!redisClient) {
+    logger.error('Refresh token rotation unavailable: Redis client not connected');
+    return null;
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const record = await getRefreshTokenRecord(refreshToken);
+  if (!record) return null;
+
+  // Atomically claim the token; a second claim means it is being reused
+  const claimed = await redisClient.set(`refresh-token-used:${tokenHash}`, '1', {
+    NX: true,
+    EX: getRefreshTokenTTL()
+  });
+
+  if (!claimed) {
+    await revokeTokenFamily(record.familyId);
+    recordAuditEvent('auth.refresh-token-reuse', {
+      target: record.userId,
+      ip,
+      details: { familyId: record.familyId }
+    });
+    return null;
+  }
+
+  const tokens = await buildTokenPair(record.userId, record.familyId);
+
+  return {
+    userId: record.userId,
+    ...tokens
+  };
+};
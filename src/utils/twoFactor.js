@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import speakeasy from 'speakeasy';
+import QRCode from 'qrcode';
+import User from '../models/User.js';
+import { getRedisClient } from '../config/redis.js';
+
+const BACKUP_CODE_COUNT = 10;
+
+// Generate a new TOTP secret with its otpauth URI and QR code (PNG data URL)
+export const generateTwoFactorSecret = async (accountName) => {
+  const secret = speakeasy.generateSecret({
+    length: 20,
+    name: `MekaCash (${accountName})`,
+    issuer: 'MekaCash'
+  });
+
+  const qrCode = await QRCode.toDataURL(secret.otpauth_url);
+
+  return {
+    secret: secret.base32,
+    otpauthUrl: secret.otpauth_url,
+    qrCode
+  };
+};
+
+// Verify a TOTP code against a base32 secret, allowing one step of clock drift
+export const verifyTotp = (secret, code) => {
+  return speakeasy.totp.verify({
+    secret,
+    encoding: 'base32',
+    token: String(code),
+    window: 1
+  });
+};
+
+export const hashBackupCode = (code) => {
+  return crypto
+    .createHash('sha256')
+    .update(code.replace(/-/g, '').toUpperCase())
+    .digest('hex');
+};
+
+// Generate single-use backup codes; only the hashes should be persisted
+export const generateBackupCodes = () => {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashes: codes.map(code => ({ codeHash: hashBackupCode(code) }))
+  };
+};
+
+// Verify a TOTP or backup code for a user loaded with `+twoFactorSecret
+// +twoFactorBackupCodes`. A matching backup code is marked as used in the
+// database straight away, so concurrent requests cannot both spend it.
+export const verifyTwoFactorCode = async (user, code) => {
+  if (!code || !user.twoFactorSecret) return false;
+
+  const normalized = String(code).trim();
+
+  if (/^\d{6}$/.test(normalized)) {
+    if (!verifyTotp(user.twoFactorSecret, normalized)) return false;
+
+    // Reject replays of a code that has already been accepted
+    const redisClient = getRedisClient();
+    if (redisClient) {
+      const claimed = await redisClient.set(`2fa-used:${user._id}:${normalized}`, '1', {
+        NX: true,
+        EX: 90
+      });
+      if (!claimed) return false;
+    }
+    return true;
+  }
+
+  const codeHash = hashBackupCode(normalized);
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorBackupCodes: { $elemMatch: { codeHash, usedAt: null } } },
+    { $set: { 'twoFactorBackupCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
@@ -0,0 +1,186 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import Booking from '../src/models/Booking.js';
+import Payment from '../src/models/Payment.js';
+import Role from '../src/models/Role.js';
+import Service from '../src/models/Service.js';
+import bookingRoutes from '../src/routes/bookings.js';
+import { evaluateCancellation } from '../src/utils/cancellations.js';
+
+// The cancellation policy picks a fee from the booking's status, who is
+// cancelling and how close the booking is to its start. Bookings, services
+// and payments are plain objects behind mocked model methods.
+
+const HOUR = 60 * 60 * 1000;
+
+const customer = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+const provider = { _id: new mongoose.Types.ObjectId(), role: 'provider' };
+
+let serviceSettings;
+let payment;
+
+const buildBooking = ({ status = 'confirmed', startsIn = 48 * HOUR } = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  bookingId: 'BK-TEST',
+  user: customer._id,
+  provider: provider._id,
+  service: new mongoose.Types.ObjectId(),
+  status: { current: status },
+  scheduledDate: new Date(Date.now() + startsIn),
+  pricing: { currency: 'USD' }
+});
+
+const mockDatabase = () => {
+  serviceSettings = { cancellationWindow: 24 };
+  payment = { amount: 10000, refundedAmount: 0, currency: 'USD', provider: 'stripe' };
+
+  jest.spyOn(Role, 'findByName').mockResolvedValue(null);
+  jest.spyOn(Service, 'findById').mockReturnValue({
+    select: async () => ({ settings: serviceSettings })
+  });
+  jest.spyOn(Payment, 'findOne').mockImplementation(async () => payment);
+  jest.spyOn(Payment, 'find').mockResolvedValue([]);
+};
+
+describe('evaluateCancellation', () => {
+  beforeEach(() => {
+    mockDatabase();
+    delete process.env.LATE_CANCELLATION_FEE_PERCENT;
+    delete process.env.NO_SHOW_FEE_PERCENT;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refunds everything for bookings not confirmed yet', async () => {
+    const outcome = await evaluateCancellation(buildBooking({ status: 'pending', startsIn: HOUR }), customer);
+
+    expect(outcome).toMatchObject({ allowed: true, policy: 'before-confirmation', feePercent: 0, refundAmount: 100 });
+  });
+
+  it('refunds everything when cancelled before the cancellation window', async () => {
+    const outcome = await evaluateCancellation(buildBooking({ startsIn: 30 * HOUR }), customer);
+
+    expect(outcome).toMatchObject({
+      policy: 'free-cancellation',
+      cancellationWindowHours: 24,
+      paid: 100,
+      fee: 0,
+      refundAmount: 100,
+      refundMethods: ['original', 'wallet']
+    });
+  });
+
+  it('keeps the late cancellation fee inside the window', async () => {
+    const outcome = await evaluateCancellation(buildBooking({ startsIn: 5 * HOUR }), customer);
+
+    expect(outcome).toMatchObject({ policy: 'late-cancellation', feePercent: 50, fee: 50, refundAmount: 50 });
+  });
+
+  it('uses the service cancellation window and the configured fee', async () => {
+    serviceSettings.cancellationWindow = 2;
+    process.env.LATE_CANCELLATION_FEE_PERCENT = '20';
+
+    const free = await evaluateCancellation(buildBooking({ startsIn: 5 * HOUR }), customer);
+    const late = await evaluateCancellation(buildBooking({ startsIn: HOUR }), customer);
+
+    expect(free.policy).toBe('free-cancellation');
+    expect(late).toMatchObject({ policy: 'late-cancellation', feePercent: 20, fee: 20, refundAmount: 80 });
+  });
+
+  it('keeps the no-show fee once the booking was due to start', async () => {
+    const outcome = await evaluateCancellation(buildBooking({ startsIn: -HOUR }), customer);
+
+    expect(outcome).toMatchObject({ policy: 'no-show', feePercent: 100, fee: 100, refundAmount: 0 });
+  });
+
+  it('works out the fee on what is left of a partly refunded payment', async () => {
+    payment = { ...payment, status: 'partially-refunded', refundedAmount: 4000 };
+
+    const outcome = await evaluateCancellation(buildBooking({ startsIn: 5 * HOUR }), customer);
+
+    expect(outcome).toMatchObject({ paid: 60, fee: 30, refundAmount: 30 });
+  });
+
+  it('refunds everything when the provider cancels', async () => {
+    const outcome = await evaluateCancellation(buildBooking({ startsIn: -HOUR }), provider);
+
+    expect(outcome).toMatchObject({ policy: 'provider-cancellation', feePercent: 0, refundAmount: 100 });
+  });
+
+  it('refuses cancellations the policy does not allow', async () => {
+    const started = await evaluateCancellation(buildBooking({ status: 'in-progress' }), customer);
+    const completed = await evaluateCancellation(buildBooking({ status: 'completed' }), customer);
+    serviceSettings.allowCancellation = false;
+    const locked = await evaluateCancellation(buildBooking(), customer);
+
+    expect(started).toMatchObject({ allowed: false, message: 'Bookings cannot be cancelled once the service has started' });
+    expect(completed).toMatchObject({ allowed: false, message: 'Booking is already completed' });
+    expect(locked).toMatchObject({ allowed: false, message: 'This service cannot be cancelled once the booking is confirmed' });
+  });
+
+  it('returns null for users with nothing to do with the booking', async () => {
+    const stranger = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+
+    expect(await evaluateCancellation(buildBooking(), stranger)).toBeNull();
+  });
+});
+
+describe('POST /api/bookings/:id/cancel', () => {
+  let app;
+  let booking;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/bookings', (req, res, next) => {
+      req.user = customer;
+      next();
+    }, bookingRoutes);
+  });
+
+  beforeEach(() => {
+    mockDatabase();
+    booking = buildBooking({ startsIn: 5 * HOUR });
+    booking.cancelBooking = jest.fn(async () => ({
+      bookingId: booking.bookingId,
+      status: { current: 'cancelled' },
+      cancellation: { toObject: () => ({ isCancelled: true }) }
+    }));
+    jest.spyOn(Booking, 'findById').mockImplementation(async () => booking);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const cancel = (body) => {
+    return request(app)
+      .post(`/api/bookings/${booking._id}/cancel`)
+      .send({ reason: 'Plans changed', ...body });
+  };
+
+  it('refuses with 409 and the current outcome when the previewed refund has changed', async () => {
+    const res = await cancel({ expectedRefundAmount: 100 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.data.cancellation).toMatchObject({ policy: 'late-cancellation', refundAmount: 50 });
+    expect(booking.cancelBooking).not.toHaveBeenCalled();
+  });
+
+  it('cancels when the previewed refund still applies', async () => {
+    booking.scheduledDate = new Date(Date.now() - HOUR);
+
+    const res = await cancel({ expectedRefundAmount: 0 });
+
+    expect(res.status).toBe(200);
+    expect(booking.cancelBooking).toHaveBeenCalledWith(
+      customer._id,
+      'Plans changed',
+      expect.objectContaining({ policy: 'no-show', refundAmount: 0 })
+    );
+  });
+});
@@ -0,0 +1,164 @@
+import express from 'express';
+import request from 'supertest';
+import Redis from 'redis';
+import { jest } from '@jest/globals';
+import { connectRedis } from '../src/config/redis.js';
+import { idempotent } from '../src/middleware/idempotency.js';
+
+// The Idempotency-Key middleware runs against an in-memory stand-in for the
+// Redis client, installed through connectRedis. The clock can be moved on
+// to make a retry give up waiting for a request holding the key.
+
+const LOCK_WAIT_MS = 10 * 1000;
+
+let store;
+let clockSkew;
+
+const fakeRedis = {
+  on() { return this; },
+  connect: async () => {},
+  get: async (key) => store.get(key) ?? null,
+  setEx: async (key, ttl, value) => {
+    store.set(key, value);
+    return 'OK';
+  },
+  set: async (key, value, { NX } = {}) => {
+    if (NX && store.has(key)) return null;
+    store.set(key, value);
+    return 'OK';
+  },
+  // The only script the middleware runs: delete the lock if it is still ours
+  eval: async (script, { keys: [key], arguments: [token] }) => {
+    if (store.get(key) !== token) return 0;
+    store.delete(key);
+    return 1;
+  }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('idempotent middleware', () => {
+  let app;
+  let handled;
+  let handlerDelay;
+  let handlerStatus;
+
+  beforeAll(async () => {
+    jest.spyOn(Redis, 'createClient').mockReturnValue(fakeRedis);
+    await connectRedis();
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { _id: req.header('X-Test-User') || 'user-1' };
+      next();
+    });
+    app.post('/api/things', idempotent, async (req, res) => {
+      handled += 1;
+      const count = handled;
+      await wait(handlerDelay);
+      res.status(handlerStatus).json({ success: handlerStatus < 400, data: { count, name: req.body.name } });
+    });
+  });
+
+  beforeEach(() => {
+    store = new Map();
+    clockSkew = 0;
+    handled = 0;
+    handlerDelay = 0;
+    handlerStatus = 201;
+
+    const realNow = Date.now.bind(Date);
+    jest.spyOn(Date, 'now').mockImplementation(() => realNow() + clockSkew);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const create = (key, body = { name: 'first' }, user) => {
+    const req = request(app).post('/api/things').send(body);
+    if (key) req.set('Idempotency-Key', key);
+    if (user) req.set('X-Test-User', user);
+    return req;
+  };
+
+  it('replays the stored response for a retry with the same key', async () => {
+    const first = await create('key-1');
+    const retry = await create('key-1');
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(handled).toBe(1);
+  });
+
+  it('runs requests without a key every time', async () => {
+    await create();
+    await create();
+
+    expect(handled).toBe(2);
+  });
+
+  it('refuses with 422 a key reused for a different request', async () => {
+    await create('key-1', { name: 'first' });
+    const reused = await create('key-1', { name: 'second' });
+
+    expect(reused.status).toBe(422);
+    expect(reused.body.message).toBe('This Idempotency-Key was already used for a different request');
+    expect(handled).toBe(1);
+  });
+
+  it('keeps keys separate per user', async () => {
+    await create('key-1', { name: 'first' }, 'user-1');
+    const other = await create('key-1', { name: 'first' }, 'user-2');
+
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(handled).toBe(2);
+  });
+
+  it('makes a concurrent retry wait for the first request and replays its response', async () => {
+    handlerDelay = 150;
+
+    const [first, retry] = await Promise.all([create('key-1'), wait(20).then(() => create('key-1'))]);
+
+    expect(handled).toBe(1);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('answers 409 when the key is still held after waiting', async () => {
+    store.set('idempotency-lock:user-1:key-1', 'another-request');
+    // Every refused lock attempt moves the clock past the wait
+    const set = fakeRedis.set;
+    jest.spyOn(fakeRedis, 'set').mockImplementation(async (...args) => {
+      const result = await set(...args);
+      if (!result) clockSkew += LOCK_WAIT_MS;
+      return result;
+    });
+
+    const res = await create('key-1');
+
+    fakeRedis.set.mockRestore();
+    expect(res.status).toBe(409);
+    expect(res.headers['retry-after']).toBe('1');
+    expect(handled).toBe(0);
+  });
+
+  it('does not store error responses, so a retry runs again', async () => {
+    handlerStatus = 400;
+    const failed = await create('key-1');
+    handlerStatus = 201;
+    const retry = await create('key-1');
+
+    expect(failed.status).toBe(400);
+    expect(retry.status).toBe(201);
+    expect(handled).toBe(2);
+    expect(store.has('idempotency-lock:user-1:key-1')).toBe(false);
+  });
+});
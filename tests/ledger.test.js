@@ -0,0 +1,211 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import LedgerAccount from '../src/models/LedgerAccount.js';
+import LedgerEntry from '../src/models/LedgerEntry.js';
+import Transaction from '../src/models/Transaction.js';
+import User from '../src/models/User.js';
+import { postTransaction, walletAccountCode, PLATFORM_ACCOUNTS } from '../src/utils/ledger.js';
+
+// Postings run against in-memory collections standing in for MongoDB. The
+// mocked findOneAndUpdate applies the balance guard and $inc in one step,
+// like the real conditional update, and Transaction.create enforces the
+// unique idempotency key.
+
+const userId = new mongoose.Types.ObjectId();
+const wallet = walletAccountCode(userId);
+
+let accounts;
+let transactions;
+let legacyWallet;
+
+const mockDatabase = () => {
+  accounts = new Map();
+  transactions = [];
+  legacyWallet = { currency: 'USD', balance: 0, balances: new Map() };
+
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+    withTransaction: async (work) => work(),
+    endSession: async () => {}
+  });
+
+  jest.spyOn(LedgerAccount, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (update.$setOnInsert) {
+      const existing = accounts.get(filter.code);
+      if (existing) return { value: existing, lastErrorObject: { updatedExisting: true } };
+
+      const account = { _id: new mongoose.Types.ObjectId(), balance: 0, ...update.$setOnInsert };
+      accounts.set(account.code, account);
+      return { value: account, lastErrorObject: { updatedExisting: false } };
+    }
+
+    const account = [...accounts.values()].find(candidate => candidate._id.equals(filter._id));
+    if (filter.balance && account.balance < filter.balance.$gte) return null;
+    account.balance += update.$inc.balance;
+    return { ...account };
+  });
+  jest.spyOn(Transaction, 'create').mockImplementation(async ([doc]) => {
+    if (doc.idempotencyKey && transactions.some(existing => existing.idempotencyKey === doc.idempotencyKey)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const transaction = { _id: new mongoose.Types.ObjectId(), ...doc };
+    transactions.push(transaction);
+    return [transaction];
+  });
+  jest.spyOn(Transaction, 'findOne').mockImplementation(async (filter) => {
+    return transactions.find(transaction => transaction.idempotencyKey === filter.idempotencyKey) || null;
+  });
+  jest.spyOn(LedgerEntry, 'insertMany').mockResolvedValue([]);
+  jest.spyOn(User, 'findById').mockReturnValue({
+    select() { return this; },
+    session: async () => ({ wallet: legacyWallet })
+  });
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ acknowledged: true });
+};
+
+const balanceOf = (code, currency = 'USD') => accounts.get(`${code}:${currency}`)?.balance || 0;
+
+const topUp = (amount, options = {}) => postTransaction({
+  type: 'top-up',
+  description: 'Wallet top-up',
+  currency: 'USD',
+  lines: [
+    { account: PLATFORM_ACCOUNTS.clearing, debit: amount },
+    { account: wallet, credit: amount }
+  ],
+  ...options
+});
+
+const spend = (amount) => postTransaction({
+  type: 'booking-payment',
+  description: 'Booking payment',
+  currency: 'USD',
+  lines: [
+    { account: wallet, debit: amount },
+    { account: PLATFORM_ACCOUNTS.revenue, credit: amount }
+  ]
+});
+
+describe('postTransaction', () => {
+  beforeEach(() => {
+    mockDatabase();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves money between accounts and records the transaction', async () => {
+    const transaction = await topUp(2500);
+
+    expect(transaction.type).toBe('top-up');
+    expect(transaction.lines.map(line => line.accountCode)).toEqual([
+      `${PLATFORM_ACCOUNTS.clearing}:USD`,
+      `${wallet}:USD`
+    ]);
+    expect(balanceOf(wallet)).toBe(2500);
+    expect(balanceOf(PLATFORM_ACCOUNTS.clearing)).toBe(-2500);
+  });
+
+  it('refuses to overdraw a wallet', async () => {
+    await topUp(500);
+
+    await expect(spend(600)).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+
+    expect(balanceOf(wallet)).toBe(500);
+    expect(balanceOf(PLATFORM_ACCOUNTS.revenue)).toBe(0);
+  });
+
+  it('lets only one of two concurrent debits through when both cannot be covered', async () => {
+    await topUp(500);
+
+    const results = await Promise.allSettled([spend(300), spend(300)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('INSUFFICIENT_FUNDS');
+    expect(balanceOf(wallet)).toBe(200);
+  });
+
+  it('returns the original transaction when an idempotency key is reused', async () => {
+    const first = await topUp(2500, { idempotencyKey: 'payment:abc' });
+    const replay = await topUp(2500, { idempotencyKey: 'payment:abc' });
+
+    expect(replay._id).toEqual(first._id);
+    expect(transactions).toHaveLength(1);
+    expect(balanceOf(wallet)).toBe(2500);
+  });
+
+  it('requires debits and credits to balance in each currency', async () => {
+    const posting = {
+      type: 'conversion',
+      description: 'Currency conversion',
+      lines: [
+        { account: wallet, currency: 'USD', debit: 1000 },
+        { account: wallet, currency: 'EUR', credit: 1000 }
+      ]
+    };
+
+    await expect(postTransaction(posting)).rejects.toMatchObject({ code: 'UNBALANCED' });
+    expect(transactions).toHaveLength(0);
+  });
+
+  it('posts conversions that balance in each currency through the FX account', async () => {
+    await topUp(1000);
+
+    await postTransaction({
+      type: 'conversion',
+      description: 'Currency conversion',
+      lines: [
+        { account: wallet, currency: 'USD', debit: 1000 },
+        { account: PLATFORM_ACCOUNTS.fx, currency: 'USD', credit: 1000 },
+        { account: PLATFORM_ACCOUNTS.fx, currency: 'EUR', debit: 920 },
+        { account: wallet, currency: 'EUR', credit: 920 }
+      ]
+    });
+
+    expect(balanceOf(wallet, 'USD')).toBe(0);
+    expect(balanceOf(wallet, 'EUR')).toBe(920);
+  });
+
+  it('rejects malformed lines', async () => {
+    await expect(postTransaction({ type: 'top-up', lines: [{ account: wallet, credit: 100 }] }))
+      .rejects.toMatchObject({ code: 'INVALID_LINES' });
+    await expect(postTransaction({
+      type: 'top-up',
+      lines: [
+        { account: PLATFORM_ACCOUNTS.clearing, debit: 10.5 },
+        { account: wallet, credit: 10.5 }
+      ]
+    })).rejects.toMatchObject({ code: 'INVALID_LINES' });
+  });
+
+  it('carries a balance from before the ledger over when the wallet is opened', async () => {
+    legacyWallet.balance = 12.5;
+
+    await topUp(1000);
+
+    expect(transactions.map(transaction => transaction.type)).toEqual(['opening-balance', 'top-up']);
+    expect(transactions[0].lines.find(line => line.credit > 0)).toMatchObject({
+      accountCode: `${wallet}:USD`,
+      credit: 1250
+    });
+    expect(balanceOf(wallet)).toBe(2250);
+    expect(balanceOf(PLATFORM_ACCOUNTS.adjustments)).toBe(-1250);
+  });
+
+  it('opens wallets in other currencies without an opening balance', async () => {
+    legacyWallet.balance = 12.5;
+
+    await postTransaction({
+      type: 'top-up',
+      description: 'Wallet top-up',
+      currency: 'EUR',
+      lines: [
+        { account: PLATFORM_ACCOUNTS.clearing, debit: 1000 },
+        { account: wallet, credit: 1000 }
+      ]
+    });
+
+    expect(transactions.map(transaction => transaction.type)).toEqual(['top-up']);
+    expect(balanceOf(wallet, 'EUR')).toBe(1000);
+  });
+});
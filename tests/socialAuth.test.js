@@ -0,0 +1,183 @@
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+import { verifySocialIdToken } from '../src/utils/socialAuth.js';
+
+// Social ID tokens are verified against a local stand-in identity provider
+// that serves its JWKS over HTTP, configured through the *_JWKS_URL and
+// *_ISSUER overrides.
+
+const ISSUER = 'https://idp.test';
+const CLIENT_ID = 'mekacash-test-client';
+
+const createKey = (kid) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return {
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }
+  };
+};
+
+const initialKey = createKey('key-1');
+const rotatedKey = createKey('key-2');
+const strangerKey = createKey('key-stranger');
+
+// Keys the identity provider currently publishes, and how often it was asked
+let publishedKeys = [initialKey.jwk];
+let jwksRequests = 0;
+
+const jwksServer = http.createServer((req, res) => {
+  jwksRequests += 1;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ keys: publishedKeys }));
+});
+
+const signIdToken = (key, claims = {}, options = {}) => {
+  return jwt.sign({
+    sub: 'idp-user-1',
+    email: 'Jane.Doe@Example.com',
+    email_verified: true,
+    given_name: 'Jane',
+    family_name: 'Doe',
+    picture: 'https://idp.test/jane.png',
+    ...claims
+  }, key.privateKey, {
+    algorithm: 'RS256',
+    keyid: key.kid,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m',
+    ...options
+  });
+};
+
+describe('verifySocialIdToken', () => {
+  beforeAll(async () => {
+    await new Promise(resolve => jwksServer.listen(0, '127.0.0.1', resolve));
+    const jwksUrl = `http://127.0.0.1:${jwksServer.address().port}/jwks`;
+
+    for (const provider of ['GOOGLE', 'APPLE']) {
+      process.env[`${provider}_JWKS_URL`] = jwksUrl;
+      process.env[`${provider}_ISSUER`] = ISSUER;
+    }
+    process.env.GOOGLE_CLIENT_ID = CLIENT_ID;
+    process.env.APPLE_CLIENT_ID = CLIENT_ID;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => jwksServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    publishedKeys = [initialKey.jwk];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Move the clock past the minimum interval between JWKS refetches
+  const advanceClock = (ms) => {
+    const now = Date.now() + ms;
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  };
+
+  it('returns the normalized identity for a valid token', async () => {
+    const identity = await verifySocialIdToken('google', signIdToken(initialKey));
+
+    expect(identity).toEqual({
+      providerId: 'idp-user-1',
+      email: 'jane.doe@example.com',
+      emailVerified: true,
+      firstName: 'Jane',
+      lastName: 'Doe',
+      avatar: 'https://idp.test/jane.png'
+    });
+  });
+
+  it('accepts the string form of email_verified sent by Apple', async () => {
+    const identity = await verifySocialIdToken('apple', signIdToken(initialKey, { email_verified: 'true' }));
+
+    expect(identity.emailVerified).toBe(true);
+  });
+
+  it('rejects tokens issued for another client', async () => {
+    const token = signIdToken(initialKey, {}, { audience: 'someone-else' });
+
+    await expect(verifySocialIdToken('google', token)).rejects.toThrow(/audience/);
+  });
+
+  it('rejects tokens from another issuer', async () => {
+    const token = signIdToken(initialKey, {}, { issuer: 'https://evil.test' });
+
+    await expect(verifySocialIdToken('google', token)).rejects.toThrow(/issuer/);
+  });
+
+  it('rejects expired tokens', async () => {
+    const token = signIdToken(initialKey, { iat: Math.floor(Date.now() / 1000) - 600 });
+
+    await expect(verifySocialIdToken('google', token)).rejects.toThrow(/expired/);
+  });
+
+  it('rejects tokens signed with a key the provider does not publish', async () => {
+    await expect(verifySocialIdToken('google', signIdToken(strangerKey)))
+      .rejects.toThrow("No google signing key found for kid 'key-stranger'");
+  });
+
+  it('rejects tokens signed with the published key ID but another key', async () => {
+    const token = signIdToken({ ...strangerKey, kid: initialKey.kid });
+
+    await expect(verifySocialIdToken('google', token)).rejects.toThrow(/signature/);
+  });
+
+  it('rejects HMAC tokens signed with the public key', async () => {
+    const publicPem = crypto.createPublicKey({ key: initialKey.jwk, format: 'jwk' })
+      .export({ type: 'spki', format: 'pem' });
+    const token = jwt.sign({ sub: 'idp-user-1' }, publicPem, {
+      algorithm: 'HS256',
+      keyid: initialKey.kid,
+      issuer: ISSUER,
+      audience: CLIENT_ID
+    });
+
+    await expect(verifySocialIdToken('google', token)).rejects.toThrow();
+  });
+
+  it('refetches the JWKS when the provider rotates its keys', async () => {
+    await verifySocialIdToken('google', signIdToken(initialKey));
+    publishedKeys = [initialKey.jwk, rotatedKey.jwk];
+    advanceClock(2 * 60 * 1000);
+    const requestsBefore = jwksRequests;
+
+    const identity = await verifySocialIdToken('google', signIdToken(rotatedKey));
+
+    expect(identity.providerId).toBe('idp-user-1');
+    expect(jwksRequests).toBe(requestsBefore + 1);
+  });
+
+  it('does not refetch the JWKS for every unknown key ID', async () => {
+    await verifySocialIdToken('google', signIdToken(initialKey));
+    advanceClock(5 * 60 * 1000);
+    const requestsBefore = jwksRequests;
+
+    const attempts = Array.from({ length: 5 }, (_, i) =>
+      verifySocialIdToken('google', signIdToken({ ...strangerKey, kid: `made-up-${i}` }))
+    );
+    await Promise.allSettled(attempts);
+    await expect(verifySocialIdToken('google', signIdToken({ ...strangerKey, kid: 'made-up-again' })))
+      .rejects.toThrow(/No google signing key found/);
+
+    expect(jwksRequests).toBe(requestsBefore + 1);
+  });
+
+  it('rejects unsupported or unconfigured providers', async () => {
+    await expect(verifySocialIdToken('myspace', signIdToken(initialKey)))
+      .rejects.toThrow("Unsupported social provider 'myspace'");
+
+    delete process.env.FACEBOOK_APP_ID;
+    await expect(verifySocialIdToken('facebook', signIdToken(initialKey)))
+      .rejects.toThrow("Social provider 'facebook' is not configured");
+  });
+});
@@ -0,0 +1,255 @@
+import http from 'http';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import Stripe from 'stripe';
+import { jest } from '@jest/globals';
+import Payment from '../src/models/Payment.js';
+import LedgerAccount from '../src/models/LedgerAccount.js';
+import LedgerEntry from '../src/models/LedgerEntry.js';
+import Transaction from '../src/models/Transaction.js';
+import User from '../src/models/User.js';
+import paymentRoutes from '../src/routes/payments.js';
+import webhookRoutes from '../src/routes/webhooks.js';
+
+// Wallet top-ups end to end: starting a top-up creates a PaymentIntent
+// through STRIPE_API_BASE, and only a signed payment_intent.succeeded
+// webhook credits the wallet. MongoDB is replaced by in-memory collections
+// so the ledger and payment code run unchanged.
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+const userId = new mongoose.Types.ObjectId();
+
+// Stand-in for stripe-mock: records requests and answers PaymentIntent creation
+const stripeRequests = [];
+const stripeServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const params = new URLSearchParams(body);
+    stripeRequests.push({ method: req.method, path: req.url, headers: req.headers, params });
+
+    res.setHeader('Content-Type', 'application/json');
+    if (req.method === 'POST' && req.url === '/v1/payment_intents') {
+      return res.end(JSON.stringify({
+        id: 'pi_test_topup',
+        object: 'payment_intent',
+        amount: Number(params.get('amount')),
+        currency: params.get('currency'),
+        status: 'requires_payment_method',
+        client_secret: 'pi_test_topup_secret'
+      }));
+    }
+
+    res.statusCode = 404;
+    res.end(JSON.stringify({ error: { type: 'invalid_request_error', message: 'Unknown route' } }));
+  });
+});
+
+// In-memory documents behind the mocked model methods
+let payments;
+let accounts;
+let transactions;
+
+const mockDatabase = () => {
+  payments = new Map();
+  accounts = new Map();
+  transactions = [];
+
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+    withTransaction: async (work) => work(),
+    endSession: async () => {}
+  });
+
+  jest.spyOn(Payment, 'create').mockImplementation(async (doc) => {
+    const payment = new Payment(doc);
+    payments.set(payment._id.toString(), payment);
+    return payment;
+  });
+  jest.spyOn(Payment.prototype, 'save').mockImplementation(async function save() {
+    return this;
+  });
+  jest.spyOn(Payment, 'findOne').mockImplementation(async (filter) => {
+    return [...payments.values()].find(payment =>
+      payment.provider === filter.provider && payment.providerPaymentId === filter.providerPaymentId
+    ) || null;
+  });
+  jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const payment = payments.get(filter._id.toString());
+    if (!payment || !filter.status.$in.includes(payment.status)) return null;
+    payment.set(update);
+    return payment;
+  });
+
+  jest.spyOn(LedgerAccount, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (update.$setOnInsert) {
+      const existing = accounts.get(filter.code);
+      if (existing) return { value: existing, lastErrorObject: { updatedExisting: true } };
+
+      const account = { _id: new mongoose.Types.ObjectId(), balance: 0, ...update.$setOnInsert };
+      accounts.set(account.code, account);
+      return { value: account, lastErrorObject: { updatedExisting: false } };
+    }
+
+    const account = [...accounts.values()].find(candidate => candidate._id.equals(filter._id));
+    if (filter.balance && account.balance < filter.balance.$gte) return null;
+    account.balance += update.$inc.balance;
+    return account;
+  });
+  jest.spyOn(Transaction, 'create').mockImplementation(async ([doc]) => {
+    const transaction = { _id: new mongoose.Types.ObjectId(), ...doc };
+    transactions.push(transaction);
+    return [transaction];
+  });
+  jest.spyOn(LedgerEntry, 'insertMany').mockResolvedValue([]);
+  jest.spyOn(User, 'findById').mockReturnValue({
+    select() { return this; },
+    session: async () => null
+  });
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ acknowledged: true });
+};
+
+const buildApp = () => {
+  const app = express();
+  app.use('/api/webhooks', webhookRoutes);
+  app.use(express.json());
+  app.use('/api/payments', (req, res, next) => {
+    req.user = { _id: userId, wallet: { currency: 'USD' } };
+    next();
+  }, paymentRoutes);
+  return app;
+};
+
+const signedEvent = (type, intent) => {
+  const payload = JSON.stringify({
+    id: `evt_${type}`,
+    object: 'event',
+    type,
+    data: { object: intent }
+  });
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET });
+  return { payload, signature };
+};
+
+const sendWebhook = (app, { payload, signature }) => {
+  return request(app)
+    .post('/api/webhooks/stripe')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', signature)
+    .send(payload);
+};
+
+const walletBalance = () => accounts.get(`wallet:${userId}:USD`)?.balance || 0;
+
+describe('Stripe wallet top-ups', () => {
+  let app;
+
+  beforeAll(async () => {
+    await new Promise(resolve => stripeServer.listen(0, '127.0.0.1', resolve));
+    process.env.STRIPE_SECRET_KEY = 'sk_test_mekacash';
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    process.env.STRIPE_API_BASE = `http://127.0.0.1:${stripeServer.address().port}`;
+    app = buildApp();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => stripeServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    stripeRequests.length = 0;
+    mockDatabase();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const startTopUp = async () => {
+    const res = await request(app)
+      .post('/api/payments/top-ups')
+      .send({ amount: 25, currency: 'USD', method: 'card' });
+
+    expect(res.status).toBe(201);
+    return res;
+  };
+
+  it('creates a PaymentIntent through STRIPE_API_BASE without crediting the wallet', async () => {
+    const res = await startTopUp();
+
+    expect(stripeRequests).toHaveLength(1);
+    const [intentRequest] = stripeRequests;
+    expect(intentRequest.path).toBe('/v1/payment_intents');
+    expect(intentRequest.params.get('amount')).toBe('2500');
+    expect(intentRequest.params.get('currency')).toBe('usd');
+    expect(intentRequest.headers['idempotency-key']).toBe(`payment:${res.body.data.payment.id}`);
+
+    expect(res.body.data.payment.status).toBe('requires-action');
+    expect(res.body.data.nextAction.clientSecret).toBe('pi_test_topup_secret');
+    expect(transactions).toHaveLength(0);
+    expect(walletBalance()).toBe(0);
+  });
+
+  it('rejects webhooks with an invalid signature', async () => {
+    await startTopUp();
+    const event = signedEvent('payment_intent.succeeded', {
+      id: 'pi_test_topup', amount_received: 2500, currency: 'usd'
+    });
+
+    const res = await sendWebhook(app, { ...event, signature: 't=1,v1=forged' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(transactions).toHaveLength(0);
+  });
+
+  it('credits the wallet once on payment_intent.succeeded, even when the event is redelivered', async () => {
+    const res = await startTopUp();
+    const event = signedEvent('payment_intent.succeeded', {
+      id: 'pi_test_topup', amount_received: 2500, currency: 'usd'
+    });
+
+    const first = await sendWebhook(app, event);
+    const second = await sendWebhook(app, event);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body).toEqual({ received: true });
+
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0].type).toBe('top-up');
+    expect(transactions[0].idempotencyKey).toBe(`payment:${res.body.data.payment.id}`);
+    expect(walletBalance()).toBe(2500);
+    expect(payments.get(res.body.data.payment.id).status).toBe('succeeded');
+  });
+
+  it('does not credit the wallet when the received amount does not match', async () => {
+    const res = await startTopUp();
+
+    const webhook = await sendWebhook(app, signedEvent('payment_intent.succeeded', {
+      id: 'pi_test_topup', amount_received: 100, currency: 'usd'
+    }));
+
+    expect(webhook.status).toBe(200);
+    expect(transactions).toHaveLength(0);
+    expect(payments.get(res.body.data.payment.id).status).toBe('requires-action');
+  });
+
+  it('marks failed payments without crediting the wallet', async () => {
+    const res = await startTopUp();
+
+    const webhook = await sendWebhook(app, signedEvent('payment_intent.payment_failed', {
+      id: 'pi_test_topup',
+      currency: 'usd',
+      last_payment_error: { message: 'Your card was declined.' }
+    }));
+
+    expect(webhook.status).toBe(200);
+    const payment = payments.get(res.body.data.payment.id);
+    expect(payment.status).toBe('failed');
+    expect(payment.failureReason).toBe('Your card was declined.');
+    expect(transactions).toHaveLength(0);
+    expect(walletBalance()).toBe(0);
+  });
+});
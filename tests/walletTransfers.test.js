@@ -0,0 +1,232 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import LedgerAccount from '../src/models/LedgerAccount.js';
+import LedgerEntry from '../src/models/LedgerEntry.js';
+import Role from '../src/models/Role.js';
+import Transaction from '../src/models/Transaction.js';
+import Transfer from '../src/models/Transfer.js';
+import User from '../src/models/User.js';
+import walletRoutes from '../src/routes/wallet.js';
+
+// Wallet transfers are quoted and then confirmed. The daily limit is checked
+// at both steps, and a quote can only be confirmed once. MongoDB is replaced
+// by in-memory collections so the route and ledger code run unchanged.
+
+const sender = {
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Sam',
+  lastName: 'Sender',
+  role: 'user',
+  wallet: { currency: 'USD' },
+  twoFactorEnabled: false
+};
+
+const recipient = {
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Rita',
+  lastName: 'Recipient',
+  email: 'rita@example.com',
+  isActive: true,
+  isBlocked: false
+};
+
+let transfers;
+let accounts;
+let transactions;
+
+const mockDatabase = () => {
+  transfers = new Map();
+  accounts = new Map();
+  transactions = [];
+
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+    withTransaction: async (work) => work(),
+    endSession: async () => {}
+  });
+
+  jest.spyOn(Role, 'findByName').mockResolvedValue(null);
+  jest.spyOn(User, 'findByEmail').mockImplementation(async (email) => {
+    return email === recipient.email ? recipient : null;
+  });
+  jest.spyOn(User, 'findById').mockReturnValue({
+    select() { return this; },
+    session: async () => null
+  });
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ acknowledged: true });
+
+  jest.spyOn(Transfer, 'create').mockImplementation(async (doc) => {
+    const transfer = new Transfer(doc);
+    transfers.set(transfer._id.toString(), transfer);
+    return transfer;
+  });
+  jest.spyOn(Transfer.prototype, 'save').mockImplementation(async function save() {
+    return this;
+  });
+  jest.spyOn(Transfer, 'findOne').mockImplementation(async (filter) => {
+    const transfer = transfers.get(filter._id.toString());
+    return transfer && transfer.sender.equals(filter.sender) ? transfer : null;
+  });
+  jest.spyOn(Transfer, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const transfer = transfers.get(filter._id.toString());
+    if (!transfer || transfer.status !== filter.status || transfer.expiresAt <= filter.expiresAt.$gt) {
+      return null;
+    }
+    transfer.set(update);
+    return transfer;
+  });
+  jest.spyOn(Transfer, 'aggregate').mockImplementation(([{ $match }]) => ({
+    session: async () => {
+      const total = [...transfers.values()]
+        .filter(transfer => transfer.sender.equals($match.sender) && transfer.status === $match.status &&
+          transfer.completedAt >= $match.completedAt.$gte)
+        .reduce((sum, transfer) => sum + transfer.baseAmount, 0);
+      return total ? [{ _id: null, total }] : [];
+    }
+  }));
+
+  jest.spyOn(LedgerAccount, 'findOne').mockImplementation(async (filter) => accounts.get(filter.code) || null);
+  jest.spyOn(LedgerAccount, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (update.$setOnInsert) {
+      const existing = accounts.get(filter.code);
+      if (existing) return { value: existing, lastErrorObject: { updatedExisting: true } };
+
+      const account = { _id: new mongoose.Types.ObjectId(), balance: 0, ...update.$setOnInsert };
+      accounts.set(account.code, account);
+      return { value: account, lastErrorObject: { updatedExisting: false } };
+    }
+
+    const account = [...accounts.values()].find(candidate => candidate._id.equals(filter._id));
+    if (filter.balance && account.balance < filter.balance.$gte) return null;
+    account.balance += update.$inc.balance;
+    return { ...account };
+  });
+  jest.spyOn(Transaction, 'create').mockImplementation(async ([doc]) => {
+    const transaction = { _id: new mongoose.Types.ObjectId(), ...doc };
+    transactions.push(transaction);
+    return [transaction];
+  });
+  jest.spyOn(LedgerEntry, 'insertMany').mockResolvedValue([]);
+};
+
+const fundWallet = (userId, balance) => {
+  const code = `wallet:${userId}:USD`;
+  accounts.set(code, {
+    _id: new mongoose.Types.ObjectId(),
+    code,
+    type: 'user-wallet',
+    owner: userId,
+    currency: 'USD',
+    allowNegative: false,
+    balance
+  });
+};
+
+// A transfer the sender completed earlier, counted towards the daily limit
+const addCompletedTransfer = (baseAmount, completedAt) => {
+  const transfer = new Transfer({
+    sender: sender._id,
+    recipient: recipient._id,
+    amount: baseAmount,
+    currency: 'USD',
+    baseAmount,
+    status: 'completed',
+    completedAt,
+    expiresAt: completedAt
+  });
+  transfers.set(transfer._id.toString(), transfer);
+};
+
+const balanceOf = (userId) => accounts.get(`wallet:${userId}:USD`)?.balance || 0;
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/wallet', (req, res, next) => {
+    req.user = sender;
+    next();
+  }, walletRoutes);
+  return app;
+};
+
+describe('Wallet transfers', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.FX_BASE_CURRENCY = 'USD';
+    process.env.WALLET_TRANSFER_MAX = '80';
+    process.env.WALLET_TRANSFER_DAILY_LIMIT = '100';
+    process.env.WALLET_TRANSFER_STEP_UP_THRESHOLD = '1000';
+    app = buildApp();
+  });
+
+  beforeEach(() => {
+    mockDatabase();
+    fundWallet(sender._id, 50000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const quoteTransfer = (amount) => {
+    return request(app)
+      .post('/api/wallet/transfers')
+      .send({ recipientType: 'email', recipient: recipient.email, amount, currency: 'USD' });
+  };
+
+  const confirmTransfer = (id) => request(app).post(`/api/wallet/transfers/${id}/confirm`).send({});
+
+  it('refuses a quote that would take the sender over the daily limit', async () => {
+    addCompletedTransfer(9000, new Date(Date.now() - 60 * 60 * 1000));
+
+    const res = await quoteTransfer(20);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(
+      'This transfer would exceed your daily limit of 100 USD. You can send 10 USD more today.'
+    );
+  });
+
+  it('does not count transfers completed more than a day ago', async () => {
+    addCompletedTransfer(9000, new Date(Date.now() - 25 * 60 * 60 * 1000));
+
+    const res = await quoteTransfer(20);
+
+    expect(res.status).toBe(201);
+  });
+
+  it('checks the daily limit again when a quote is confirmed', async () => {
+    const first = await quoteTransfer(60);
+    const second = await quoteTransfer(60);
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+
+    const confirmedFirst = await confirmTransfer(first.body.data.transfer.id);
+    const confirmedSecond = await confirmTransfer(second.body.data.transfer.id);
+
+    expect(confirmedFirst.status).toBe(200);
+    expect(confirmedSecond.status).toBe(400);
+    expect(confirmedSecond.body.message).toMatch(/exceed your daily limit/);
+    expect(transfers.get(second.body.data.transfer.id).status).toBe('pending');
+    expect(balanceOf(recipient._id)).toBe(6000);
+  });
+
+  it('moves the money once when the same transfer is confirmed twice at the same time', async () => {
+    const quote = await quoteTransfer(50);
+    const id = quote.body.data.transfer.id;
+
+    const responses = await Promise.all([confirmTransfer(id), confirmTransfer(id)]);
+
+    const statuses = responses.map(res => res.status).sort();
+    expect(statuses[0]).toBe(200);
+    expect(statuses[1]).toBeGreaterThanOrEqual(400);
+    expect(responses.find(res => res.status !== 200).body.message)
+      .toMatch(/no longer pending|already been sent/);
+
+    expect(transactions.filter(transaction => transaction.type === 'transfer')).toHaveLength(1);
+    expect(balanceOf(sender._id)).toBe(45000);
+    expect(balanceOf(recipient._id)).toBe(5000);
+  });
+});